@@ -0,0 +1,187 @@
+// ============================================================
+// ALERT RULES
+// ============================================================
+//
+// Per-user scan filters evaluated server-side (user.alert_rules), so every
+// delivery channel - joiner endpoints today - returns the same matches for a
+// key. A rule set is a tree of AND/OR groups:
+//
+//   { op: 'and', rules: [
+//       { field: 'value', cmp: 'gte', value: 100000000 },
+//       { op: 'or', rules: [
+//           { field: 'name', cmp: 'in', value: ['Meowl', 'Strawberry Elephant'] },
+//           { field: 'mutation', cmp: 'is', value: 'Rainbow' }
+//       ] }
+//   ] }
+//
+// Brainrot fields (name, mutation, traits, value) are checked per brainrot,
+// server fields (players, owner) against the scan. A scan matches when at
+// least one of its brainrots satisfies the whole tree. No rules = match all.
+
+const MAX_DEPTH = 3;
+const MAX_RULES = 50;
+const MAX_STRING = 100;
+const MAX_LIST = 100;
+
+const FIELDS = {
+    name: { type: 'string', get: animal => animal.name },
+    mutation: { type: 'string', get: animal => animal.mutation || 'None' },
+    traits: { type: 'number', get: animal => traitCount(animal.traits) },
+    value: { type: 'number', get: animal => animal.value },
+    players: { type: 'number', get: (animal, scan) => parseInt(scan.players) || 0 },
+    owner: { type: 'string', get: (animal, scan) => scan.owners || scan.owner || '' }
+};
+
+const COMPARATORS = {
+    string: {
+        is: (actual, expected) => actual === expected,
+        is_not: (actual, expected) => actual !== expected,
+        in: (actual, expected) => expected.includes(actual),
+        not_in: (actual, expected) => !expected.includes(actual),
+        contains: (actual, expected) => actual.includes(expected)
+    },
+    number: {
+        eq: (actual, expected) => actual === expected,
+        gte: (actual, expected) => actual >= expected,
+        lte: (actual, expected) => actual <= expected,
+        between: (actual, [min, max]) => actual >= min && actual <= max
+    }
+};
+
+function traitCount(traits) {
+    if (Array.isArray(traits)) return traits.length;
+    return parseInt(traits) || 0;
+}
+
+// ------------------------------------------------------------
+// Validation - returns a normalized copy or throws Error
+// ------------------------------------------------------------
+
+function validateRules(rules) {
+    if (rules === null || rules === undefined) return null;
+
+    const counter = { rules: 0 };
+    const normalized = validateGroup(rules, 1, counter);
+    return normalized.rules.length > 0 ? normalized : null;
+}
+
+function validateGroup(group, depth, counter) {
+    if (!group || typeof group !== 'object' || !Array.isArray(group.rules)) {
+        throw new Error('A rule group needs an op and a list of rules');
+    }
+    const op = group.op || 'and';
+    if (op !== 'and' && op !== 'or') throw new Error(`Unknown group op "${op}" (use and/or)`);
+    if (depth > MAX_DEPTH) throw new Error(`Rule groups can be nested at most ${MAX_DEPTH} deep`);
+    if (depth > 1 && group.rules.length === 0) throw new Error('Nested rule groups cannot be empty');
+
+    return {
+        op,
+        rules: group.rules.map(rule => rule && Array.isArray(rule.rules)
+            ? validateGroup(rule, depth + 1, counter)
+            : validateRule(rule, counter))
+    };
+}
+
+function validateRule(rule, counter) {
+    if (++counter.rules > MAX_RULES) throw new Error(`At most ${MAX_RULES} rules are allowed`);
+    if (!rule || typeof rule !== 'object') throw new Error('Invalid rule');
+
+    const field = FIELDS[rule.field];
+    if (!field) throw new Error(`Unknown field "${rule.field}"`);
+
+    const cmp = COMPARATORS[field.type][rule.cmp];
+    if (!cmp) throw new Error(`"${rule.cmp}" cannot be used with ${rule.field}`);
+
+    return { field: rule.field, cmp: rule.cmp, value: validateValue(field.type, rule.cmp, rule.value, rule.field) };
+}
+
+function validateValue(type, cmp, value, fieldName) {
+    if (cmp === 'in' || cmp === 'not_in') {
+        if (!Array.isArray(value) || value.length === 0 || value.length > MAX_LIST) {
+            throw new Error(`${fieldName} ${cmp} needs a list of 1-${MAX_LIST} values`);
+        }
+        return value.map(v => validateValue(type, 'is', v, fieldName));
+    }
+    if (cmp === 'between') {
+        if (!Array.isArray(value) || value.length !== 2) {
+            throw new Error(`${fieldName} between needs [min, max]`);
+        }
+        const [min, max] = value.map(v => validateValue(type, 'eq', v, fieldName));
+        if (min > max) throw new Error(`${fieldName} between: min is greater than max`);
+        return [min, max];
+    }
+    if (type === 'number') {
+        const n = typeof value === 'number' ? value : parseFloat(value);
+        if (!Number.isFinite(n)) throw new Error(`${fieldName} needs a number`);
+        return n;
+    }
+    if (typeof value !== 'string' || value.length === 0 || value.length > MAX_STRING) {
+        throw new Error(`${fieldName} needs text (1-${MAX_STRING} characters)`);
+    }
+    return value;
+}
+
+// ------------------------------------------------------------
+// Evaluation
+// ------------------------------------------------------------
+
+// Scans from the relay carry an animals list; scanner-saved servers may only
+// have bestName/bestValue
+function scanAnimals(scan) {
+    if (Array.isArray(scan.animals) && scan.animals.length > 0) {
+        return scan.animals.map(a => ({ ...a, value: a.value ?? a.genValue ?? 0 }));
+    }
+    return [{ name: scan.bestName, value: scan.bestValue || 0 }];
+}
+
+function evaluate(node, animal, scan) {
+    if (Array.isArray(node.rules)) {
+        if (node.rules.length === 0) return true;
+        return node.op === 'or'
+            ? node.rules.some(rule => evaluate(rule, animal, scan))
+            : node.rules.every(rule => evaluate(rule, animal, scan));
+    }
+
+    const field = FIELDS[node.field];
+    let actual = field.get(animal, scan);
+    let expected = node.value;
+    if (field.type === 'string') {
+        // Names and mutations are compared case-insensitively
+        actual = String(actual ?? '').toLowerCase();
+        expected = Array.isArray(expected) ? expected.map(v => v.toLowerCase()) : expected.toLowerCase();
+    } else {
+        actual = Number(actual) || 0;
+    }
+    return COMPARATORS[field.type][node.cmp](actual, expected);
+}
+
+// Brainrots in `scan` that satisfy `rules` (all of them when there are no rules)
+function matchScan(rules, scan) {
+    const animals = scanAnimals(scan);
+    if (!rules) return animals;
+    return animals.filter(animal => evaluate(rules, animal, scan));
+}
+
+// ------------------------------------------------------------
+// Config page filters (general_min / include_config / exclude_config)
+// ------------------------------------------------------------
+
+// Excluded brainrots are dropped at or below their max (0 = always). If the
+// include list is set only those brainrots count, each above its own minimum;
+// otherwise anything at or above general_min does.
+function matchesConfig(user, animal) {
+    const include = user.include_config || {};
+    const exclude = user.exclude_config || {};
+    const value = animal.value || 0;
+
+    if (Object.prototype.hasOwnProperty.call(exclude, animal.name)) {
+        const max = exclude[animal.name] || 0;
+        if (max === 0 || value <= max) return false;
+    }
+    if (Object.keys(include).length > 0) {
+        return Object.prototype.hasOwnProperty.call(include, animal.name) && value >= (include[animal.name] || 0);
+    }
+    return value >= (user.general_min || 0);
+}
+
+module.exports = { validateRules, matchScan, matchesConfig, scanAnimals, FIELDS, COMPARATORS };
@@ -0,0 +1,53 @@
+// ============================================================
+// ADMIN AUDIT LOG
+// ============================================================
+//
+// Append-only record of every admin action. Stored as the "audit" event
+// stream, so it can be filtered by admin (actor = Discord ID), target user
+// (user_id), action (kind) and time range.
+//
+// Entry:
+//   { id, timestamp, actor, admin_username, user_id, target_username,
+//     kind, action, params, before, after, source }
+
+const STREAM = 'audit';
+
+function createAudit(storage) {
+    // entry = { admin, target, action, params, before, after, source }
+    // admin/target are user objects (target may be null for global actions)
+    function record({ admin, target, action, params, before, after, source }) {
+        const entry = storage.appendEvent(STREAM, {
+            timestamp: Date.now(),
+            actor: admin.discord_id,
+            admin_username: admin.username,
+            user_id: target ? target.id : null,
+            target_username: target ? target.username : null,
+            kind: action,
+            action,
+            params: params || null,
+            before: before === undefined ? null : before,
+            after: after === undefined ? null : after,
+            source: source || null
+        });
+
+        console.log(`[Audit] ${admin.username} ${action}${target ? ` → ${target.username}` : ''}`);
+        return entry;
+    }
+
+    // filter = { admin (discord id), user_id, action, since, until, beforeId, limit }
+    function query(filter = {}) {
+        return storage.queryEvents(STREAM, {
+            actor: filter.admin,
+            user_id: filter.user_id,
+            kind: filter.action,
+            since: filter.since,
+            until: filter.until,
+            beforeId: filter.beforeId,
+            limit: filter.limit
+        });
+    }
+
+    return { record, query };
+}
+
+module.exports = { createAudit };
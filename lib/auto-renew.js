@@ -0,0 +1,121 @@
+// ============================================================
+// AUTO-RENEW
+// ============================================================
+//
+// Opt-in per user, stored on the user:
+//   user.auto_renew = { enabled, hours, last_error, renewed_at, warned_for, failed_for }
+//
+// Every CHECK_INTERVAL, subscriptions with auto-renew on that expire within
+// RENEW_BEFORE get `hours` more of their current tier from the balance. The
+// renewal goes through the same checks and pricing as /api/subscribe
+// (checkPurchase / purchase) - renewing the same tier keeps the user's slot.
+//
+// When a renewal would fail (usually not enough balance) the user gets one DM
+// WARN_BEFORE expiry and one when the renewal itself fails; last_error shows
+// why on the dashboard. warned_for / failed_for hold the subscription_expires
+// they were sent for, so each expiry is warned about once. Paused plans are
+// skipped - their time is frozen.
+
+const CHECK_INTERVAL = 60 * 1000;
+const RENEW_BEFORE = 10 * 60 * 1000;
+const WARN_BEFORE = 60 * 60 * 1000;
+const MAX_HOURS = 168;
+
+// deps:
+//   checkPurchase(user, tier, hours) -> { plan, hours, cost } or { error }
+//   purchase(user, tier, hours, context)
+//   notify(user, message) - Discord DM, may reject
+function createAutoRenew({ db, findUser, updateUser, getMinHours, checkPurchase, purchase, notify }) {
+    const stats = { renewed: 0, failed: 0, warned: 0 };
+
+    function settingsFor(user) {
+        return { enabled: false, hours: getMinHours(), last_error: null, renewed_at: null, warned_for: null, failed_for: null, ...(user.auto_renew || {}) };
+    }
+
+    function save(userId, changes) {
+        const current = findUser({ id: userId });
+        if (current) updateUser(userId, { auto_renew: { ...settingsFor(current), ...changes } });
+    }
+
+    function dm(user, message) {
+        Promise.resolve()
+            .then(() => notify(user, message))
+            .catch(err => console.log(`[AutoRenew] Could not DM ${user.username}: ${err.message}`));
+    }
+
+    // Validates and saves the user's choice; throws Error on bad input
+    function update(user, { enabled, hours }) {
+        const minHours = getMinHours();
+        const parsedHours = Math.round(parseFloat(hours ?? settingsFor(user).hours) * 10) / 10;
+        if (isNaN(parsedHours) || parsedHours < minHours || parsedHours > MAX_HOURS) {
+            throw new Error(`Renewal must be between ${minHours} and ${MAX_HOURS} hours`);
+        }
+        // Changing the setting clears old warnings so the new one is checked afresh
+        save(user.id, { enabled: !!enabled, hours: parsedHours, last_error: null, warned_for: null, failed_for: null });
+        return settingsFor(findUser({ id: user.id }));
+    }
+
+    function renew(user, settings) {
+        const tier = user.subscription_tier;
+        const check = checkPurchase(user, tier, settings.hours);
+        if (check.error) {
+            if (settings.failed_for !== user.subscription_expires) {
+                stats.failed++;
+                console.log(`[AutoRenew] Could not renew ${user.username}: ${check.error}`);
+                save(user.id, { last_error: check.error, failed_for: user.subscription_expires });
+                dm(user, `⚠️ Your plan could not be auto-renewed: ${check.error}. It ends <t:${Math.floor(user.subscription_expires / 1000)}:R>.`);
+            }
+            return;
+        }
+
+        const result = purchase(user, tier, check.hours, {
+            actor: { type: 'system', id: null, name: 'auto-renew' },
+            reason: 'auto_renew',
+            source: 'auto-renew',
+            details: { tier, hours: check.hours, cost: check.cost }
+        });
+        stats.renewed++;
+        console.log(`[AutoRenew] Renewed ${user.username}: +${check.hours}h of ${check.plan.name} for $${check.cost.toFixed(2)}`);
+        save(user.id, { last_error: null, renewed_at: Date.now(), warned_for: null, failed_for: null });
+        dm(user, `🔁 Your **${check.plan.name}** plan was auto-renewed: +${check.hours}h for $${check.cost.toFixed(2)} (balance left: $${result.balance.toFixed(2)}).`);
+    }
+
+    function warn(user, settings) {
+        if (settings.warned_for === user.subscription_expires) return;
+        const check = checkPurchase(user, user.subscription_tier, settings.hours);
+        if (!check.error) return;
+
+        stats.warned++;
+        const short = check.needed !== undefined ? ` - top up at least $${(check.needed - check.have).toFixed(2)}` : '';
+        console.log(`[AutoRenew] Warned ${user.username}: ${check.error}`);
+        save(user.id, { last_error: check.error, warned_for: user.subscription_expires });
+        dm(user, `⚠️ Your plan ends <t:${Math.floor(user.subscription_expires / 1000)}:R> and auto-renew won't work: ${check.error}${short}.`);
+    }
+
+    function check() {
+        const now = Date.now();
+        for (const user of db.users) {
+            const settings = user.auto_renew;
+            if (!settings || !settings.enabled) continue;
+            if (!(user.subscription_tier > 0) || !(user.subscription_expires > now) || user.paused) continue;
+
+            const left = user.subscription_expires - now;
+            try {
+                if (left <= RENEW_BEFORE) renew(user, settingsFor(user));
+                else if (left <= WARN_BEFORE) warn(user, settingsFor(user));
+            } catch (err) {
+                console.error(`[AutoRenew] Error for ${user.username}:`, err.message);
+            }
+        }
+    }
+
+    function getStats() {
+        return { ...stats, enabled: db.users.filter(u => u.auto_renew?.enabled).length };
+    }
+
+    setInterval(check, CHECK_INTERVAL).unref();
+
+    return { settingsFor, update, check, getStats };
+}
+
+module.exports = { createAutoRenew, RENEW_BEFORE, WARN_BEFORE };
@@ -0,0 +1,262 @@
+// ============================================================
+// BRAINROT CATALOG
+// ============================================================
+//
+// The one list of known brainrots, used by the config page (/api/catalog),
+// Discord embeds and the website logs. Stored in db.brainrot_catalog:
+//   [{ id, name, aliases, rarity, base_value, image, learned, first_seen }]
+//
+// Scans are resolved against it: a name or alias (case-insensitive) maps to
+// the canonical name. Names we have never seen are added automatically with
+// learned: true so admins can fill in rarity/value/image later. Scanners are
+// not trusted with that: a learned name must look like a brainrot name
+// (LEARN_NAME_PATTERN, up to MAX_LEARNED_NAME characters) and at most
+// CATALOG_MAX_LEARNED entries wait for review - past that nothing new is
+// learned until admins review (edit) or delete some.
+//
+// Entries without an image use the calculator site's image for that name.
+// Nothing links to these source images directly - pages and embeds go through
+// /img/brainrot/:name (lib/image-cache), which caches them and serves
+// admin-uploaded art.
+
+const { v4: uuidv4 } = require('uuid');
+
+const RARITIES = ['Common', 'Rare', 'Epic', 'Legendary', 'Mythic', 'Brainrot God', 'Secret', 'OG'];
+
+const MAX_NAME = 60;
+const MAX_ALIASES = 10;
+const MAX_LEARNED = parseInt(process.env.CATALOG_MAX_LEARNED) || 200;
+const MAX_LEARNED_NAME = 40;
+// Letters, digits, spaces and a little punctuation, starting with a letter or digit
+const LEARN_NAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} '&.-]*$/u;
+
+// Seed list - what config.html used to hardcode
+const SEED_NAMES = [
+    'Skibidi Toilet', 'Dragon Cannelloni', 'Meowl', 'Headless Horseman', 'Strawberry Elephant',
+    'Dragonini Gingerini', 'Cooki and Milki', 'Capitano Moby', 'La Supreme Combinasion',
+    'Burguro and Fryuro', 'Garama and Madundung', 'Lavadorito Spinito', 'Spooky and Pumpky',
+    'La Casa Boo', 'La Secret Combinasion', 'Chillin Chili', 'Ketchuru and Musturu',
+    'Ketupat Kepat', 'La Taco Combinasion', 'Tang Tang Keletang', 'Tictac Sahur', 'W or L',
+    'Spaghetti Tualetti', 'Nuclearo Dinossauro', 'Money Money Puggy', 'Fragrama and Chocrama',
+    'La Grande Combinasion', 'Los Combinasionas', 'Esok Sekolah', 'Los Burritos', 'Las Sis',
+    'Los Mobilis', 'Mieteteira Bicicleteira', 'Los 67', 'Los Candies', 'Chimnino',
+    'Swaggy Bros', 'Los Spooky Combinasionas', 'Chicleteira Noelteira', 'Tralaledon',
+    'Los Tacoritas', 'Chipso and Queso', 'Orcaledon', 'La Extinct Grande', 'Tacorita Bicicleta',
+    'Eviledon', 'Los Bros', 'La Jolly Grande', 'La Spooky Grande', 'Los Primos',
+    'Fishino Clownino', 'Festive 67', 'La Ginger Sekolah', 'Reinito Sleighito',
+    'Los Spaghettis', 'Los Puggies', 'Celularcini Viciosini', 'Los Hotspotsitos',
+    'Mariachi Corazoni', '67', 'Los Chicleteiras', 'Rang Ring Bus',
+    'Los Nooo My Hotspotsitos', 'Burrito Bandito', 'Chicleteirina Bicicleteirina',
+    'Chicleteira Bicicleteira', 'Quesadillo Vampiro', 'Pot Pumpkin', 'Quesadilla Crocodila'
+];
+
+const SEED_IMAGES = {
+    'Mieteteira Bicicleteira': 'https://static.wikia.nocookie.net/stealabr/images/8/86/Mieteteira_Bicicleteira.png'
+};
+
+function defaultImageUrl(name) {
+    const formatted = name.toLowerCase().replace(/ /g, '_').replace(/[^a-z0-9_]/g, '');
+    return `https://calculadora.estevao1098.com/images/brainrots/${formatted}.png`;
+}
+
+function createCatalog({ db, saveDB }) {
+    if (!Array.isArray(db.brainrot_catalog)) {
+        db.brainrot_catalog = SEED_NAMES.map(name => ({
+            id: uuidv4(),
+            name,
+            aliases: [],
+            rarity: null,
+            base_value: null,
+            image: SEED_IMAGES[name] || null,
+            learned: false,
+            first_seen: null,
+            created_at: Date.now(),
+            created_by: 'seed'
+        }));
+        saveDB('brainrot_catalog');
+    }
+
+    // Lowercased name/alias -> entry, rebuilt after every change
+    let index = new Map();
+    function rebuildIndex() {
+        index = new Map();
+        for (const entry of db.brainrot_catalog) {
+            index.set(entry.name.toLowerCase(), entry);
+            for (const alias of entry.aliases || []) index.set(alias.toLowerCase(), entry);
+        }
+    }
+    rebuildIndex();
+
+    function find(id) {
+        return db.brainrot_catalog.find(e => e.id === id) || null;
+    }
+
+    function resolve(name) {
+        if (!name) return null;
+        return index.get(String(name).trim().toLowerCase()) || null;
+    }
+
+    // Canonical name for a scanned name (unchanged if unknown)
+    function canonicalName(name) {
+        const entry = resolve(name);
+        return entry ? entry.name : name;
+    }
+
+    // Source image to cache for a name
+    function imageFor(name) {
+        if (!name) return null;
+        const entry = resolve(name);
+        if (entry && entry.image) return entry.image;
+        return defaultImageUrl(entry ? entry.name : String(name));
+    }
+
+    // Path of the cached image route for a name
+    function imagePath(name) {
+        return `/img/brainrot/${encodeURIComponent(canonicalName(String(name || '').trim()))}`;
+    }
+
+    let learnFullLogged = false;
+
+    // A scanned name is worth learning, and there is room for it
+    function canLearn(name) {
+        if (!name || name === 'Unknown' || name.length > MAX_LEARNED_NAME || !LEARN_NAME_PATTERN.test(name)) return false;
+        if (db.brainrot_catalog.filter(e => e.learned).length >= MAX_LEARNED) {
+            if (!learnFullLogged) {
+                console.log(`[Catalog] ${MAX_LEARNED} learned brainrots are waiting for review - not learning "${name}" or any other new names`);
+                learnFullLogged = true;
+            }
+            return false;
+        }
+        learnFullLogged = false;
+        return true;
+    }
+
+    // Canonicalize a normalized scan's brainrot names in place and learn new ones
+    function resolveScan(scan) {
+        let learned = 0;
+        for (const animal of scan.animals || []) {
+            const entry = resolve(animal.name);
+            if (entry) {
+                animal.name = entry.name;
+                continue;
+            }
+            const name = String(animal.name).trim().replace(/\s+/g, ' ');
+            if (!canLearn(name)) continue;
+
+            const newEntry = {
+                id: uuidv4(),
+                name,
+                aliases: [],
+                rarity: null,
+                base_value: null,
+                image: null,
+                learned: true,
+                first_seen: Date.now(),
+                created_at: Date.now(),
+                created_by: scan.source || 'scan'
+            };
+            db.brainrot_catalog.push(newEntry);
+            index.set(name.toLowerCase(), newEntry);
+            learned++;
+            console.log(`[Catalog] Learned new brainrot "${name}" from ${newEntry.created_by}`);
+        }
+        if (learned > 0) saveDB('brainrot_catalog');
+        return scan;
+    }
+
+    // Entry as served by /api/catalog - image_url is the cached image route
+    function toPublic(entry) {
+        return { ...entry, image_url: imagePath(entry.name), source_url: entry.image || defaultImageUrl(entry.name) };
+    }
+
+    function list() {
+        return [...db.brainrot_catalog]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(toPublic);
+    }
+
+    function validateName(value, label) {
+        const name = String(value || '').trim();
+        if (!name || name.length > MAX_NAME) throw new Error(`${label} must be 1-${MAX_NAME} characters`);
+        return name;
+    }
+
+    // Merge `input` over `current` and validate; throws Error
+    function validate(input, current) {
+        const entry = {
+            name: input.name !== undefined ? validateName(input.name, 'Name') : current?.name,
+            aliases: current?.aliases || [],
+            rarity: input.rarity !== undefined ? input.rarity || null : current?.rarity ?? null,
+            base_value: current?.base_value ?? null,
+            image: input.image !== undefined ? (input.image ? String(input.image).trim() : null) : current?.image ?? null
+        };
+        if (!entry.name) throw new Error('Name is required');
+
+        if (input.aliases !== undefined) {
+            const aliases = Array.isArray(input.aliases) ? input.aliases : String(input.aliases).split(',');
+            entry.aliases = [...new Set(aliases.map(a => String(a).trim()).filter(Boolean))];
+            if (entry.aliases.length > MAX_ALIASES) throw new Error(`At most ${MAX_ALIASES} aliases`);
+            entry.aliases.forEach(a => validateName(a, 'Alias'));
+        }
+        if (entry.rarity !== null && !RARITIES.includes(entry.rarity)) {
+            throw new Error(`Rarity must be one of: ${RARITIES.join(', ')}`);
+        }
+        if (input.base_value !== undefined) {
+            if (input.base_value === null || input.base_value === '') {
+                entry.base_value = null;
+            } else {
+                const n = typeof input.base_value === 'number' ? input.base_value : parseFloat(input.base_value);
+                if (!Number.isFinite(n) || n < 0) throw new Error('Base value must be a positive number');
+                entry.base_value = n;
+            }
+        }
+        if (entry.image !== null && !/^https:\/\/\S+$/.test(entry.image)) {
+            throw new Error('Image must be an https:// URL (or empty for the default)');
+        }
+
+        // Names and aliases must not clash with another entry
+        for (const name of [entry.name, ...entry.aliases]) {
+            const other = resolve(name);
+            if (other && other !== current) throw new Error(`"${name}" is already used by ${other.name}`);
+        }
+        return entry;
+    }
+
+    function create(input, createdBy) {
+        const entry = {
+            id: uuidv4(),
+            ...validate(input, null),
+            learned: false,
+            first_seen: null,
+            created_at: Date.now(),
+            created_by: createdBy
+        };
+        db.brainrot_catalog.push(entry);
+        rebuildIndex();
+        saveDB('brainrot_catalog');
+        return entry;
+    }
+
+    // Editing a learned entry marks it as reviewed
+    function update(id, input, updatedBy) {
+        const entry = find(id);
+        if (!entry) return null;
+        Object.assign(entry, validate(input, entry), { learned: false, updated_at: Date.now(), updated_by: updatedBy });
+        rebuildIndex();
+        saveDB('brainrot_catalog');
+        return entry;
+    }
+
+    function remove(id) {
+        const entry = find(id);
+        if (!entry) return null;
+        db.brainrot_catalog = db.brainrot_catalog.filter(e => e.id !== id);
+        rebuildIndex();
+        saveDB('brainrot_catalog');
+        return entry;
+    }
+
+    return { find, resolve, canonicalName, imageFor, imagePath, resolveScan, toPublic, list, create, update, remove };
+}
+
+module.exports = { createCatalog, RARITIES };
@@ -0,0 +1,123 @@
+// ============================================================
+// SERVER CLAIMS
+// ============================================================
+//
+// Opt-in reservations so subscribers stop racing each other into the same
+// server. A user claims a jobId for their plan's claimSeconds; everyone else
+// sees it as claimed in /api/joiner/servers, /api/joiner/live-logs, the ESP
+// active-users list and as claim/release events on /ws/client.
+//
+// A claim ends when:
+//   - its claimSeconds run out (claims are never extended)
+//   - the claimant has not sent a joiner heartbeat for that jobId within
+//     GRACE (counted from the claim itself, so there is time to teleport)
+//   - the claimant releases it
+// Each user holds at most their plan's claimQuota claims at once, and only on
+// jobs their plan can already see (canSee). Claims are in memory only - a
+// restart releases everything.
+
+const GRACE = 30 * 1000;
+const SWEEP_INTERVAL = 5 * 1000;
+
+class ClaimError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ClaimError';
+        this.status = status;
+    }
+}
+
+function createClaims({ graceMs = GRACE, canSee = () => true, onChange = () => {} } = {}) {
+    const claims = new Map(); // jobId -> { jobId, user_id, username, claimed_at, expires_at, last_heartbeat }
+    const stats = { claimed: 0, released: 0, expired: 0, abandoned: 0, conflicts: 0 };
+
+    function release(claim, reason) {
+        claims.delete(claim.jobId);
+        stats[reason]++;
+        onChange({ type: 'release', jobId: claim.jobId, reason });
+    }
+
+    function sweep() {
+        const now = Date.now();
+        for (const claim of claims.values()) {
+            if (now >= claim.expires_at) release(claim, 'expired');
+            else if (now - claim.last_heartbeat > graceMs) release(claim, 'abandoned');
+        }
+    }
+
+    function get(jobId) {
+        return claims.get(jobId) || null;
+    }
+
+    function byUser(userId) {
+        return [...claims.values()].filter(c => c.user_id === userId);
+    }
+
+    // What other clients see about a job - null when unclaimed
+    function publicClaim(jobId, viewerId) {
+        const claim = claims.get(jobId);
+        if (!claim) return null;
+        return {
+            claimed_by: claim.username,
+            mine: claim.user_id === viewerId,
+            expires_in: Math.max(0, Math.ceil((claim.expires_at - Date.now()) / 1000))
+        };
+    }
+
+    // Throws ClaimError (403 no quota, 404 not visible on the plan, 409 taken);
+    // claiming your own job again returns the existing claim unchanged
+    function claim(user, jobId, { seconds, quota }) {
+        sweep();
+        if (!jobId || typeof jobId !== 'string' || jobId.length > 100) throw new ClaimError('Invalid jobId');
+        if (!seconds || !quota) throw new ClaimError('Claims are not included in your plan', 403);
+        if (!canSee(user, jobId)) throw new ClaimError('Server not found', 404);
+
+        const existing = claims.get(jobId);
+        if (existing) {
+            if (existing.user_id === user.id) return existing;
+            stats.conflicts++;
+            throw new ClaimError(`Already claimed by ${existing.username}`, 409);
+        }
+        if (byUser(user.id).length >= quota) {
+            throw new ClaimError(`Your plan allows ${quota} claim${quota === 1 ? '' : 's'} at a time - release one first`, 403);
+        }
+
+        const now = Date.now();
+        const created = {
+            jobId,
+            user_id: user.id,
+            username: user.roblox_username || user.username,
+            claimed_at: now,
+            expires_at: now + seconds * 1000,
+            last_heartbeat: now
+        };
+        claims.set(jobId, created);
+        stats.claimed++;
+        onChange({ type: 'claim', jobId, claimed_by: created.username, expires_in: seconds });
+        return created;
+    }
+
+    // Returns false if the user holds no claim on that job
+    function releaseBy(userId, jobId) {
+        const existing = claims.get(jobId);
+        if (!existing || existing.user_id !== userId) return false;
+        release(existing, 'released');
+        return true;
+    }
+
+    // Joiner heartbeat from this user in this job keeps their claim alive
+    function heartbeat(userId, jobId) {
+        const existing = claims.get(jobId);
+        if (existing && existing.user_id === userId) existing.last_heartbeat = Date.now();
+    }
+
+    function getStats() {
+        return { ...stats, active: claims.size };
+    }
+
+    setInterval(sweep, SWEEP_INTERVAL);
+
+    return { claim, releaseBy, heartbeat, get, byUser, publicClaim, sweep, getStats };
+}
+
+module.exports = { createClaims, ClaimError };
@@ -0,0 +1,207 @@
+// ============================================================
+// IN-GAME PUSH CHANNEL
+// ============================================================
+//
+// In-game (Lua) clients can hold one WebSocket open instead of polling
+// /api/joiner/live-logs, /api/check-pause and /api/joiner/heartbeat:
+//   ws(s)://host/ws/client?key=<license key>&hwid=<hwid>&roblox_username=<name>
+//
+// Server -> client:
+//   { type: 'welcome', username, tier, plan, maxValue, expires, delaySeconds, heartbeat_interval }
+//   { type: 'backlog', logs }          - recent scans that pass the user's filters, once
+//   { type: 'scan', log, matches }     - a new scan that passes the user's filters
+//   { type: 'heartbeat', users }       - reply to a heartbeat: other Ultra users in that server
+//   { type: 'claim', jobId, claimed_by, expires_in } / { type: 'release', jobId, reason }
+//                                      - someone claimed / gave up a server (see lib/claims)
+//   { type: 'pause', reason, kick }    - plan paused, the socket is closed after it
+//   { type: 'kick', reason }           - banned / expired / key or HWID changed, closed after it
+//   { type: 'error', error }           - bad message, or why the connection was refused
+// Client -> server:
+//   { type: 'heartbeat', jobId, userId, username }
+//
+// `log` has the same shape as /api/joiner/live-logs entries. Scans are filtered
+// like personal notifications (tier maxValue, alert rules, config page lists)
+// and held back for the plan's exclusivity window (getDelay).
+// Pause and kick are checked every SWEEP_INTERVAL for connected users only.
+// Clients that neither answer pings nor send heartbeats for CLIENT_TIMEOUT are
+// dropped.
+
+const WebSocket = require('ws');
+
+const SWEEP_INTERVAL = 5 * 1000;
+const PING_INTERVAL = 30 * 1000;
+const CLIENT_TIMEOUT = 90 * 1000;
+const HEARTBEAT_INTERVAL = 15 * 1000; // what clients are told to use
+const BACKLOG_SIZE = 20;
+
+// Close codes - the reason is also sent as a message first
+const CLOSE_REFUSED = 4001;
+const CLOSE_PAUSED = 4003;
+const CLOSE_KICKED = 4004;
+
+function createClientPush({ db, findUser, checkAccess, isHWIDBanned, getPlan, getDelay, matchesFor, recentLogs, joinerSessions }) {
+    const clients = new Set(); // { ws, userId, key, hwid, connected_at, last_seen }
+    const stats = { connections: 0, refused: 0, pushed: 0, kicked: 0 };
+
+    function send(ws, message) {
+        if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+    }
+
+    function close(client, code, message) {
+        send(client.ws, message);
+        client.ws.close(code, message.reason || message.error);
+        clients.delete(client);
+    }
+
+    // Why a connected client has to go, or null - mirrors /api/check-pause and
+    // the license checks of /api/joiner/validate
+    function dropReason(client) {
+        const user = findUser({ id: client.userId });
+        if (!user || user.license_key !== client.key) return { type: 'kick', reason: 'Your license key was reset. Reconnect with the new key.' };
+        if ((user.warnings || 0) >= 2 || (user.hwid && isHWIDBanned(user.hwid))) return { type: 'kick', reason: 'BANNED: Your account has been blocked.' };
+        if (!(user.subscription_expires > Date.now())) return { type: 'kick', reason: 'Subscription expired! Renew at ultranotifier.live' };
+        if (user.hwid && client.hwid && user.hwid !== client.hwid) return { type: 'kick', reason: 'HWID mismatch. Reset HWID on website.' };
+        if (db.global_paused) return { type: 'pause', reason: 'All plans are currently paused by admin', kick: true };
+        if (user.paused) return { type: 'pause', reason: 'Your plan has been paused by admin', kick: true };
+        return null;
+    }
+
+    function sweep() {
+        const now = Date.now();
+        for (const client of clients) {
+            if (now - client.last_seen > CLIENT_TIMEOUT) {
+                clients.delete(client);
+                client.ws.terminate();
+                continue;
+            }
+            const drop = dropReason(client);
+            if (drop) {
+                stats.kicked++;
+                console.log(`[Push] ${drop.type === 'pause' ? 'Paused' : 'Kicked'} ${client.username}: ${drop.reason}`);
+                close(client, drop.type === 'pause' ? CLOSE_PAUSED : CLOSE_KICKED, drop);
+            }
+        }
+    }
+
+    function handleMessage(client, data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (err) {
+            return send(client.ws, { type: 'error', error: 'Invalid JSON' });
+        }
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            return send(client.ws, { type: 'error', error: 'Invalid JSON' });
+        }
+
+        if (message.type === 'heartbeat') {
+            const { jobId, userId, username } = message;
+            if (!jobId || !userId) return send(client.ws, { type: 'error', error: 'Heartbeat needs jobId and userId' });
+            joinerSessions.touch(String(jobId), String(userId), username, client.userId);
+            return send(client.ws, { type: 'heartbeat', users: joinerSessions.activeUsers(String(jobId), String(userId)) });
+        }
+        send(client.ws, { type: 'error', error: `Unknown message type: ${message.type}` });
+    }
+
+    // A freshly upgraded /ws/client socket
+    function attach(ws, { key, hwid, roblox_username }) {
+        const access = checkAccess({ key, hwid, roblox_username });
+        if (access.error) {
+            stats.refused++;
+            send(ws, { type: 'error', error: access.error });
+            return ws.close(CLOSE_REFUSED, 'refused');
+        }
+
+        const { user } = access;
+        const client = { ws, userId: user.id, username: user.username, key, hwid: hwid || user.hwid || null, connected_at: Date.now(), last_seen: Date.now() };
+        clients.add(client);
+        stats.connections++;
+        console.log(`[Push] ${user.username} connected (${clients.size} clients)`);
+
+        const plan = getPlan(user.subscription_tier);
+        const delay = getDelay(user);
+        send(ws, {
+            type: 'welcome',
+            username: user.username,
+            tier: user.subscription_tier,
+            plan: plan?.name || 'None',
+            maxValue: plan?.maxValue || 0, // 0 means unlimited
+            expires: user.subscription_expires,
+            delaySeconds: delay / 1000,
+            heartbeat_interval: HEARTBEAT_INTERVAL
+        });
+        // Logs still inside the exclusivity window are pushed once it ends
+        const visibleBefore = Date.now() - delay;
+        const logs = recentLogs().filter(log => matchesFor(user, log).length > 0).slice(0, BACKLOG_SIZE);
+        send(ws, { type: 'backlog', logs: logs.filter(log => log.timestamp <= visibleBefore) });
+        for (const log of logs.filter(log => log.timestamp > visibleBefore)) {
+            setTimeout(() => pushTo(client, log, log), log.timestamp + delay - Date.now());
+        }
+
+        // A bad frame must never throw out of the listener - that would take
+        // the whole server down
+        ws.on('message', (data) => {
+            client.last_seen = Date.now();
+            try {
+                handleMessage(client, data);
+            } catch (err) {
+                console.error(`[Push] Message error for ${client.username}:`, err.message);
+            }
+        });
+        ws.on('pong', () => {
+            client.last_seen = Date.now();
+        });
+        ws.on('close', () => {
+            clients.delete(client);
+        });
+        ws.on('error', (err) => {
+            console.error(`[Push] Socket error for ${client.username}:`, err.message);
+        });
+    }
+
+    function pushTo(client, scan, log) {
+        if (!clients.has(client)) return;
+        const user = findUser({ id: client.userId });
+        if (!user) return;
+        const matches = matchesFor(user, scan);
+        if (matches.length === 0) return;
+        send(client.ws, { type: 'scan', log, matches: matches.map(a => a.name) });
+        stats.pushed++;
+    }
+
+    // Called for every live scan (not cache replays) with its live-logs entry
+    function pushScan(scan, log) {
+        for (const client of clients) {
+            const user = findUser({ id: client.userId });
+            if (!user) continue;
+            const delay = getDelay(user);
+            if (delay > 0) setTimeout(() => pushTo(client, scan, log), delay);
+            else pushTo(client, scan, log);
+        }
+    }
+
+    // Same message to every connected client, or only to those whose user
+    // passes visibleTo(user)
+    function broadcast(message, visibleTo = null) {
+        for (const client of clients) {
+            if (visibleTo) {
+                const user = findUser({ id: client.userId });
+                if (!user || !visibleTo(user)) continue;
+            }
+            send(client.ws, message);
+        }
+    }
+
+    function getStats() {
+        return { ...stats, connected: clients.size, users: new Set([...clients].map(c => c.userId)).size };
+    }
+
+    setInterval(sweep, SWEEP_INTERVAL);
+    setInterval(() => {
+        for (const client of clients) client.ws.ping();
+    }, PING_INTERVAL);
+
+    return { attach, pushScan, broadcast, sweep, getStats };
+}
+
+module.exports = { createClientPush };
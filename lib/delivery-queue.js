@@ -0,0 +1,204 @@
+// ============================================================
+// WEBHOOK DELIVERY QUEUE
+// ============================================================
+//
+// Outbound Discord webhook posts go through here instead of bare fetch calls.
+//   - one FIFO queue per webhook (key), so alerts arrive in order
+//   - 429s wait for Discord's retry_after, 5xx / network errors back off
+//     exponentially (with jitter)
+//   - other 4xx are not retried
+//   - after WEBHOOK_MAX_ATTEMPTS a job is dead-lettered to the
+//     "webhook_dead_letters" event stream (payload kept, URL never stored)
+//
+// The queue is in memory - jobs still waiting when the process stops are lost.
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const BASE_DELAY = 1000;
+const MAX_DELAY = 60 * 1000;
+const MAX_QUEUE = 100; // per webhook; oldest waiting job is dead-lettered when full
+const DEAD_LETTER_STREAM = 'webhook_dead_letters';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function backoffDelay(attempt, baseDelay, maxDelay) {
+    const delay = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Discord sends retry_after (seconds) in the JSON body; fall back to the header
+async function retryAfterMs(res) {
+    const body = await res.json().catch(() => ({}));
+    const seconds = parseFloat(body.retry_after ?? res.headers.get('retry-after'));
+    return Number.isFinite(seconds) ? Math.ceil(seconds * 1000) : BASE_DELAY;
+}
+
+function createDeliveryQueue({ storage, maxAttempts = MAX_ATTEMPTS, baseDelay = BASE_DELAY, maxDelay = MAX_DELAY, fetchImpl = fetch }) {
+    const queues = new Map(); // key -> { label, jobs, running, metrics }
+
+    function emptyMetrics() {
+        return {
+            delivered: 0,
+            failed_attempts: 0,
+            retries: 0,
+            rate_limited: 0,
+            dead_lettered: 0,
+            total_latency_ms: 0,
+            last_delivered_at: null,
+            last_error: null,
+            last_error_at: null
+        };
+    }
+
+    function queueFor(key, label) {
+        if (!queues.has(key)) {
+            queues.set(key, { label, jobs: [], running: false, metrics: emptyMetrics() });
+        }
+        const queue = queues.get(key);
+        if (label) queue.label = label;
+        return queue;
+    }
+
+    function deadLetter(key, queue, job, reason) {
+        queue.metrics.dead_lettered++;
+        storage.appendEvent(DEAD_LETTER_STREAM, {
+            timestamp: Date.now(),
+            actor: key,
+            kind: 'dead_letter',
+            label: queue.label,
+            reason,
+            attempts: job.attempts,
+            enqueued_at: job.enqueued_at,
+            meta: job.meta,
+            payload: job.payload
+        });
+        console.error(`[Delivery] ☠️ Dead-lettered ${queue.label} after ${job.attempts} attempt(s): ${reason}`);
+    }
+
+    // One POST; returns { done } or { retryIn } for the worker loop
+    async function attempt(key, queue, job) {
+        job.attempts++;
+        const started = Date.now();
+        const { metrics } = queue;
+
+        let res;
+        try {
+            res = await fetchImpl(job.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(job.payload)
+            });
+        } catch (err) {
+            res = null;
+            job.last_error = `network: ${err.message}`;
+        }
+
+        if (res && res.ok) {
+            metrics.delivered++;
+            metrics.total_latency_ms += Date.now() - job.enqueued_at;
+            metrics.last_delivered_at = Date.now();
+            return { done: true };
+        }
+
+        metrics.failed_attempts++;
+        let retryIn;
+        if (res && res.status === 429) {
+            metrics.rate_limited++;
+            retryIn = await retryAfterMs(res);
+            job.last_error = `429 rate limited (retry after ${retryIn}ms)`;
+        } else if (!res || res.status >= 500) {
+            retryIn = backoffDelay(job.attempts, baseDelay, maxDelay);
+            if (res) job.last_error = `HTTP ${res.status}`;
+        } else {
+            job.last_error = `HTTP ${res.status}`;
+        }
+        metrics.last_error = job.last_error;
+        metrics.last_error_at = started;
+
+        if (retryIn === undefined) {
+            deadLetter(key, queue, job, `${job.last_error} (not retryable)`);
+            return { done: true };
+        }
+        if (job.attempts >= maxAttempts) {
+            deadLetter(key, queue, job, job.last_error);
+            return { done: true };
+        }
+
+        metrics.retries++;
+        console.log(`[Delivery] ${queue.label}: ${job.last_error} - retry ${job.attempts}/${maxAttempts - 1} in ${retryIn}ms`);
+        return { retryIn };
+    }
+
+    async function drain(key) {
+        const queue = queues.get(key);
+        if (queue.running) return;
+        queue.running = true;
+
+        try {
+            while (queue.jobs.length > 0) {
+                const job = queue.jobs[0];
+                const result = await attempt(key, queue, job);
+                if (result.done) {
+                    queue.jobs.shift();
+                } else {
+                    await sleep(result.retryIn);
+                }
+            }
+        } finally {
+            queue.running = false;
+        }
+    }
+
+    // job = { key, label, url, payload, meta } - key orders deliveries (one per webhook)
+    function enqueue({ key, label, url, payload, meta = null }) {
+        const queue = queueFor(key, label);
+        if (queue.jobs.length >= MAX_QUEUE) {
+            // Never drop the head - it may be mid-delivery
+            const [dropped] = queue.jobs.splice(1, 1);
+            deadLetter(key, queue, dropped, 'queue full');
+        }
+        queue.jobs.push({ url, payload, meta, attempts: 0, enqueued_at: Date.now(), last_error: null });
+        drain(key).catch(err => console.error(`[Delivery] Worker for ${queue.label} crashed:`, err.message));
+    }
+
+    function metrics() {
+        const byKey = {};
+        const totals = { ...emptyMetrics(), queued: 0 };
+        for (const [key, queue] of queues) {
+            const m = queue.metrics;
+            byKey[key] = {
+                label: queue.label,
+                queued: queue.jobs.length,
+                ...m,
+                avg_latency_ms: m.delivered > 0 ? Math.round(m.total_latency_ms / m.delivered) : null
+            };
+            totals.queued += queue.jobs.length;
+            for (const field of ['delivered', 'failed_attempts', 'retries', 'rate_limited', 'dead_lettered', 'total_latency_ms']) {
+                totals[field] += m[field];
+            }
+        }
+        totals.avg_latency_ms = totals.delivered > 0 ? Math.round(totals.total_latency_ms / totals.delivered) : null;
+        return { totals, queues: byKey };
+    }
+
+    // filter = { key, beforeId, limit } - newest first
+    function deadLetters(filter = {}) {
+        return storage.queryEvents(DEAD_LETTER_STREAM, {
+            actor: filter.key,
+            beforeId: filter.beforeId,
+            limit: filter.limit
+        });
+    }
+
+    function findDeadLetter(id) {
+        const [entry] = storage.queryEvents(DEAD_LETTER_STREAM, { beforeId: id + 1, limit: 1 });
+        return entry && entry.id === id ? entry : null;
+    }
+
+    function idle() {
+        return [...queues.values()].every(q => q.jobs.length === 0);
+    }
+
+    return { enqueue, metrics, deadLetters, findDeadLetter, idle };
+}
+
+module.exports = { createDeliveryQueue, backoffDelay, MAX_ATTEMPTS };
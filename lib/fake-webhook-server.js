@@ -0,0 +1,68 @@
+// ============================================================
+// FAKE DISCORD WEBHOOK SERVER (local testing only)
+// ============================================================
+//
+// Stands in for discord.com so the delivery queue can be exercised locally.
+// The webhook token picks the behaviour:
+//   .../api/webhooks/1/ok          -> 204 every time
+//   .../api/webhooks/1/ratelimit   -> 429 (retry_after 1.5s) every other request
+//   .../api/webhooks/1/flaky       -> 500 for the first 2 requests, then 204
+//   .../api/webhooks/1/down        -> 500 every time (ends up dead-lettered)
+//   .../api/webhooks/1/gone        -> 404 (not retried)
+//
+// Run with:  npm run fake-webhook  (port 4001, or FAKE_WEBHOOK_PORT)
+// and set WEBHOOK_ALLOW_LOCAL=true so http://localhost webhook URLs are accepted.
+// npm run check-delivery (npm test) runs the queue against it automatically.
+
+const http = require('http');
+
+function createFakeWebhookServer() {
+    const counts = {};
+    const received = [];
+
+    const server = http.createServer((req, res) => {
+        const match = /^\/api\/webhooks\/\d+\/([\w-]+)/.exec(req.url);
+        if (req.method !== 'POST' || !match) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ message: 'Unknown Webhook', code: 10015 }));
+        }
+
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const token = match[1];
+            const count = counts[token] = (counts[token] || 0) + 1;
+            const reply = (status, json) => {
+                console.log(`[FakeWebhook] ${token} #${count} -> ${status}`);
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(json ? JSON.stringify(json) : undefined);
+            };
+
+            if (token.startsWith('ratelimit') && count % 2 === 1) {
+                return reply(429, { message: 'You are being rate limited.', retry_after: 1.5, global: false });
+            }
+            if (token.startsWith('flaky') && count <= 2) return reply(500, { message: 'Internal Server Error' });
+            if (token.startsWith('down')) return reply(500, { message: 'Internal Server Error' });
+            if (token.startsWith('gone')) return reply(404, { message: 'Unknown Webhook', code: 10015 });
+
+            try {
+                received.push({ token, payload: JSON.parse(body) });
+            } catch (e) {
+                return reply(400, { message: 'Cannot send an empty message', code: 50006 });
+            }
+            reply(204);
+        });
+    });
+
+    return { server, received, counts };
+}
+
+module.exports = { createFakeWebhookServer };
+
+if (require.main === module) {
+    const port = parseInt(process.env.FAKE_WEBHOOK_PORT) || 4001;
+    const { server } = createFakeWebhookServer();
+    server.listen(port, () => {
+        console.log(`[FakeWebhook] Listening on http://localhost:${port}/api/webhooks/1/<ok|ratelimit|flaky|down|gone>`);
+    });
+}
@@ -0,0 +1,230 @@
+// ============================================================
+// SCANNER FLEET COORDINATOR
+// ============================================================
+//
+// Instead of every bot picking servers and posting to /api/scanner/bot-servers
+// so the others stay away, bots ask the coordinator what to scan next:
+//
+//   1. bots submit servers they found in the public server list   (addJobs)
+//   2. a bot asks for work and gets one jobId leased to it        (next)
+//   3. it reports back when it is done with that server           (complete)
+//
+// A lease lasts LEASE_TIME. Leases held by bots that go silent (no next,
+// complete or VPS heartbeat for BOT_TIMEOUT) or that run out are put back at
+// the front of the queue for another bot, at most MAX_ATTEMPTS times.
+// Servers scanned in the last RESCAN_AFTER are not queued again.
+//
+// Each VPS can have a workload target (vps.target_per_min, scans per minute
+// over the last RATE_WINDOW); once a VPS reaches it its bots are told to wait.
+// Everything is in memory - after a restart bots simply resubmit servers.
+
+const LEASE_TIME = 90 * 1000;
+const BOT_TIMEOUT = 60 * 1000;
+const RESCAN_AFTER = 5 * 60 * 1000;
+const JOB_TTL = 10 * 60 * 1000;
+const RATE_WINDOW = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+const MAX_QUEUE = 5000;
+const RETRY_IN = 5; // seconds bots wait when there is no work for them
+const SWEEP_INTERVAL = 10 * 1000;
+
+const RESULTS = ['scanned', 'full', 'failed'];
+
+function createFleet({ getVps }) {
+    let queue = [];               // [{ jobId, players, added_at, attempts }], next job first
+    const queued = new Set();     // jobIds in queue
+    const leases = new Map();     // jobId -> { jobId, vps_id, bot_id, leased_at, expires_at, attempts }
+    const bots = new Map();       // "vps:bot" -> { vps_id, bot_id, last_seen, lease, scans, total, full, failed, reassigned }
+    const recent = new Map();     // jobId -> last finished, for RESCAN_AFTER
+    const stats = { submitted: 0, assigned: 0, completed: 0, reassigned: 0, dropped: 0 };
+
+    function botFor(vpsId, botId) {
+        const key = `${vpsId}:${botId}`;
+        if (!bots.has(key)) {
+            bots.set(key, { vps_id: vpsId, bot_id: botId, last_seen: 0, lease: null, scans: [], total: 0, full: 0, failed: 0, reassigned: 0 });
+        }
+        return bots.get(key);
+    }
+
+    function touch(vpsId, botId) {
+        const bot = botFor(String(vpsId), String(botId));
+        bot.last_seen = Date.now();
+        return bot;
+    }
+
+    function enqueue(job, front) {
+        if (queued.has(job.jobId)) return;
+        queued.add(job.jobId);
+        if (front) queue.unshift(job);
+        else queue.push(job);
+    }
+
+    // Put a lease back for another bot (or drop it after MAX_ATTEMPTS)
+    function requeue(lease) {
+        leases.delete(lease.jobId);
+        const bot = bots.get(`${lease.vps_id}:${lease.bot_id}`);
+        if (bot && bot.lease === lease.jobId) {
+            bot.lease = null;
+            bot.reassigned++;
+        }
+        if (lease.attempts >= MAX_ATTEMPTS) {
+            stats.dropped++;
+            return;
+        }
+        stats.reassigned++;
+        enqueue({ jobId: lease.jobId, players: lease.players, added_at: Date.now(), attempts: lease.attempts }, true);
+    }
+
+    function sweep() {
+        const now = Date.now();
+        for (const lease of [...leases.values()]) {
+            const bot = bots.get(`${lease.vps_id}:${lease.bot_id}`);
+            const silent = !bot || now - bot.last_seen > BOT_TIMEOUT;
+            if (silent || now >= lease.expires_at) {
+                console.log(`[Fleet] Reassigning ${lease.jobId} from ${lease.vps_id}/${lease.bot_id} (${silent ? 'bot went silent' : 'lease expired'})`);
+                requeue(lease);
+            }
+        }
+        // Stale server list entries
+        queue = queue.filter(job => {
+            if (now - job.added_at < JOB_TTL) return true;
+            queued.delete(job.jobId);
+            return false;
+        });
+        for (const [jobId, at] of recent) {
+            if (now - at > RESCAN_AFTER) recent.delete(jobId);
+        }
+        for (const [key, bot] of bots) {
+            bot.scans = bot.scans.filter(t => now - t < RATE_WINDOW);
+            // Forget bots that have been gone for a long time
+            if (!bot.lease && now - bot.last_seen > RATE_WINDOW * 2) bots.delete(key);
+        }
+    }
+
+    // Servers found by a bot: [{ jobId, players }] - returns { added, skipped }
+    function addJobs(jobs) {
+        let added = 0;
+        for (const job of jobs) {
+            const jobId = job && typeof job.jobId === 'string' ? job.jobId.trim() : '';
+            if (!jobId || jobId.length > 100 || queued.has(jobId) || leases.has(jobId) || recent.has(jobId)) continue;
+            if (queue.length >= MAX_QUEUE) break;
+            enqueue({ jobId, players: job.players || null, added_at: Date.now(), attempts: 0 }, false);
+            added++;
+        }
+        stats.submitted += added;
+        return { added, skipped: jobs.length - added };
+    }
+
+    function scansPerMinute(scans) {
+        const now = Date.now();
+        return scans.filter(t => now - t < RATE_WINDOW).length / (RATE_WINDOW / 60000);
+    }
+
+    function vpsRate(vpsId) {
+        let scans = 0;
+        for (const bot of bots.values()) {
+            if (bot.vps_id === vpsId) scans += bot.scans.filter(t => Date.now() - t < RATE_WINDOW).length;
+        }
+        return scans / (RATE_WINDOW / 60000);
+    }
+
+    // Lease the next server to a bot: { jobId, players, lease_expires } or
+    // { jobId: null, retry_in, reason }. A lease the bot still holds is
+    // handed back first (it asked for new work without reporting).
+    function next(vpsId, botId) {
+        vpsId = String(vpsId);
+        const bot = touch(vpsId, botId);
+        if (bot.lease && leases.has(bot.lease)) {
+            leases.delete(bot.lease);
+            recent.set(bot.lease, Date.now());
+        }
+        bot.lease = null;
+
+        const vps = getVps(vpsId);
+        if (!vps) return { jobId: null, retry_in: RETRY_IN * 6, reason: 'Unknown VPS' };
+        if (!vps.enabled) return { jobId: null, retry_in: RETRY_IN * 6, reason: 'VPS disabled' };
+        if (vps.target_per_min && vpsRate(vpsId) >= vps.target_per_min) {
+            return { jobId: null, retry_in: RETRY_IN, reason: 'Workload target reached' };
+        }
+
+        let job;
+        while ((job = queue.shift())) {
+            queued.delete(job.jobId);
+            if (!leases.has(job.jobId) && !recent.has(job.jobId) && Date.now() - job.added_at < JOB_TTL) break;
+        }
+        if (!job) return { jobId: null, retry_in: RETRY_IN, reason: 'No servers queued' };
+
+        const now = Date.now();
+        const lease = {
+            jobId: job.jobId,
+            players: job.players,
+            vps_id: vpsId,
+            bot_id: bot.bot_id,
+            leased_at: now,
+            expires_at: now + LEASE_TIME,
+            attempts: job.attempts + 1
+        };
+        leases.set(job.jobId, lease);
+        bot.lease = job.jobId;
+        stats.assigned++;
+        return { jobId: job.jobId, players: job.players, lease_expires: lease.expires_at };
+    }
+
+    // Bot is done with its server; result is one of RESULTS. Returns false if
+    // the bot does not hold that lease (it was reassigned meanwhile).
+    function complete(vpsId, botId, jobId, result = 'scanned') {
+        const bot = touch(vpsId, botId);
+        const lease = leases.get(jobId);
+        if (!lease || lease.vps_id !== String(vpsId) || lease.bot_id !== bot.bot_id) return false;
+        if (!RESULTS.includes(result)) result = 'scanned';
+
+        leases.delete(jobId);
+        bot.lease = null;
+        recent.set(jobId, Date.now());
+        stats.completed++;
+        if (result === 'scanned') {
+            bot.scans.push(Date.now());
+            bot.total++;
+        } else {
+            bot[result]++;
+        }
+        return true;
+    }
+
+    // jobIds currently leased - for the legacy /api/scanner/bot-servers list
+    function activeLeases() {
+        return [...leases.values()];
+    }
+
+    function vpsStats(vpsId) {
+        vpsId = String(vpsId);
+        const now = Date.now();
+        const vpsBots = [...bots.values()].filter(b => b.vps_id === vpsId);
+        return {
+            active_leases: activeLeases().filter(l => l.vps_id === vpsId).length,
+            working_bots: vpsBots.filter(b => now - b.last_seen <= BOT_TIMEOUT).length,
+            scans_per_min: Math.round(vpsRate(vpsId) * 10) / 10,
+            bots: vpsBots.map(b => ({
+                bot_id: b.bot_id,
+                online: now - b.last_seen <= BOT_TIMEOUT,
+                last_seen: b.last_seen,
+                lease: b.lease,
+                scans_per_min: Math.round(scansPerMinute(b.scans) * 10) / 10,
+                total: b.total,
+                full: b.full,
+                failed: b.failed,
+                reassigned: b.reassigned
+            })).sort((a, b) => a.bot_id.localeCompare(b.bot_id, undefined, { numeric: true }))
+        };
+    }
+
+    function getStats() {
+        return { ...stats, queued: queue.length, leased: leases.size, bots: bots.size };
+    }
+
+    setInterval(sweep, SWEEP_INTERVAL);
+
+    return { addJobs, next, complete, touch, sweep, activeLeases, vpsStats, getStats };
+}
+
+module.exports = { createFleet, RESULTS };
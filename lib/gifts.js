@@ -0,0 +1,200 @@
+// ============================================================
+// GIFTS
+// ============================================================
+//
+// Users can buy plan time for someone else or send them balance, by Discord
+// ID. The recipient needs an account here (signed in once). Every gift is
+// kept in db.gifts for both dashboards:
+//   [{ id, kind: 'subscription' | 'balance', from_id, to_id, tier, hours, amount, message, created_at }]
+//
+// Subscription gifts follow the /api/subscribe rules for the recipient (slots,
+// plan availability...) paid from the sender's balance (checkPurchase). The
+// sender is charged (ledger "gift_sent") and the time is added to the
+// recipient like a purchase of their own (grant, ledger "gift_received").
+// Balance gifts move money from one balance to the other
+// ("gift_balance_sent" / "gift_balance_received").
+//
+// A gift never changes the recipient's plan: it is only allowed when they have
+// no active plan or the same tier, where it just adds hours. Otherwise anyone
+// could move a subscriber to a cheaper tier (roles, slot and all).
+//
+// Gifts are paid only from the sender's own money: promo bonuses and referral
+// rewards (user.bonus_credit, spent last - see updateUserWithLedger) stay with
+// the account that earned them. Otherwise alt accounts could collect
+// per-user promo codes or referral rewards and pass them to a main account,
+// skipping the promo limits and the referral HWID / IP checks.
+//
+// Banned users can't send or receive gifts, and paused plans can't be gifted
+// time. The recipient gets a Discord DM.
+
+const crypto = require('crypto');
+
+const MAX_MESSAGE = 200;
+const HISTORY_LIMIT = 50;
+
+class GiftError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'GiftError';
+        this.status = status;
+    }
+}
+
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// deps:
+//   checkPurchase(recipient, tier, hours, payer) -> { plan, hours, cost } or { status, error }
+//   grant(recipient, tier, hours, context) - add plan time like a purchase
+//   onPurchase(payer, cost) - the sender spent balance on a plan (referrals)
+//   isBanned(user), validateAmount(value) - throws on a bad amount
+//   notify(user, message) - Discord DM, may reject
+function createGifts({ db, saveDB, findUser, updateUserWithLedger, checkPurchase, grant, onPurchase, isBanned, validateAmount, getPlan, notify }) {
+    if (!Array.isArray(db.gifts)) db.gifts = [];
+
+    const stats = { subscriptions: 0, balance: 0 };
+
+    function dm(user, message) {
+        Promise.resolve()
+            .then(() => notify(user, message))
+            .catch(err => console.log(`[Gifts] Could not DM ${user.username}: ${err.message}`));
+    }
+
+    function resolveRecipient(sender, discordId) {
+        const id = String(discordId || '').trim();
+        if (!/^\d{17,20}$/.test(id)) throw new GiftError('Enter the recipient\'s Discord user ID');
+        if (id === sender.discord_id) throw new GiftError('You can\'t send a gift to yourself');
+        if (isBanned(sender)) throw new GiftError('Your account is banned. You cannot send gifts.', 403);
+
+        const recipient = findUser({ discord_id: id });
+        if (!recipient) throw new GiftError('That Discord user has no account here yet - they need to sign in once', 404);
+        if (isBanned(recipient)) throw new GiftError('That user is banned and can\'t receive gifts', 403);
+        return recipient;
+    }
+
+    // Balance the user can spend on gifts
+    function giftable(user) {
+        const balance = user.balance || 0;
+        return roundCents(balance - Math.min(user.bonus_credit || 0, balance));
+    }
+
+    function checkGiftable(sender, cost) {
+        if (cost <= giftable(sender)) return;
+        throw new GiftError(`Promo and referral credit can't be gifted - you can gift up to $${giftable(sender).toFixed(2)}`);
+    }
+
+    function cleanMessage(message) {
+        return String(message || '').trim().slice(0, MAX_MESSAGE) || null;
+    }
+
+    function record(gift) {
+        const entry = { id: crypto.randomBytes(6).toString('hex'), created_at: Date.now(), ...gift };
+        db.gifts.push(entry);
+        saveDB('gifts');
+        return entry;
+    }
+
+    // Buy `hours` of `tier` for the recipient; throws GiftError
+    function giftSubscription(sender, { discord_id, tier, hours, message }, context) {
+        const recipient = resolveRecipient(sender, discord_id);
+        if (recipient.paused) throw new GiftError('That user\'s plan is paused - gifts can be sent once they unpause');
+        const currentTier = recipient.subscription_expires > Date.now() ? recipient.subscription_tier : 0;
+        if (currentTier > 0 && currentTier !== parseInt(tier)) {
+            const current = getPlan(currentTier)?.name || `tier ${currentTier}`;
+            throw new GiftError(`That user already has a ${current} plan - you can only gift them more ${current} time`);
+        }
+
+        const check = checkPurchase(recipient, tier, hours, sender);
+        if (check.error) throw new GiftError(check.error, check.status);
+        const { plan, hours: parsedHours, cost } = check;
+        checkGiftable(sender, cost);
+        tier = parseInt(tier);
+
+        const balance = roundCents((sender.balance || 0) - cost);
+        updateUserWithLedger(sender.id, { balance }, {
+            ...context,
+            reason: 'gift_sent',
+            details: { to_id: recipient.id, to: recipient.username, tier, hours: parsedHours, cost }
+        });
+        grant(recipient, tier, parsedHours, {
+            ...context,
+            reason: 'gift_received',
+            details: { from_id: sender.id, from: sender.username, tier, hours: parsedHours }
+        });
+        onPurchase(sender, cost);
+
+        const note = cleanMessage(message);
+        const gift = record({ kind: 'subscription', from_id: sender.id, to_id: recipient.id, tier, hours: parsedHours, amount: cost, message: note });
+        stats.subscriptions++;
+        console.log(`[Gifts] ${sender.username} gifted ${parsedHours}h of ${plan.name} to ${recipient.username} ($${cost.toFixed(2)})`);
+        dm(recipient, `🎁 **${sender.username}** gifted you **${parsedHours}h of ${plan.name}**!${note ? `\n> ${note}` : ''}`);
+        return { gift, balance };
+    }
+
+    // Send `amount` of balance to the recipient; throws GiftError
+    function sendBalance(sender, { discord_id, amount, message }, context) {
+        const recipient = resolveRecipient(sender, discord_id);
+
+        let value;
+        try {
+            value = validateAmount(amount);
+        } catch (err) {
+            throw new GiftError(err.message);
+        }
+        if ((sender.balance || 0) < value) throw new GiftError('Insufficient balance');
+        checkGiftable(sender, value);
+
+        const balance = roundCents((sender.balance || 0) - value);
+        updateUserWithLedger(sender.id, { balance }, {
+            ...context,
+            reason: 'gift_balance_sent',
+            details: { to_id: recipient.id, to: recipient.username, amount: value }
+        });
+        updateUserWithLedger(recipient.id, { balance: roundCents((recipient.balance || 0) + value) }, {
+            ...context,
+            reason: 'gift_balance_received',
+            details: { from_id: sender.id, from: sender.username, amount: value }
+        });
+
+        const note = cleanMessage(message);
+        const gift = record({ kind: 'balance', from_id: sender.id, to_id: recipient.id, tier: null, hours: null, amount: value, message: note });
+        stats.balance++;
+        console.log(`[Gifts] ${sender.username} sent $${value.toFixed(2)} to ${recipient.username}`);
+        dm(recipient, `🎁 **${sender.username}** sent you **$${value.toFixed(2)}** of balance!${note ? `\n> ${note}` : ''}`);
+        return { gift, balance };
+    }
+
+    function toPublic(gift) {
+        const from = findUser({ id: gift.from_id });
+        const to = findUser({ id: gift.to_id });
+        return {
+            id: gift.id,
+            kind: gift.kind,
+            from: from ? from.username : 'deleted user',
+            to: to ? to.username : 'deleted user',
+            plan: gift.tier ? getPlan(gift.tier)?.name || `Tier ${gift.tier}` : null,
+            hours: gift.hours,
+            amount: gift.amount,
+            message: gift.message,
+            created_at: gift.created_at
+        };
+    }
+
+    // Latest gifts a user sent and received, newest first
+    function historyFor(userId) {
+        const latest = list => list.slice(-HISTORY_LIMIT).reverse().map(toPublic);
+        return {
+            sent: latest(db.gifts.filter(g => g.from_id === userId)),
+            received: latest(db.gifts.filter(g => g.to_id === userId))
+        };
+    }
+
+    function getStats() {
+        return { ...stats, total: db.gifts.length };
+    }
+
+    return { giftSubscription, sendBalance, historyFor, getStats };
+}
+
+module.exports = { createGifts, GiftError };
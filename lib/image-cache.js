@@ -0,0 +1,155 @@
+// ============================================================
+// BRAINROT IMAGE CACHE
+// ============================================================
+//
+// Backs /img/brainrot/:name so the site and Discord embeds never hotlink the
+// wiki/calculator hosts directly. Files live under DATA_DIR/images:
+//   uploads/<catalog id>.<ext> - art uploaded by admins, always wins
+//   cache/<slug>.<ext>         - copy of the catalog's source image
+//
+// A missing image is fetched from the catalog source on first request (only for
+// names in the catalog - anything else gets the placeholder). Fetch
+// failures are remembered for FAILURE_TTL so a dead source is not hit on every
+// page load; until then (or until an admin uploads art) the placeholder is used.
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_BYTES = 2 * 1024 * 1024;
+const FETCH_TIMEOUT = 10 * 1000;
+const FAILURE_TTL = 60 * 60 * 1000;
+
+const TYPES = { png: 'image/png', jpg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp' };
+
+// Image type from the file's magic bytes - the only types we store
+function sniffType(buffer) {
+    if (buffer.length < 12) return null;
+    if (buffer[0] === 0x89 && buffer.toString('ascii', 1, 4) === 'PNG') return 'png';
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpg';
+    if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'gif';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+    return null;
+}
+
+function slugFor(name) {
+    return String(name).toLowerCase().replace(/ /g, '_').replace(/[^a-z0-9_]/g, '') || '_';
+}
+
+function createImageCache({ dir, catalog, placeholder, fetchImpl = fetch }) {
+    const uploadsDir = path.join(dir, 'uploads');
+    const cacheDir = path.join(dir, 'cache');
+    fs.mkdirSync(uploadsDir, { recursive: true });
+    fs.mkdirSync(cacheDir, { recursive: true });
+
+    const failures = new Map(); // slug -> retry after
+    const pending = new Map();  // slug -> in-flight fetch
+    const stats = { fetched: 0, failed: 0, placeholder: 0 };
+
+    function findFile(folder, slug) {
+        for (const ext of Object.keys(TYPES)) {
+            const file = path.join(folder, `${slug}.${ext}`);
+            if (fs.existsSync(file)) return { file, type: TYPES[ext] };
+        }
+        return null;
+    }
+
+    function removeFiles(folder, slug) {
+        for (const ext of Object.keys(TYPES)) {
+            fs.rmSync(path.join(folder, `${slug}.${ext}`), { force: true });
+        }
+    }
+
+    function writeFile(folder, slug, buffer) {
+        const ext = sniffType(buffer);
+        if (!ext) throw new Error('Image must be a PNG, JPEG, GIF or WebP');
+        if (buffer.length > MAX_BYTES) throw new Error(`Image must be at most ${MAX_BYTES / 1024 / 1024}MB`);
+        removeFiles(folder, slug);
+        const file = path.join(folder, `${slug}.${ext}`);
+        fs.writeFileSync(file, buffer);
+        return { file, type: TYPES[ext] };
+    }
+
+    function usePlaceholder() {
+        stats.placeholder++;
+        return { file: placeholder, type: 'image/png', placeholder: true };
+    }
+
+    async function fetchSource(name, slug) {
+        const url = catalog.imageFor(name);
+        const res = await fetchImpl(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+        if (!res.ok) throw new Error(`${url} returned ${res.status}`);
+        if (Number(res.headers.get('content-length')) > MAX_BYTES) throw new Error(`${url} is too large`);
+        const buffer = Buffer.from(await res.arrayBuffer());
+        return writeFile(cacheDir, slug, buffer);
+    }
+
+    // { file, type } to serve for a brainrot name - never throws
+    async function get(name) {
+        const entry = catalog.resolve(name);
+        if (!entry) return usePlaceholder();
+        const slug = slugFor(entry.name);
+
+        const existing = findFile(uploadsDir, entry.id) || findFile(cacheDir, slug);
+        if (existing) return existing;
+
+        if ((failures.get(slug) || 0) > Date.now()) return usePlaceholder();
+
+        if (!pending.has(slug)) {
+            pending.set(slug, fetchSource(entry.name, slug)
+                .then(result => {
+                    stats.fetched++;
+                    failures.delete(slug);
+                    return result;
+                })
+                .catch(err => {
+                    stats.failed++;
+                    failures.set(slug, Date.now() + FAILURE_TTL);
+                    console.log(`[Images] No image for "${entry.name}": ${err.message}`);
+                    return null;
+                })
+                .finally(() => pending.delete(slug)));
+        }
+
+        return (await pending.get(slug)) || usePlaceholder();
+    }
+
+    // Admin-uploaded art for a catalog entry; throws Error on a bad file
+    function upload(entry, buffer) {
+        return writeFile(uploadsDir, entry.id, buffer);
+    }
+
+    function removeUpload(entry) {
+        const had = !!findFile(uploadsDir, entry.id);
+        removeFiles(uploadsDir, entry.id);
+        return had;
+    }
+
+    // 'uploaded', 'cached', 'missing' (source failed, placeholder shown) or
+    // 'unchecked' (not requested yet) - for the admin catalog list
+    function status(entry) {
+        if (findFile(uploadsDir, entry.id)) return 'uploaded';
+        const slug = slugFor(entry.name);
+        if (findFile(cacheDir, slug)) return 'cached';
+        return (failures.get(slug) || 0) > Date.now() ? 'missing' : 'unchecked';
+    }
+
+    // Drop the cached copy (e.g. the source image was changed) - uploads stay
+    function invalidate(name) {
+        const slug = slugFor(name);
+        removeFiles(cacheDir, slug);
+        failures.delete(slug);
+    }
+
+    function getStats() {
+        return {
+            ...stats,
+            cached: fs.readdirSync(cacheDir).length,
+            uploaded: fs.readdirSync(uploadsDir).length,
+            failing: [...failures.values()].filter(t => t > Date.now()).length
+        };
+    }
+
+    return { get, upload, removeUpload, status, invalidate, getStats };
+}
+
+module.exports = { createImageCache, slugFor, MAX_BYTES };
@@ -0,0 +1,180 @@
+// ============================================================
+// SCAN INGESTION
+// ============================================================
+//
+// Every live scan enters through here, whatever it came from:
+//   relay   - upstream Banana relays (BANANA_RELAY_URLS, comma separated)
+//   http    - our scanner bots POSTing to /api/ingest/scans
+//   ws      - our scanner bots streaming over /ws/ingest
+//   scanner - the legacy /api/joiner/servers and /api/logs endpoints
+//
+// Scans are normalized (see ./normalize), tagged with the source id
+// ("relay:1", "http:bot-3", ...) and handed to handleScan(record, { replay }),
+// which returns false for duplicates. Per-source counters feed the health
+// report on /api/banana/status.
+
+const { normalizeScan } = require('./normalize');
+const { createRelaySource } = require('./relay');
+
+// A source with no scans for this long is reported as stale
+const STALE_AFTER = 5 * 60 * 1000;
+
+function relayUrlsFromEnv() {
+    const urls = (process.env.BANANA_RELAY_URLS || process.env.BANANA_RELAY_URL || '')
+        .split(',')
+        .map(u => u.trim())
+        .filter(Boolean);
+    return urls.length > 0 ? urls : ['wss://web-production-3bf63.up.railway.app/ws'];
+}
+
+function createIngest({ handleScan, relayUrls = relayUrlsFromEnv() }) {
+    const sources = new Map(); // id -> { id, type, name, url, relay, connections, stats }
+
+    function sourceFor(type, name, extra = {}) {
+        const id = `${type}:${name}`;
+        if (!sources.has(id)) {
+            sources.set(id, {
+                id,
+                type,
+                name,
+                url: null,
+                relay: null,
+                connections: 0,
+                ...extra,
+                stats: { received: 0, stored: 0, duplicates: 0, rejected: 0, last_scan_at: null, last_error: null, last_error_at: null }
+            });
+        }
+        return sources.get(id);
+    }
+
+    // Returns { record, stored }; throws Error for scans that cannot be normalized
+    function ingest(source, raw, { replay = false } = {}) {
+        const { stats } = source;
+        let record;
+        try {
+            record = { ...normalizeScan(raw), source: source.id, source_type: source.type };
+        } catch (err) {
+            stats.rejected++;
+            stats.last_error = err.message;
+            stats.last_error_at = Date.now();
+            throw err;
+        }
+
+        stats.received++;
+        stats.last_scan_at = Date.now();
+        const stored = handleScan(record, { replay });
+        if (stored) stats.stored++;
+        else stats.duplicates++;
+        return { record, stored };
+    }
+
+    relayUrls.forEach((url, i) => {
+        const source = sourceFor('relay', String(i + 1), { url });
+        source.relay = createRelaySource({
+            url,
+            label: `relay ${i + 1}`,
+            onScan: (raw, opts) => {
+                try {
+                    return ingest(source, raw, opts).stored;
+                } catch (err) {
+                    console.error(`[Ingest] ${source.id}: rejected scan - ${err.message}`);
+                    return false;
+                }
+            }
+        });
+    });
+
+    function start() {
+        for (const source of sources.values()) {
+            if (source.relay) source.relay.connect();
+        }
+    }
+
+    // Direct push from one of our scanners (type 'http' / 'ws' / 'scanner')
+    function push(type, name, raw) {
+        return ingest(sourceFor(type, name || 'default'), raw);
+    }
+
+    // A scanner's /ws/ingest socket - every message is a scan (or { scans: [] })
+    function attachSocket(ws, name) {
+        const source = sourceFor('ws', name || 'default');
+        source.connections++;
+
+        function reject(error) {
+            source.stats.rejected++;
+            source.stats.last_error = error;
+            source.stats.last_error_at = Date.now();
+            ws.send(JSON.stringify({ type: 'error', error }));
+        }
+
+        // A bad frame must never throw out of the listener - that would take
+        // the whole server down
+        ws.on('message', (data) => {
+            try {
+                let parsed;
+                try {
+                    parsed = JSON.parse(data.toString());
+                } catch (err) {
+                    return reject('Invalid JSON');
+                }
+                if (!parsed || typeof parsed !== 'object') return reject('Invalid JSON');
+
+                const scans = Array.isArray(parsed.scans) ? parsed.scans : [parsed];
+                for (const scan of scans) {
+                    try {
+                        const { stored } = ingest(source, scan);
+                        ws.send(JSON.stringify({ type: 'ack', jobId: scan.jobId || null, stored }));
+                    } catch (err) {
+                        ws.send(JSON.stringify({ type: 'error', jobId: scan && scan.jobId || null, error: err.message }));
+                    }
+                }
+            } catch (err) {
+                console.error(`[Ingest] ${source.id} message error:`, err.message);
+            }
+        });
+
+        ws.on('close', () => {
+            source.connections--;
+        });
+
+        ws.on('error', (err) => {
+            console.error(`[Ingest] ${source.id} WebSocket error:`, err.message);
+            ws.close();
+        });
+    }
+
+    function statusOf(source) {
+        const fresh = source.stats.last_scan_at && Date.now() - source.stats.last_scan_at < STALE_AFTER;
+        if (source.relay) {
+            if (!source.relay.isConnected()) return 'disconnected';
+            return fresh ? 'healthy' : 'stale';
+        }
+        if (source.type === 'ws' && source.connections === 0) return 'disconnected';
+        return fresh ? 'healthy' : 'stale';
+    }
+
+    function health() {
+        return [...sources.values()].map(source => ({
+            id: source.id,
+            type: source.type,
+            name: source.name,
+            url: source.url,
+            status: statusOf(source),
+            connected: source.relay ? source.relay.isConnected() : source.type === 'ws' ? source.connections > 0 : null,
+            connections: source.type === 'ws' ? source.connections : undefined,
+            ...(source.relay ? source.relay.state : {}),
+            ...source.stats,
+            // Relay socket errors and rejected scans both count as the last error
+            last_error: source.stats.last_error || (source.relay && source.relay.state.last_error) || null
+        }));
+    }
+
+    // At least one upstream relay is connected
+    function isConnected() {
+        return [...sources.values()].some(s => s.relay && s.relay.isConnected());
+    }
+
+    return { start, push, attachSocket, health, isConnected };
+}
+
+module.exports = { createIngest, relayUrlsFromEnv };
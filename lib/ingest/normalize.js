@@ -0,0 +1,66 @@
+// ============================================================
+// SCAN NORMALIZATION
+// ============================================================
+//
+// Every source sends scans in its own shape. They all become one record:
+//
+//   { jobId, players, owners, timestamp,
+//     animals: [{ name, value, mutation, traits }] }   (best first)
+//
+// Accepted input shapes:
+//   relay / pushes   { jobId, players, owners, animals: [{ name, genValue|value, ... }] }
+//   /api/joiner/servers  { jobId, bestName, bestValue, players, ... }
+//   /api/logs        { brainrot_name, brainrot_value }  (value may be "1.2B/s")
+
+const MAX_ANIMALS = 100;
+const SUFFIXES = { k: 1e3, m: 1e6, b: 1e9, t: 1e12, q: 1e15 };
+
+// 1500, "1500", "$1.5k/s", "1.5K" -> 1500
+function parseValue(value) {
+    if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : 0;
+    const match = /^\s*\$?\s*([\d.,]+)\s*([kmbtq])?/i.exec(String(value || ''));
+    if (!match) return 0;
+    const n = parseFloat(match[1].replace(/,/g, ''));
+    if (!Number.isFinite(n)) return 0;
+    return n * (match[2] ? SUFFIXES[match[2].toLowerCase()] : 1);
+}
+
+function normalizeAnimal(animal) {
+    if (!animal || typeof animal !== 'object' || !animal.name) return null;
+    return {
+        name: String(animal.name),
+        value: parseValue(animal.genValue ?? animal.value),
+        mutation: animal.mutation || 'None',
+        traits: animal.traits ?? 0
+    };
+}
+
+function rawAnimals(raw) {
+    if (Array.isArray(raw.animals)) return raw.animals;
+    if (raw.bestName) return [{ name: raw.bestName, value: raw.bestValue }];
+    if (raw.brainrot_name) return [{ name: raw.brainrot_name, value: raw.brainrot_value }];
+    return [];
+}
+
+// Throws Error when there is nothing usable in `raw`
+function normalizeScan(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('Scan must be an object');
+
+    const animals = rawAnimals(raw)
+        .slice(0, MAX_ANIMALS)
+        .map(normalizeAnimal)
+        .filter(Boolean)
+        .sort((a, b) => b.value - a.value);
+    if (animals.length === 0) throw new Error('Scan has no brainrots');
+
+    const timestamp = parseInt(raw.timestamp);
+    return {
+        jobId: raw.jobId ? String(raw.jobId) : null,
+        players: raw.players !== undefined ? String(raw.players) : '?',
+        owners: raw.owners || raw.owner || 'Unknown',
+        timestamp: timestamp > 0 && timestamp <= Date.now() ? timestamp : Date.now(),
+        animals
+    };
+}
+
+module.exports = { normalizeScan, parseValue };
@@ -0,0 +1,94 @@
+// ============================================================
+// RELAY SOURCE
+// ============================================================
+//
+// One upstream Banana relay WebSocket. Reconnects forever with a linear
+// backoff (capped at 30s). Cache messages sent on connect are passed on as
+// replays, live scan_result messages as live scans.
+
+const WebSocket = require('ws');
+
+function createRelaySource({ url, label, onScan }) {
+    let ws = null;
+    let reconnectAttempts = 0;
+    const state = {
+        connected_since: null,
+        disconnected_at: null,
+        reconnects: 0
+    };
+
+    function handleMessage(parsed) {
+        if (parsed.type === 'welcome') {
+            console.log(`[Ingest] ${label}: relay has ${parsed.cached_results} cached results`);
+            return;
+        }
+
+        if (parsed.type === 'cache') {
+            // Up to 30 most recent, oldest first so the newest ends up on top
+            const cacheData = parsed.data || [];
+            const recent = [...cacheData]
+                .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+                .slice(0, 30)
+                .reverse()
+                .filter(scan => scan.type === 'scan_result' && scan.animals && scan.animals.length > 0);
+
+            const stored = recent.filter(scan => onScan(scan, { replay: true })).length;
+            console.log(`[Ingest] ${label}: cache replay ${stored} new, ${recent.length - stored} skipped`);
+            return;
+        }
+
+        // scan_result, or an unknown message that still carries brainrots
+        if (parsed.animals && parsed.animals.length > 0) {
+            onScan(parsed, { replay: false });
+        }
+    }
+
+    function connect() {
+        console.log(`[Ingest] Connecting to ${label}: ${url}`);
+
+        try {
+            ws = new WebSocket(url);
+
+            ws.on('open', () => {
+                console.log(`🍌 [Ingest] Connected to ${label}`);
+                reconnectAttempts = 0;
+                state.connected_since = Date.now();
+            });
+
+            ws.on('message', (data) => {
+                try {
+                    handleMessage(JSON.parse(data.toString()));
+                } catch (err) {
+                    console.error(`[Ingest] ${label} parse error:`, err.message);
+                }
+            });
+
+            ws.on('close', () => {
+                reconnectAttempts++;
+                state.reconnects++;
+                state.connected_since = null;
+                state.disconnected_at = Date.now();
+                const delay = Math.min(1000 * reconnectAttempts, 30000);
+                console.log(`[Ingest] ${label} disconnected, reconnecting in ${delay}ms...`);
+                setTimeout(connect, delay);
+            });
+
+            ws.on('error', (err) => {
+                state.last_error = err.message;
+                console.error(`[Ingest] ${label} WebSocket error:`, err.message);
+            });
+        } catch (err) {
+            state.last_error = err.message;
+            console.error(`[Ingest] ${label} connection error:`, err.message);
+            setTimeout(connect, 5000);
+        }
+    }
+
+    function isConnected() {
+        return !!ws && ws.readyState === WebSocket.OPEN;
+    }
+
+    return { connect, isConnected, state };
+}
+
+module.exports = { createRelaySource };
@@ -0,0 +1,111 @@
+// ============================================================
+// TRANSACTION LEDGER
+// ============================================================
+//
+// Append-only history of every balance / subscription mutation. One entry
+// is written per changed field; entries from the same mutation share a `ref`.
+//
+// Entry:
+//   { id, timestamp, ref, user_id, username,
+//     actor, actor_type, actor_id,      // actor = "admin:yvyoo", "user:bob", "system:expiry", ...
+//     kind, reason, source, details,    // kind === reason (indexed for filtering)
+//     field, before, after, delta }
+
+const { v4: uuidv4 } = require('uuid');
+
+const STREAM = 'ledger';
+const TRACKED_FIELDS = ['balance', 'subscription_expires', 'subscription_tier'];
+const PAGE_SIZE = 1000; // the storage drivers' largest page
+
+function toNumber(value) {
+    const n = parseFloat(value);
+    return isNaN(n) ? 0 : n;
+}
+
+function createLedger(storage) {
+    // Compare two snapshots of a user and record what changed.
+    // context = { actor: { type, id, name }, reason, source, details }
+    function record(before, after, context) {
+        const actor = context.actor || { type: 'system', name: 'unknown' };
+        const ref = uuidv4();
+        const timestamp = Date.now();
+        const entries = [];
+
+        for (const field of TRACKED_FIELDS) {
+            const oldValue = toNumber(before[field]);
+            const newValue = toNumber(after[field]);
+            if (oldValue === newValue) continue;
+
+            entries.push(storage.appendEvent(STREAM, {
+                timestamp,
+                ref,
+                user_id: after.id,
+                username: after.username,
+                actor: `${actor.type}:${actor.name || actor.id}`,
+                actor_type: actor.type,
+                actor_id: actor.id || null,
+                kind: context.reason,
+                reason: context.reason,
+                source: context.source || null,
+                details: context.details || null,
+                field,
+                before: oldValue,
+                after: newValue,
+                delta: Math.round((newValue - oldValue) * 100) / 100
+            }));
+        }
+
+        if (entries.length > 0) {
+            const summary = entries.map(e => `${e.field} ${e.before} → ${e.after}`).join(', ');
+            console.log(`[Ledger] ${after.username}: ${context.reason} by ${entries[0].actor} (${summary})`);
+        }
+        return entries;
+    }
+
+    // filter = { user_id, actor, reason, since, until, beforeId, limit }
+    function query(filter = {}) {
+        return storage.queryEvents(STREAM, {
+            user_id: filter.user_id,
+            actor: filter.actor,
+            kind: filter.reason,
+            since: filter.since,
+            until: filter.until,
+            beforeId: filter.beforeId,
+            limit: filter.limit
+        });
+    }
+
+    // Every matching entry (newest first), fetched a page at a time - for
+    // exports, where a page limit would silently cut the range short
+    function queryAll(filter = {}) {
+        const entries = [];
+        let beforeId = filter.beforeId;
+        for (;;) {
+            const page = query({ ...filter, beforeId, limit: PAGE_SIZE });
+            entries.push(...page);
+            if (page.length < PAGE_SIZE) return entries;
+            beforeId = page[page.length - 1].id;
+        }
+    }
+
+    return { record, query, queryAll };
+}
+
+const CSV_COLUMNS = ['id', 'timestamp', 'ref', 'user_id', 'username', 'actor', 'reason', 'source', 'field', 'before', 'after', 'delta'];
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let str = String(value);
+    // Keep spreadsheet apps from evaluating user-controlled text as a formula
+    if (typeof value === 'string' && /^[=+\-@]/.test(str)) str = `'${str}`;
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function ledgerToCSV(entries) {
+    const rows = entries.map(e => CSV_COLUMNS.map(col =>
+        csvCell(col === 'timestamp' ? new Date(e.timestamp).toISOString() : e[col])
+    ).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+module.exports = { createLedger, ledgerToCSV, TRACKED_FIELDS };
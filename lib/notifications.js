@@ -0,0 +1,173 @@
+// ============================================================
+// PERSONAL NOTIFICATIONS
+// ============================================================
+//
+// Subscribers can have Banana relay scans delivered to their own Discord
+// webhook and/or as a DM from the bot. Settings live on the user:
+//   user.notifications = { enabled, webhook_url, dm, last_error }
+//
+// A scan is delivered when at least one brainrot passes the user's config
+// page filters (and alert rules, if set) and is within their tier's maxValue
+// cap. Each user gets at most NOTIFY_RATE_LIMIT deliveries per minute; the
+// rest are dropped, not queued. Alerts for plans with an exclusivity window
+// (getDelay) are held back that long and re-checked before sending.
+
+const { matchScan, matchesConfig } = require('./alert-rules');
+
+const WEBHOOK_URL_PATTERN = /^https:\/\/(?:(?:ptb|canary)\.)?discord(?:app)?\.com\/api\/webhooks\/\d+\/[\w-]+$/;
+// Local fake webhook server (npm run fake-webhook) - only with WEBHOOK_ALLOW_LOCAL=true
+const LOCAL_WEBHOOK_URL_PATTERN = /^http:\/\/(?:localhost|127\.0\.0\.1)(?::\d+)?\/api\/webhooks\/\d+\/[\w-]+$/;
+const RATE_WINDOW = 60 * 1000;
+const RATE_LIMIT = parseInt(process.env.NOTIFY_RATE_LIMIT) || 10;
+
+// Discord error code for "Cannot send messages to this user"
+const DM_CLOSED = 50007;
+
+function isValidWebhookUrl(url) {
+    if (typeof url !== 'string') return false;
+    if (process.env.WEBHOOK_ALLOW_LOCAL === 'true' && LOCAL_WEBHOOK_URL_PATTERN.test(url)) return true;
+    return WEBHOOK_URL_PATTERN.test(url);
+}
+
+function createNotifier({ db, getPlan, getDelay = () => 0, updateUser, discordBot, buildPayload }) {
+    const recentDeliveries = new Map(); // userId -> [timestamps]
+    const stats = { sent: 0, failed: 0, rate_limited: 0, delayed: 0 };
+
+    function settingsFor(user) {
+        return user.notifications || { enabled: false, webhook_url: null, dm: false };
+    }
+
+    function canReceive(user) {
+        const settings = settingsFor(user);
+        if (!settings.enabled || (!settings.webhook_url && !settings.dm)) return false;
+        if (!(user.subscription_expires > Date.now())) return false;
+        if (db.global_paused || user.paused) return false;
+        return (user.warnings || 0) < 2;
+    }
+
+    // Sliding window - returns false once the user has hit RATE_LIMIT this minute
+    function takeSlot(userId) {
+        const now = Date.now();
+        const recent = (recentDeliveries.get(userId) || []).filter(t => now - t < RATE_WINDOW);
+        if (recent.length >= RATE_LIMIT) {
+            recentDeliveries.set(userId, recent);
+            return false;
+        }
+        recent.push(now);
+        recentDeliveries.set(userId, recent);
+        return true;
+    }
+
+    // Brainrots in `scan` this user should be alerted about
+    function matchesFor(user, scan) {
+        const plan = getPlan(user.subscription_tier);
+        const maxValue = plan?.maxValue || Infinity;
+        return matchScan(user.alert_rules, scan)
+            .filter(animal => animal.value <= maxValue && matchesConfig(user, animal));
+    }
+
+    // Turn off a broken channel and tell the user why
+    function disableChannel(user, changes) {
+        const current = db.users.find(u => u.id === user.id);
+        if (!current) return;
+        updateUser(user.id, { notifications: { ...settingsFor(current), ...changes } });
+    }
+
+    async function sendWebhook(user, url, payload) {
+        const res = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        if (res.status === 401 || res.status === 404) {
+            // Webhook was deleted in Discord - stop trying
+            disableChannel(user, { webhook_url: null, last_error: 'Webhook no longer exists - add a new one' });
+            throw new Error(`webhook returned ${res.status}, removed`);
+        }
+        if (!res.ok) throw new Error(`webhook returned ${res.status}`);
+    }
+
+    async function sendDM(user, payload) {
+        if (!discordBot.isReady()) throw new Error('bot is offline');
+        try {
+            const discordUser = await discordBot.users.fetch(user.discord_id);
+            await discordUser.send(payload);
+        } catch (err) {
+            if (err.code === DM_CLOSED) {
+                disableChannel(user, { dm: false, last_error: 'Could not DM you - open your DMs and turn DM alerts back on' });
+            }
+            throw err;
+        }
+    }
+
+    // Deliver to every channel the user set up; returns { webhook, dm } results
+    async function deliver(user, payload) {
+        const settings = settingsFor(user);
+        const results = {};
+
+        const channels = [];
+        if (settings.webhook_url) channels.push(['webhook', () => sendWebhook(user, settings.webhook_url, payload)]);
+        if (settings.dm) channels.push(['dm', () => sendDM(user, payload)]);
+
+        await Promise.all(channels.map(async ([name, send]) => {
+            try {
+                await send();
+                stats.sent++;
+                results[name] = { success: true };
+            } catch (err) {
+                stats.failed++;
+                results[name] = { success: false, error: err.message };
+                console.error(`[Notify] ${name} to ${user.username} failed:`, err.message);
+            }
+        }));
+        return results;
+    }
+
+    function send(user, scan, matches) {
+        if (!takeSlot(user.id)) {
+            stats.rate_limited++;
+            return;
+        }
+
+        deliver(user, buildPayload(scan, matches)).catch(err => {
+            console.error(`[Notify] Delivery to ${user.username} failed:`, err.message);
+        });
+    }
+
+    // Called for every live scan from the relay (not cache replays)
+    function notifyScan(scan) {
+        for (const user of db.users) {
+            if (!canReceive(user)) continue;
+
+            const matches = matchesFor(user, scan);
+            if (matches.length === 0) continue;
+
+            const delay = getDelay(user);
+            if (delay <= 0) {
+                send(user, scan, matches);
+                continue;
+            }
+
+            stats.delayed++;
+            setTimeout(() => {
+                // The user may have been paused, expired or changed settings meanwhile
+                const current = db.users.find(u => u.id === user.id);
+                if (current && canReceive(current)) send(current, scan, matches);
+            }, delay);
+        }
+    }
+
+    // Sample alert to check the user's setup (ignores filters, not the rate limit)
+    async function sendTest(user, scan) {
+        if (!takeSlot(user.id)) return { rate_limited: true };
+        return deliver(user, buildPayload(scan, scan.animals));
+    }
+
+    function getStats() {
+        return { ...stats, rate_limit_per_minute: RATE_LIMIT };
+    }
+
+    return { notifyScan, sendTest, matchesFor, getStats };
+}
+
+module.exports = { createNotifier, isValidWebhookUrl, RATE_LIMIT };
@@ -0,0 +1,11 @@
+// Thrown by the payments module and providers; `status` is the HTTP status
+// the route should answer with.
+class PaymentError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PaymentError';
+        this.status = status;
+    }
+}
+
+module.exports = { PaymentError };
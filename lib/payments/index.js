@@ -0,0 +1,214 @@
+// ============================================================
+// PAYMENTS
+// ============================================================
+//
+// The only place that credits money to a user's balance. Every credit:
+//   - comes from a provider (paymento, manual, fake) or an admin adjustment
+//   - passes amount validation
+//   - is keyed by an idempotency key stored in db.used_transactions, so the
+//     same payment can never be credited twice
+//   - goes through updateUserWithLedger so it shows up in the ledger
+//
+// Webhook providers implement parseWebhook(req) -> { key, discordId, amount, paid }
+// and verify their own signature against req.rawBody.
+//
+// onTopup(user, amount, context) runs after a provider top-up was credited
+// (not for admin adjustments) and returns any bonus it credited - promo codes.
+
+const { PaymentError } = require('./errors');
+const { createPaymentoProvider } = require('./providers/paymento');
+const { createManualProvider } = require('./providers/manual');
+const { createFakeProvider } = require('./providers/fake');
+
+const MIN_AMOUNT = 1;
+const MAX_AMOUNT = parseFloat(process.env.PAYMENT_MAX_AMOUNT) || 1000;
+
+// Parse and validate a dollar amount; returns it rounded to cents
+function validateAmount(value, { min = MIN_AMOUNT, max = MAX_AMOUNT } = {}) {
+    const amount = typeof value === 'number' ? value : parseFloat(value);
+    if (typeof value === 'string' && !/^\s*-?\d+(\.\d+)?\s*$/.test(value)) {
+        throw new PaymentError('Invalid amount', 400);
+    }
+    if (!Number.isFinite(amount)) throw new PaymentError('Invalid amount', 400);
+
+    const rounded = Math.round(amount * 100) / 100;
+    if (rounded < min) throw new PaymentError(`Amount must be at least $${min}`, 400);
+    if (rounded > max) throw new PaymentError(`Amount must be at most $${max}`, 400);
+    return rounded;
+}
+
+function createPayments({ db, saveDB, findUser, updateUserWithLedger, providers, onTopup }) {
+    if (!db.used_transactions) db.used_transactions = [];
+    if (!db.pending_payments) db.pending_payments = [];
+
+    const registry = {};
+    for (const provider of providers || [createPaymentoProvider(), createManualProvider(), createFakeProvider()]) {
+        registry[provider.name] = provider;
+    }
+
+    const usedKeys = new Set(db.used_transactions);
+
+    function isProcessed(key) {
+        return usedKeys.has(key);
+    }
+
+    function markProcessed(key) {
+        usedKeys.add(key);
+        db.used_transactions.push(key);
+        saveDB('used_transactions');
+    }
+
+    // Credit `amount` to `user` exactly once for `key`
+    function credit(user, amount, key, context) {
+        if (isProcessed(key)) {
+            return { duplicate: true, user, newBalance: user.balance || 0 };
+        }
+
+        markProcessed(key);
+        const newBalance = Math.round(((user.balance || 0) + amount) * 100) / 100;
+        const updated = updateUserWithLedger(user.id, { balance: newBalance }, context);
+        return { duplicate: false, user: updated, newBalance };
+    }
+
+    // Bonus on top of a fresh top-up, included in the returned balance
+    function afterTopup(result, amount, context) {
+        if (result.duplicate || !onTopup) return result;
+        const bonus = onTopup(result.user, amount, context) || 0;
+        if (!bonus) return result;
+        return { ...result, bonus, newBalance: Math.round((result.newBalance + bonus) * 100) / 100 };
+    }
+
+    function getProvider(name) {
+        const provider = registry[name];
+        if (!provider || !provider.enabled()) {
+            throw new PaymentError('Unknown payment provider', 404);
+        }
+        return provider;
+    }
+
+    // Inbound provider webhook (signature checked by the provider)
+    function handleWebhook(name, req) {
+        const provider = getProvider(name);
+        if (!provider.parseWebhook) throw new PaymentError('Provider does not accept webhooks', 404);
+
+        const { key, discordId, amount: rawAmount, paid } = provider.parseWebhook(req);
+        const idempotencyKey = `${provider.name}:${key}`;
+
+        if (!paid) {
+            console.log(`[Payments] ${provider.label}: ignoring unpaid notification ${key}`);
+            return { ignored: true };
+        }
+
+        const amount = validateAmount(rawAmount);
+
+        const user = findUser({ discord_id: discordId });
+        if (!user) throw new PaymentError('User not found', 404);
+
+        const context = {
+            actor: { type: provider.name, id: null, name: 'webhook' },
+            reason: `${provider.name}_topup`,
+            source: `POST /api/payments/${provider.name}/webhook`,
+            details: { amount, payment_key: key }
+        };
+        const result = afterTopup(credit(user, amount, idempotencyKey, context), amount, context);
+
+        if (result.duplicate) {
+            console.log(`[Payments] ${provider.label}: duplicate webhook ${key} for ${user.username} - not credited again`);
+        } else {
+            console.log(`[Payments] ✅ ${provider.label}: +$${amount}${result.bonus ? ` (+$${result.bonus.toFixed(2)} bonus)` : ''} to ${user.username} (new: $${result.newBalance.toFixed(2)})`);
+        }
+        return { ...result, amount };
+    }
+
+    // User submits a manual crypto payment for review
+    function submitManual(user, body) {
+        const manual = getProvider('manual');
+        const { key, txId, crypto } = manual.parseSubmission(body);
+        const amount = validateAmount(body && body.amount);
+
+        if (db.pending_payments.some(p => p.txId === txId) || isProcessed(key)) {
+            throw new PaymentError('This transaction ID has already been submitted', 400);
+        }
+
+        const payment = {
+            id: Date.now().toString(),
+            userId: user.id,
+            discord_id: user.discord_id,
+            username: user.username,
+            amount,
+            txId,
+            crypto,
+            status: 'pending',
+            submitted_at: Date.now()
+        };
+
+        db.pending_payments.push(payment);
+        saveDB('pending_payments');
+        return payment;
+    }
+
+    // Admin approves a manual payment - the TX ID is the idempotency key
+    function approveManual(paymentId, context) {
+        const index = db.pending_payments.findIndex(p => p.id === paymentId);
+        if (index === -1) throw new PaymentError('Payment not found', 404);
+
+        const payment = db.pending_payments[index];
+        const user = findUser({ id: payment.userId }) || findUser({ discord_id: payment.discord_id });
+        if (!user) throw new PaymentError('User not found', 404);
+
+        const amount = validateAmount(payment.amount);
+        const creditContext = {
+            ...context,
+            reason: 'manual_payment_approved',
+            details: { payment_id: payment.id, tx_id: payment.txId, crypto: payment.crypto }
+        };
+        const result = afterTopup(credit(user, amount, payment.txId, creditContext), amount, creditContext);
+
+        db.pending_payments.splice(index, 1);
+        saveDB('pending_payments');
+
+        if (result.duplicate) {
+            throw new PaymentError('This transaction ID was already credited', 409);
+        }
+        return { payment, ...result };
+    }
+
+    function denyManual(paymentId) {
+        const index = db.pending_payments.findIndex(p => p.id === paymentId);
+        if (index === -1) throw new PaymentError('Payment not found', 404);
+
+        const [payment] = db.pending_payments.splice(index, 1);
+        saveDB('pending_payments');
+        return payment;
+    }
+
+    // Admin balance correction (may be negative, never below $0)
+    function adminAdjust(user, rawAmount, context) {
+        const amount = validateAmount(rawAmount, { min: -MAX_AMOUNT, max: MAX_AMOUNT });
+        if (amount === 0) throw new PaymentError('Invalid amount', 400);
+
+        const newBalance = Math.round(((user.balance || 0) + amount) * 100) / 100;
+        if (newBalance < 0) throw new PaymentError('Balance cannot go below $0', 400);
+
+        updateUserWithLedger(user.id, { balance: newBalance }, context);
+        return { amount, newBalance };
+    }
+
+    function listProviders() {
+        return Object.values(registry)
+            .filter(p => p.enabled())
+            .map(p => ({ name: p.name, label: p.label }));
+    }
+
+    return {
+        handleWebhook,
+        submitManual,
+        approveManual,
+        denyManual,
+        adminAdjust,
+        listProviders,
+        isProcessed
+    };
+}
+
+module.exports = { createPayments, validateAmount, PaymentError };
@@ -0,0 +1,46 @@
+// ============================================================
+// FAKE PROVIDER (local development / testing only)
+// ============================================================
+//
+// Enabled with PAYMENT_FAKE_PROVIDER=true. Behaves like a real provider
+// (signed webhook, idempotency key, amount checks) so the whole credit path
+// can be exercised without real money:
+//
+//   body='{"id":"t1","discord_id":"123","amount":5}'
+//   sig=$(printf '%s' "$body" | openssl dgst -sha256 -hmac "$PAYMENT_FAKE_SECRET" | cut -d' ' -f2)
+//   curl -X POST localhost:3000/api/payments/fake/webhook \
+//        -H 'Content-Type: application/json' -H "X-Signature: $sig" -d "$body"
+
+const { PaymentError } = require('../errors');
+const { verifyHmacSignature } = require('../signature');
+
+function createFakeProvider({
+    enabled = process.env.PAYMENT_FAKE_PROVIDER === 'true',
+    secret = process.env.PAYMENT_FAKE_SECRET || 'fake-secret'
+} = {}) {
+    return {
+        name: 'fake',
+        label: 'Fake (testing)',
+
+        enabled() {
+            return enabled;
+        },
+
+        parseWebhook(req) {
+            verifyHmacSignature(req.rawBody, req.headers['x-signature'], secret);
+
+            const { id, discord_id, amount, status } = req.body || {};
+            if (!id) throw new PaymentError('Missing id', 400);
+            if (!discord_id) throw new PaymentError('Missing discord_id', 400);
+
+            return {
+                key: String(id),
+                discordId: String(discord_id),
+                amount,
+                paid: !status || status === 'paid'
+            };
+        }
+    };
+}
+
+module.exports = { createFakeProvider };
@@ -0,0 +1,39 @@
+// ============================================================
+// MANUAL CRYPTO (user submits a TX ID, an admin approves it)
+// ============================================================
+//
+// Not webhook-driven: payments wait in db.pending_payments until an admin
+// approves or denies them. The TX ID is the idempotency key.
+
+const { PaymentError } = require('../errors');
+
+const CRYPTOS = ['btc', 'ltc', 'eth', 'usdt', 'sol'];
+
+function createManualProvider() {
+    return {
+        name: 'manual',
+        label: 'Manual crypto',
+
+        enabled() {
+            return true;
+        },
+
+        // Validate a user submission; returns the normalized fields
+        parseSubmission(body) {
+            const { txId, crypto } = body || {};
+
+            if (typeof txId !== 'string' || !/^[A-Za-z0-9:_-]{10,128}$/.test(txId.trim())) {
+                throw new PaymentError('Invalid transaction ID', 400);
+            }
+
+            const coin = (crypto || 'btc').toString().toLowerCase();
+            if (!CRYPTOS.includes(coin)) {
+                throw new PaymentError('Unsupported currency', 400);
+            }
+
+            return { key: txId.trim(), txId: txId.trim(), crypto: coin };
+        }
+    };
+}
+
+module.exports = { createManualProvider, CRYPTOS };
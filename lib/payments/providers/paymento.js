@@ -0,0 +1,62 @@
+// ============================================================
+// PAYMENTO (crypto payment links)
+// ============================================================
+//
+// Paymento POSTs a webhook when a payment link is paid. The customer puts
+// their Discord ID in the Email field, which is how we find the account.
+// The body must be signed with HMAC-SHA256(PAYMENTO_SECRET, raw body).
+
+const { PaymentError } = require('../errors');
+const { verifyHmacSignature, sha256 } = require('../signature');
+
+// Statuses that mean the money arrived. Paymento order status codes:
+// 7 = Paid, 8 = Approved. Anything else (pending, timeout, ...) is ignored.
+const PAID_STATUSES = ['7', '8', 'paid', 'approve', 'approved', 'completed', 'confirmed', 'success'];
+
+function createPaymentoProvider({ secret = process.env.PAYMENTO_SECRET } = {}) {
+    return {
+        name: 'paymento',
+        label: 'Paymento',
+
+        enabled() {
+            return !!secret;
+        },
+
+        // Returns { key, discordId, amount, paid } or throws PaymentError
+        parseWebhook(req) {
+            const signature = req.headers['x-paymento-signature'] ||
+                              req.headers['x-hmac-sha256-signature'] ||
+                              req.headers['x-signature'];
+            verifyHmacSignature(req.rawBody, signature, secret);
+
+            const body = req.body || {};
+            const discordId = body.Customer?.Email ||
+                              body.customer?.email ||
+                              body.user_id ||
+                              body.email;
+
+            const amount = body.Transaction?.Amount ??
+                           body.Transaction?.amount ??
+                           body.transaction?.amount ??
+                           body.amount ??
+                           body.PaymentLink?.Amount;
+
+            const status = body.OrderStatus ?? body.Transaction?.Status ?? body.status;
+            const paid = status === undefined || status === null ||
+                         PAID_STATUSES.includes(String(status).toLowerCase());
+
+            // Prefer Paymento's own ids; fall back to the exact payload so a
+            // replayed webhook is still recognised
+            const id = body.Transaction?.Id || body.Transaction?.id || body.transaction?.id ||
+                       body.PaymentId || body.Token || body.OrderId;
+            const key = id ? String(id) : `body-${sha256(req.rawBody)}`;
+
+            if (!discordId) throw new PaymentError('Missing user_id', 400);
+            if (amount === undefined || amount === null) throw new PaymentError('Missing amount', 400);
+
+            return { key, discordId: String(discordId), amount, paid };
+        }
+    };
+}
+
+module.exports = { createPaymentoProvider };
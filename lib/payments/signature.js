@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const { PaymentError } = require('./errors');
+
+// Verify a hex HMAC-SHA256 signature over the raw request body.
+// Accepts "<hex>" or "sha256=<hex>", compared in constant time.
+function verifyHmacSignature(rawBody, signature, secret) {
+    if (!secret) throw new PaymentError('Webhook secret not configured', 503);
+    if (!rawBody) throw new PaymentError('Missing request body', 400);
+    if (!signature || typeof signature !== 'string') throw new PaymentError('Missing signature', 401);
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    const provided = signature.trim().replace(/^sha256=/i, '').toLowerCase();
+
+    const a = Buffer.from(provided, 'utf8');
+    const b = Buffer.from(expected, 'utf8');
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+        throw new PaymentError('Invalid signature', 401);
+    }
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+module.exports = { verifyHmacSignature, sha256 };
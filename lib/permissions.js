@@ -0,0 +1,139 @@
+// ============================================================
+// STAFF ROLES & PERMISSIONS
+// ============================================================
+//
+// Staff are stored in db.staff keyed by Discord ID (usernames can be changed
+// by anyone, IDs cannot):
+//   [{ discord_id, roles: ['support'], added_by, added_at }]
+//
+// Each admin route declares the permission it needs (see requirePermission in
+// server.js). Roles are fixed bundles of permissions; owner has all of them.
+
+const PERMISSIONS = {
+    'users.view': 'View users, stats and pause status',
+    'users.moderate': 'Warn, ban, unban and clear warnings',
+    'users.hwid': 'Reset user HWIDs',
+    'subscriptions.manage': 'Add/remove time, remove subscriptions, pause users',
+    'payments.manage': 'Approve/deny payments and adjust balances',
+    'promos.manage': 'Manage promo codes and referral rewards',
+    'ledger.view': 'View and export the transaction ledger',
+    'audit.view': 'View the admin audit log',
+    'plans.manage': 'Edit plan pricing, slots and limits',
+    'service.manage': 'Open/close sales, pause all plans, lock paused users',
+    'vps.manage': 'Manage the VPS fleet',
+    'webhooks.manage': 'Edit Discord webhook routes',
+    'scans.view': 'Search the full scan history',
+    'catalog.manage': 'Edit the brainrot catalog',
+    'staff.manage': 'Add, edit and remove staff'
+};
+
+const ROLES = {
+    owner: { label: 'Owner', permissions: Object.keys(PERMISSIONS) },
+    support: { label: 'Support', permissions: ['users.view', 'users.hwid', 'subscriptions.manage', 'ledger.view'] },
+    payments: { label: 'Payments', permissions: ['users.view', 'payments.manage', 'promos.manage', 'ledger.view'] },
+    moderator: { label: 'Moderator', permissions: ['users.view', 'users.moderate', 'users.hwid'] }
+};
+
+// OWNER_DISCORD_IDS are always owners, so a locked-out owner can be restored
+// from config.env. It is the only way to get the first owner - owners are
+// never derived from usernames, which anyone can claim once they are freed.
+function envOwnerIds() {
+    return (process.env.OWNER_DISCORD_IDS || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function createStaff({ db, saveDB }) {
+    let changed = false;
+
+    if (!Array.isArray(db.staff)) {
+        db.staff = [];
+        changed = true;
+    }
+
+    if (envOwnerIds().length === 0) {
+        const owners = db.staff.filter(s => s.roles.includes('owner')).length;
+        console.log(`[Staff] ⚠️ OWNER_DISCORD_IDS is not set (${owners ? `${owners} owner(s) in the staff list` : 'no owners'}) - set it in config.env`);
+    }
+    for (const discordId of envOwnerIds()) {
+        const entry = db.staff.find(s => s.discord_id === discordId);
+        if (entry && entry.roles.includes('owner')) continue;
+        if (entry) {
+            entry.roles.push('owner');
+        } else {
+            db.staff.push({ discord_id: discordId, roles: ['owner'], added_by: 'OWNER_DISCORD_IDS', added_at: Date.now() });
+        }
+        console.log(`[Staff] ${discordId} is an owner (OWNER_DISCORD_IDS)`);
+        changed = true;
+    }
+
+    if (changed) saveDB('staff');
+
+    function find(discordId) {
+        return db.staff.find(s => s.discord_id === discordId) || null;
+    }
+
+    function rolesFor(user) {
+        if (!user || !user.discord_id) return [];
+        const entry = find(user.discord_id);
+        return entry ? entry.roles.filter(r => ROLES[r]) : [];
+    }
+
+    function permissionsFor(user) {
+        const permissions = new Set();
+        for (const role of rolesFor(user)) {
+            ROLES[role].permissions.forEach(p => permissions.add(p));
+        }
+        return [...permissions];
+    }
+
+    function hasPermission(user, permission) {
+        return rolesFor(user).some(role => ROLES[role].permissions.includes(permission));
+    }
+
+    function isStaff(user) {
+        return rolesFor(user).length > 0;
+    }
+
+    function ownerCount() {
+        return db.staff.filter(s => s.roles.includes('owner')).length;
+    }
+
+    // Add or replace a staff member's roles; returns the entry
+    function setRoles(discordId, roles, addedBy) {
+        const cleanRoles = [...new Set((roles || []).filter(r => ROLES[r]))];
+        if (cleanRoles.length === 0) throw new Error('At least one valid role is required');
+
+        const existing = find(discordId);
+        if (existing && existing.roles.includes('owner') && !cleanRoles.includes('owner') && ownerCount() <= 1) {
+            throw new Error('Cannot remove the last owner');
+        }
+
+        if (existing) {
+            existing.roles = cleanRoles;
+            existing.updated_by = addedBy;
+            existing.updated_at = Date.now();
+        } else {
+            db.staff.push({ discord_id: discordId, roles: cleanRoles, added_by: addedBy, added_at: Date.now() });
+        }
+        saveDB('staff');
+        return find(discordId);
+    }
+
+    function remove(discordId) {
+        const existing = find(discordId);
+        if (!existing) return false;
+        if (existing.roles.includes('owner') && ownerCount() <= 1) {
+            throw new Error('Cannot remove the last owner');
+        }
+        db.staff = db.staff.filter(s => s.discord_id !== discordId);
+        saveDB('staff');
+        return true;
+    }
+
+    function list() {
+        return db.staff;
+    }
+
+    return { rolesFor, permissionsFor, hasPermission, isStaff, setRoles, remove, list };
+}
+
+module.exports = { createStaff, PERMISSIONS, ROLES };
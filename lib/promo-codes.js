@@ -0,0 +1,280 @@
+// ============================================================
+// PROMO CODES
+// ============================================================
+//
+// Admin-managed codes, stored in db.promo_codes:
+//   [{ code, kind, value, applies_to, tiers, max_redemptions, per_user_limit,
+//      expires_at, note, created_at, created_by, disabled_at }]
+// and every use in db.promo_redemptions:
+//   [{ code, user_id, username, applies_to, tier, hours, amount, discount,
+//      bonus_hours, bonus_balance, redeemed_at }]
+//
+// kind / value:
+//   percent       - value% off the subscription, or value% of a top-up as bonus balance
+//   fixed         - $value off the subscription (never below $0)
+//   bonus_hours   - value extra hours with the subscription
+//   bonus_balance - $value of balance with the subscription or top-up
+//
+// applies_to "subscribe" codes are entered in the dashboard purchase flow and
+// sent with /api/subscribe, which prices the purchase through quote(). tiers
+// ([] = all) limits them to some plans.
+// applies_to "topup" codes (percent / bonus_balance only) are activated on the
+// user (user.topup_promo) and redeemed with their next credited top-up -
+// provider webhook or approved manual payment - see onTopup().
+//
+// max_redemptions counts every user (null = no limit), per_user_limit each
+// one. Codes are case-insensitive and stored upper-case.
+//
+// Bonus balance is also added to user.bonus_credit: it can be spent on the
+// user's own plans but not gifted, so alts can't collect per-user bonuses
+// and pass them on (see lib/gifts).
+
+const KINDS = {
+    percent: '% off',
+    fixed: '$ off',
+    bonus_hours: 'bonus hours',
+    bonus_balance: 'bonus balance'
+};
+const TOPUP_KINDS = ['percent', 'bonus_balance'];
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+class PromoError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PromoError';
+        this.status = status;
+    }
+}
+
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+function createPromoCodes({ db, saveDB, findUser, updateUser, updateUserWithLedger, getPlan }) {
+    if (!Array.isArray(db.promo_codes)) db.promo_codes = [];
+    if (!Array.isArray(db.promo_redemptions)) db.promo_redemptions = [];
+
+    function find(code) {
+        return db.promo_codes.find(p => p.code === normalizeCode(code)) || null;
+    }
+
+    function redemptionsOf(code) {
+        return db.promo_redemptions.filter(r => r.code === code);
+    }
+
+    // What the code gives, for the dashboard ("20% off", "+$5 balance"...)
+    function describe(promo) {
+        switch (promo.kind) {
+            case 'percent': return promo.applies_to === 'topup' ? `+${promo.value}% bonus balance` : `${promo.value}% off`;
+            case 'fixed': return `$${promo.value.toFixed(2)} off`;
+            case 'bonus_hours': return `+${promo.value}h free`;
+            default: return `+$${promo.value.toFixed(2)} balance`;
+        }
+    }
+
+    // The usable code for `user`; throws PromoError
+    function validate(user, code, appliesTo, tier) {
+        const promo = find(code);
+        if (!promo) throw new PromoError('Promo code not found', 404);
+        if (promo.disabled_at) throw new PromoError('This promo code is no longer active');
+        if (promo.expires_at && promo.expires_at <= Date.now()) throw new PromoError('This promo code has expired');
+        if (promo.applies_to !== appliesTo) {
+            throw new PromoError(promo.applies_to === 'topup' ? 'This code is for balance top-ups' : 'This code is for subscriptions');
+        }
+        if (tier !== undefined && promo.tiers.length > 0 && !promo.tiers.includes(parseInt(tier))) {
+            const names = promo.tiers.map(t => getPlan(t)?.name || `tier ${t}`).join(', ');
+            throw new PromoError(`This code only works for ${names}`);
+        }
+
+        const used = redemptionsOf(promo.code);
+        if (promo.max_redemptions !== null && used.length >= promo.max_redemptions) {
+            throw new PromoError('This promo code has been fully redeemed');
+        }
+        if (used.filter(r => r.user_id === user.id).length >= promo.per_user_limit) {
+            throw new PromoError(promo.per_user_limit === 1 ? 'You have already used this code' : `You can only use this code ${promo.per_user_limit} times`);
+        }
+        return promo;
+    }
+
+    // Price a subscription with a code: { code, kind, description, cost, discount,
+    // bonus_hours, bonus_balance }; throws PromoError
+    function quote(user, code, { tier, hours, cost }) {
+        const promo = validate(user, code, 'subscribe', tier);
+        let discount = 0;
+        if (promo.kind === 'percent') discount = roundCents(cost * promo.value / 100);
+        if (promo.kind === 'fixed') discount = Math.min(cost, promo.value);
+
+        return {
+            code: promo.code,
+            kind: promo.kind,
+            description: describe(promo),
+            tier: parseInt(tier),
+            hours,
+            cost: roundCents(cost - discount),
+            discount,
+            bonus_hours: promo.kind === 'bonus_hours' ? promo.value : 0,
+            bonus_balance: promo.kind === 'bonus_balance' ? promo.value : 0
+        };
+    }
+
+    function record(user, entry) {
+        db.promo_redemptions.push({ user_id: user.id, username: user.username, redeemed_at: Date.now(), ...entry });
+        saveDB('promo_redemptions');
+    }
+
+    // A subscription bought with quote() went through
+    function redeem(user, promoQuote) {
+        record(user, {
+            code: promoQuote.code,
+            applies_to: 'subscribe',
+            tier: promoQuote.tier,
+            hours: promoQuote.hours,
+            amount: promoQuote.cost,
+            discount: promoQuote.discount,
+            bonus_hours: promoQuote.bonus_hours,
+            bonus_balance: promoQuote.bonus_balance
+        });
+        console.log(`[Promo] ${user.username} redeemed ${promoQuote.code} (${promoQuote.description})`);
+    }
+
+    // Remember a top-up code for the user's next top-up; null/'' clears it
+    function activateTopup(user, code) {
+        if (!normalizeCode(code)) {
+            updateUser(user.id, { topup_promo: null });
+            return null;
+        }
+        const promo = validate(user, code, 'topup');
+        updateUser(user.id, { topup_promo: promo.code });
+        return promo;
+    }
+
+    // Called by lib/payments after a top-up was credited. Pays the bonus of the
+    // user's active top-up code (if it is still valid) and uses it up.
+    function onTopup(user, amount, context) {
+        const code = user.topup_promo;
+        if (!code) return null;
+
+        let promo;
+        try {
+            promo = validate(user, code, 'topup');
+        } catch (err) {
+            if (!(err instanceof PromoError)) throw err;
+            console.log(`[Promo] ${user.username}'s top-up code ${code} was not applied: ${err.message}`);
+            updateUser(user.id, { topup_promo: null });
+            return null;
+        }
+
+        const bonus = promo.kind === 'percent' ? roundCents(amount * promo.value / 100) : promo.value;
+        const current = findUser({ id: user.id });
+        updateUserWithLedger(user.id, {
+            balance: roundCents((current.balance || 0) + bonus),
+            bonus_credit: roundCents((current.bonus_credit || 0) + bonus),
+            topup_promo: null
+        }, {
+            actor: context.actor,
+            reason: 'promo_topup_bonus',
+            source: context.source,
+            details: { code: promo.code, topup_amount: amount, bonus }
+        });
+        record(user, { code: promo.code, applies_to: 'topup', tier: null, hours: null, amount, discount: 0, bonus_hours: 0, bonus_balance: bonus });
+        console.log(`[Promo] ${user.username} got +$${bonus.toFixed(2)} top-up bonus from ${promo.code}`);
+        return bonus;
+    }
+
+    // Admin input -> new code; throws PromoError
+    function create(input, createdBy) {
+        const code = normalizeCode(input.code);
+        if (!CODE_PATTERN.test(code)) throw new PromoError('Code must be 3-32 letters, digits, - or _');
+        if (find(code)) throw new PromoError('That code already exists', 409);
+
+        const appliesTo = input.applies_to === 'topup' ? 'topup' : 'subscribe';
+        const kind = String(input.kind || '');
+        if (!KINDS[kind]) throw new PromoError('Unknown discount type');
+        if (appliesTo === 'topup' && !TOPUP_KINDS.includes(kind)) {
+            throw new PromoError('Top-up codes can only give a % bonus or bonus balance');
+        }
+
+        const value = roundCents(parseFloat(input.value));
+        if (!Number.isFinite(value) || value <= 0) throw new PromoError('Value must be above 0');
+        if (kind === 'percent' && value > 100) throw new PromoError('A percentage must be 100 or less');
+        if (kind === 'bonus_hours' && value > 168) throw new PromoError('Bonus hours must be 168 or less');
+
+        const tiers = [...new Set((Array.isArray(input.tiers) ? input.tiers : []).map(t => parseInt(t)))];
+        if (tiers.some(t => !getPlan(t))) throw new PromoError('Unknown tier');
+        if (appliesTo === 'topup' && tiers.length > 0) throw new PromoError('Top-up codes cannot be limited to plans');
+
+        const maxRedemptions = input.max_redemptions === undefined || input.max_redemptions === null || input.max_redemptions === ''
+            ? null : parseInt(input.max_redemptions);
+        if (maxRedemptions !== null && !(maxRedemptions > 0)) throw new PromoError('Max redemptions must be a positive number');
+        const perUserLimit = parseInt(input.per_user_limit ?? 1);
+        if (!(perUserLimit > 0)) throw new PromoError('Per-user limit must be a positive number');
+
+        const expiresAt = input.expires_at ? new Date(input.expires_at).getTime() : null;
+        if (expiresAt !== null && !(expiresAt > Date.now())) throw new PromoError('Expiry must be a date in the future');
+
+        const promo = {
+            code,
+            kind,
+            value,
+            applies_to: appliesTo,
+            tiers,
+            max_redemptions: maxRedemptions,
+            per_user_limit: perUserLimit,
+            expires_at: expiresAt,
+            note: String(input.note || '').trim().slice(0, 100) || null,
+            created_at: Date.now(),
+            created_by: createdBy,
+            disabled_at: null
+        };
+        db.promo_codes.push(promo);
+        saveDB('promo_codes');
+        return promo;
+    }
+
+    function setDisabled(code, disabled) {
+        const promo = find(code);
+        if (!promo) return null;
+        promo.disabled_at = disabled ? promo.disabled_at || Date.now() : null;
+        saveDB('promo_codes');
+        return promo;
+    }
+
+    // Codes with their redemption totals, newest first
+    function list() {
+        return db.promo_codes.map(promo => {
+            const used = redemptionsOf(promo.code);
+            return {
+                ...promo,
+                description: describe(promo),
+                active: !promo.disabled_at && !(promo.expires_at && promo.expires_at <= Date.now()),
+                redemptions: used.length,
+                users: new Set(used.map(r => r.user_id)).size,
+                total_discount: roundCents(used.reduce((sum, r) => sum + r.discount, 0)),
+                total_bonus_hours: used.reduce((sum, r) => sum + r.bonus_hours, 0),
+                total_bonus_balance: roundCents(used.reduce((sum, r) => sum + r.bonus_balance, 0)),
+                last_redeemed_at: used.length ? used[used.length - 1].redeemed_at : null
+            };
+        }).sort((a, b) => b.created_at - a.created_at);
+    }
+
+    // Latest redemptions of a code, newest first
+    function redemptionsFor(code, limit = 100) {
+        return redemptionsOf(normalizeCode(code)).slice(-limit).reverse();
+    }
+
+    function getStats() {
+        return {
+            codes: db.promo_codes.length,
+            active: db.promo_codes.filter(p => !p.disabled_at && !(p.expires_at && p.expires_at <= Date.now())).length,
+            redemptions: db.promo_redemptions.length
+        };
+    }
+
+    return { find, describe, validate, quote, redeem, activateTopup, onTopup, create, setDisabled, list, redemptionsFor, getStats };
+}
+
+module.exports = { createPromoCodes, PromoError, KINDS };
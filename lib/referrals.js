@@ -0,0 +1,272 @@
+// ============================================================
+// REFERRALS
+// ============================================================
+//
+// Every user has a referral code (user.referral_code, made the first time they
+// look at it) and a link: /auth/discord?ref=<code>. /auth/discord keeps the
+// code in the session and the Discord callback attributes a brand-new account
+// to the referrer (attribute). Existing accounts are never re-attributed.
+//
+//   db.referrals = [{ referee_id, referrer_id, created_at, ip, status, flag_reason,
+//                     first_topup_at, rewards, earned }]
+//   status: "ok", "flagged" (no rewards) or "approved" (a flag overruled by staff)
+//
+// db.referral_settings = { enabled, percent, reward_on, max_per_referee }
+// reward_on "first_topup": the referrer gets percent of the referee's first
+// top-up. "purchases": percent of every subscription the referee pays for
+// (subscribe, waitlist, auto-renew), up to max_per_referee dollars (0 = no cap).
+// Rewards go to the referrer's balance through the ledger ("referral_reward"),
+// as user.bonus_credit - spendable on their own plans, never giftable (see
+// lib/gifts), or alts could funnel rewards past the abuse checks below.
+//
+// Abuse checks flag a referral (staff can approve it from the admin panel):
+//   - at signup: the referee logged in from the referrer's signup / last IP
+//   - before each reward: referee and referrer share a HWID, now or in the past
+
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    percent: 10,
+    reward_on: 'first_topup',
+    max_per_referee: 0
+};
+
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function hwidsOf(user) {
+    const hwids = (user.hwid_history || []).map(h => h.hwid);
+    if (user.hwid) hwids.push(user.hwid);
+    return new Set(hwids.filter(Boolean));
+}
+
+function createReferrals({ db, saveDB, findUser, updateUser, updateUserWithLedger }) {
+    if (!Array.isArray(db.referrals)) db.referrals = [];
+
+    const stats = { attributed: 0, flagged: 0, rewards: 0 };
+
+    function save() {
+        saveDB('referrals');
+    }
+
+    function getSettings() {
+        return { ...DEFAULT_SETTINGS, ...(db.referral_settings || {}) };
+    }
+
+    // Validates and saves admin input, returns the new settings; throws Error on bad input
+    function updateSettings(input) {
+        const next = getSettings();
+        if (input.enabled !== undefined) next.enabled = !!input.enabled;
+        if (input.percent !== undefined) {
+            const percent = parseFloat(input.percent);
+            if (!Number.isFinite(percent) || percent < 0 || percent > 100) throw new Error('Reward must be 0-100%');
+            next.percent = percent;
+        }
+        if (input.reward_on !== undefined) {
+            if (!['first_topup', 'purchases'].includes(input.reward_on)) throw new Error('Unknown reward type');
+            next.reward_on = input.reward_on;
+        }
+        if (input.max_per_referee !== undefined) {
+            const max = parseFloat(input.max_per_referee || 0);
+            if (!Number.isFinite(max) || max < 0) throw new Error('Cap must be $0 or more');
+            next.max_per_referee = roundCents(max);
+        }
+        db.referral_settings = next;
+        saveDB('referral_settings');
+        return next;
+    }
+
+    function codeFor(user) {
+        if (user.referral_code) return user.referral_code;
+        let code;
+        do {
+            code = Array.from({ length: CODE_LENGTH }, () => CODE_CHARS[Math.floor(Math.random() * CODE_CHARS.length)]).join('');
+        } while (db.users.some(u => u.referral_code === code));
+        updateUser(user.id, { referral_code: code });
+        return code;
+    }
+
+    function findReferrer(code) {
+        const normalized = String(code || '').trim().toUpperCase();
+        if (!normalized) return null;
+        return db.users.find(u => u.referral_code === normalized) || null;
+    }
+
+    function referralOf(refereeId) {
+        return db.referrals.find(r => r.referee_id === refereeId) || null;
+    }
+
+    function flag(referral, reason) {
+        referral.status = 'flagged';
+        referral.flag_reason = reason;
+        stats.flagged++;
+        save();
+        console.log(`[Referrals] Flagged referral of ${referral.referee_id} by ${referral.referrer_id}: ${reason}`);
+    }
+
+    // A new account signed up through a referral link
+    function attribute(referee, code, ip) {
+        if (!getSettings().enabled || referralOf(referee.id)) return null;
+        const referrer = findReferrer(code);
+        if (!referrer || referrer.id === referee.id) return null;
+
+        const referral = {
+            referee_id: referee.id,
+            referrer_id: referrer.id,
+            created_at: Date.now(),
+            ip: ip || null,
+            status: 'ok',
+            flag_reason: null,
+            first_topup_at: null,
+            rewards: 0,
+            earned: 0
+        };
+        db.referrals.push(referral);
+        updateUser(referee.id, { referred_by: referrer.id });
+        stats.attributed++;
+        save();
+        console.log(`[Referrals] ${referee.username} signed up through ${referrer.username}'s link`);
+
+        if (ip && (ip === referrer.signup_ip || ip === referrer.last_ip)) {
+            flag(referral, 'Signed up from the referrer\'s IP');
+        }
+        return referral;
+    }
+
+    // Pays percent of `amount` to the referee's referrer (capped); returns the reward
+    function reward(referral, referee, amount, source) {
+        if (referral.status === 'flagged') return 0;
+        const referrer = findUser({ id: referral.referrer_id });
+        if (!referrer) return 0;
+
+        if (referral.status !== 'approved') {
+            const shared = [...hwidsOf(referee)].some(hwid => hwidsOf(referrer).has(hwid));
+            if (shared) {
+                flag(referral, 'Referee and referrer share a HWID');
+                return 0;
+            }
+        }
+
+        const settings = getSettings();
+        let value = roundCents(amount * settings.percent / 100);
+        if (settings.max_per_referee > 0) value = Math.min(value, roundCents(settings.max_per_referee - referral.earned));
+        if (value < 0.01) return 0;
+
+        updateUserWithLedger(referrer.id, {
+            balance: roundCents((referrer.balance || 0) + value),
+            bonus_credit: roundCents((referrer.bonus_credit || 0) + value)
+        }, {
+            actor: { type: 'system', id: null, name: 'referrals' },
+            reason: 'referral_reward',
+            source: 'referrals',
+            details: { referee_id: referee.id, referee: referee.username, source, amount, percent: settings.percent }
+        });
+        referral.rewards++;
+        referral.earned = roundCents(referral.earned + value);
+        stats.rewards++;
+        save();
+        console.log(`[Referrals] ${referrer.username} earned $${value.toFixed(2)} from ${referee.username}'s ${source}`);
+        return value;
+    }
+
+    // A top-up of `amount` was credited to `user` (lib/payments)
+    function onTopup(user, amount) {
+        const referral = referralOf(user.id);
+        if (!referral || referral.first_topup_at) return 0;
+        referral.first_topup_at = Date.now();
+        save();
+
+        const settings = getSettings();
+        if (!settings.enabled || settings.reward_on !== 'first_topup') return 0;
+        return reward(referral, user, amount, 'first top-up');
+    }
+
+    // `user` paid `cost` from their balance for a subscription
+    function onPurchase(user, cost) {
+        const referral = referralOf(user.id);
+        const settings = getSettings();
+        if (!referral || !settings.enabled || settings.reward_on !== 'purchases' || !(cost > 0)) return 0;
+        return reward(referral, user, cost, 'purchase');
+    }
+
+    // Staff overrule a flag - the referral earns again
+    function approve(refereeId) {
+        const referral = referralOf(refereeId);
+        if (!referral || referral.status !== 'flagged') return null;
+        referral.status = 'approved';
+        save();
+        return referral;
+    }
+
+    function toPublic(referral) {
+        const referee = findUser({ id: referral.referee_id });
+        const referrer = findUser({ id: referral.referrer_id });
+        return {
+            ...referral,
+            referee: referee ? referee.username : null,
+            referrer: referrer ? referrer.username : null
+        };
+    }
+
+    // The dashboard panel of a user
+    function statsFor(user) {
+        const mine = db.referrals.filter(r => r.referrer_id === user.id);
+        const settings = getSettings();
+        return {
+            code: codeFor(user),
+            settings: { enabled: settings.enabled, percent: settings.percent, reward_on: settings.reward_on, max_per_referee: settings.max_per_referee },
+            signups: mine.length,
+            topped_up: mine.filter(r => r.first_topup_at).length,
+            flagged: mine.filter(r => r.status === 'flagged').length,
+            earned: roundCents(mine.reduce((sum, r) => sum + r.earned, 0)),
+            referrals: mine.slice(-50).reverse().map(r => {
+                const referee = findUser({ id: r.referee_id });
+                return {
+                    referee: referee ? referee.username : 'deleted user',
+                    created_at: r.created_at,
+                    status: r.status,
+                    flag_reason: r.flag_reason,
+                    topped_up: !!r.first_topup_at,
+                    earned: r.earned
+                };
+            })
+        };
+    }
+
+    // Admin overview: settings, totals, top referrers and flagged referrals
+    function overview() {
+        const byReferrer = new Map();
+        for (const r of db.referrals) {
+            const entry = byReferrer.get(r.referrer_id) || { referrer_id: r.referrer_id, signups: 0, earned: 0 };
+            entry.signups++;
+            entry.earned = roundCents(entry.earned + r.earned);
+            byReferrer.set(r.referrer_id, entry);
+        }
+        const top = [...byReferrer.values()]
+            .sort((a, b) => b.earned - a.earned || b.signups - a.signups)
+            .slice(0, 20)
+            .map(entry => ({ ...entry, referrer: findUser({ id: entry.referrer_id })?.username || null }));
+
+        return {
+            settings: getSettings(),
+            totals: {
+                referrals: db.referrals.length,
+                flagged: db.referrals.filter(r => r.status === 'flagged').length,
+                earned: roundCents(db.referrals.reduce((sum, r) => sum + r.earned, 0))
+            },
+            top,
+            flagged: db.referrals.filter(r => r.status === 'flagged').map(toPublic)
+        };
+    }
+
+    function getStats() {
+        return { ...stats, referrals: db.referrals.length };
+    }
+
+    return { getSettings, updateSettings, codeFor, attribute, onTopup, onPurchase, approve, statsFor, overview, getStats };
+}
+
+module.exports = { createReferrals };
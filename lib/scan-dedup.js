@@ -0,0 +1,72 @@
+// ============================================================
+// SCAN DEDUPLICATION
+// ============================================================
+//
+// The relay resends its cache on every reconnect and often reports the same
+// server more than once. A scan is a repeat when the same jobId was seen with
+// the same brainrots (name, mutation, value) within the dedup window - repeats
+// only bump the "last seen" time of the first record, they are not stored or
+// posted again.
+//
+// first_seen / last_seen are the scans' own (normalized) timestamps, clamped to
+// now, so a cache replay keeps the time the server was really found. The window
+// itself runs on arrival time: records are kept in a Map ordered by when they
+// last arrived, so expired ones are always at the front and pruning stops at
+// the first live one.
+
+const WINDOW = (parseInt(process.env.BANANA_DEDUP_MINUTES) || 10) * 60 * 1000;
+
+function scanKey(scan) {
+    const animals = (scan.animals || [])
+        .map(a => `${a.name}|${a.mutation || 'None'}|${a.genValue || a.value || 0}`)
+        .sort();
+    return `${scan.jobId || 'Unknown'}#${animals.join(',')}`;
+}
+
+function createScanDedup({ windowMs = WINDOW } = {}) {
+    const records = new Map(); // key -> { first_seen, last_seen, count, entry, arrived_at }
+    const stats = { unique: 0, duplicates: 0 };
+
+    function prune(now) {
+        for (const [key, record] of records) {
+            if (now - record.arrived_at < windowMs) break;
+            records.delete(key);
+        }
+    }
+
+    // Records the scan; returns { duplicate, record }. Callers can hang their
+    // stored log entry on record.entry so repeats can update it.
+    function check(scan) {
+        const now = Date.now();
+        prune(now);
+        const seenAt = Math.min(parseInt(scan.timestamp) || now, now);
+
+        const key = scanKey(scan);
+        const record = records.get(key);
+        if (record) {
+            record.first_seen = Math.min(record.first_seen, seenAt);
+            record.last_seen = Math.max(record.last_seen, seenAt);
+            record.arrived_at = now;
+            record.count++;
+            // Re-insert so the Map stays ordered by arrival
+            records.delete(key);
+            records.set(key, record);
+            stats.duplicates++;
+            return { duplicate: true, record };
+        }
+
+        const created = { first_seen: seenAt, last_seen: seenAt, count: 1, entry: null, arrived_at: now };
+        records.set(key, created);
+        stats.unique++;
+        return { duplicate: false, record: created };
+    }
+
+    function getStats() {
+        prune(Date.now());
+        return { ...stats, tracked: records.size, window_minutes: Math.round(windowMs / 60000) };
+    }
+
+    return { check, getStats };
+}
+
+module.exports = { createScanDedup, scanKey };
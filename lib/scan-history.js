@@ -0,0 +1,71 @@
+// ============================================================
+// SCAN HISTORY
+// ============================================================
+//
+// Every scan that makes it through dedup is kept in the storage driver's scan
+// history (the in-memory live logs only hold the last 50). Retention:
+//   - scans older than SCAN_HISTORY_DAYS are deleted...
+//   - ...unless their best brainrot is worth SCAN_HISTORY_HIGH_VALUE or more,
+//     those are kept for SCAN_HISTORY_HIGH_VALUE_DAYS
+//   - never more than SCAN_HISTORY_MAX scans in total (oldest go first)
+// Retention runs at startup and then hourly.
+
+const DAY = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+function retentionFromEnv() {
+    return {
+        days: parseFloat(process.env.SCAN_HISTORY_DAYS) || 30,
+        high_value: parseFloat(process.env.SCAN_HISTORY_HIGH_VALUE) || 1e9,
+        high_value_days: parseFloat(process.env.SCAN_HISTORY_HIGH_VALUE_DAYS) || 180,
+        max_scans: parseInt(process.env.SCAN_HISTORY_MAX) || 500000
+    };
+}
+
+function createScanHistory({ storage, retention = retentionFromEnv() }) {
+    // Normalized scan (see lib/ingest/normalize) -> stored history record
+    function record(scan) {
+        const best = scan.animals[0];
+        return storage.appendScan({
+            jobId: scan.jobId,
+            players: scan.players,
+            owners: scan.owners,
+            source: scan.source || null,
+            timestamp: scan.timestamp || Date.now(),
+            bestName: best.name,
+            bestValue: best.value || 0,
+            animalCount: scan.animals.length,
+            animals: scan.animals.map(a => ({ name: a.name, value: a.value || 0, mutation: a.mutation, traits: a.traits }))
+        });
+    }
+
+    // filter = { name, mutation, min_value, max_value, max_best_value, job_id,
+    //            source, since, until, beforeId, limit } - newest first
+    function query(filter = {}) {
+        return storage.queryScans(filter);
+    }
+
+    function prune() {
+        const now = Date.now();
+        const deleted = storage.pruneScans({
+            rules: [
+                { before: now - retention.days * DAY, below_value: retention.high_value },
+                { before: now - Math.max(retention.days, retention.high_value_days) * DAY }
+            ],
+            maxRows: retention.max_scans
+        });
+        if (deleted > 0) console.log(`[Scans] Retention removed ${deleted} old scans`);
+        return deleted;
+    }
+
+    function stats() {
+        return { stored: storage.countScans(), retention };
+    }
+
+    prune();
+    setInterval(prune, PRUNE_INTERVAL).unref();
+
+    return { record, query, prune, stats };
+}
+
+module.exports = { createScanHistory };
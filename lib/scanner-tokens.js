@@ -0,0 +1,217 @@
+// ============================================================
+// SCANNER TOKENS
+// ============================================================
+//
+// Per-VPS / per-bot credentials for the scanner endpoints, issued and revoked
+// from the VPS panel. Stored in db.scanner_tokens:
+//   [{ id, name, vps_id, bot_id, scopes, secret, require_signature,
+//      created_at, created_by, revoked_at, last_used_at, last_used_ip, last_used_scope }]
+//
+// A token is "sct_<id>_<secret>" and is shown once when issued. Bots send it:
+//   - as a bearer token: Authorization: Bearer <token> (or X-Scanner-Token)
+//   - or signed: X-Scanner-Key-Id: <id>, X-Scanner-Timestamp: <unix ms>,
+//     X-Scanner-Signature: hex HMAC-SHA256(secret, "<timestamp>.<METHOD>.<url>.<raw body>")
+//     where <url> is the path plus query string. Signatures older than
+//     SIGNATURE_WINDOW are rejected and each one is accepted only once.
+// Tokens with require_signature only work signed.
+//
+// A token bound to a vps_id / bot_id can only report as that VPS / bot: a body
+// naming another one is rejected, and server.js uses the token's ids when the
+// body leaves them out.
+// The shared SCANNER_API_KEY keeps working (with every scope) while it is set.
+
+const crypto = require('crypto');
+
+const SCOPES = {
+    logs: 'POST /api/logs',
+    heartbeat: 'POST /api/vps/heartbeat',
+    servers: 'POST /api/joiner/servers',
+    'bot-servers': '/api/scanner/bot-servers',
+    ingest: '/api/ingest/scans and /ws/ingest',
+    fleet: '/api/fleet/*'
+};
+
+const SIGNATURE_WINDOW = 5 * 60 * 1000;
+const SAVE_INTERVAL = 60 * 1000; // last-use info is saved at most this often
+const MAX_NAME = 50;
+
+class ScannerAuthError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'ScannerAuthError';
+        this.status = status;
+    }
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function createScannerTokens({ db, saveDB }) {
+    if (!Array.isArray(db.scanner_tokens)) db.scanner_tokens = [];
+
+    const seenSignatures = new Map(); // signature -> expires
+    const lastSaved = new Map();      // token id -> last save
+    const stats = { accepted: 0, rejected: 0, replays: 0, legacy: 0 };
+
+    function find(id) {
+        return db.scanner_tokens.find(t => t.id === id) || null;
+    }
+
+    // Token as shown to admins - never the secret
+    function toPublic(token) {
+        const { secret, ...rest } = token;
+        return { ...rest, active: !token.revoked_at };
+    }
+
+    function list() {
+        return db.scanner_tokens.map(toPublic).sort((a, b) => b.created_at - a.created_at);
+    }
+
+    // Returns { token, plaintext } - plaintext is only available here
+    function issue(input, createdBy) {
+        const name = String(input.name || '').trim();
+        if (!name || name.length > MAX_NAME) throw new Error(`Name must be 1-${MAX_NAME} characters`);
+
+        const scopes = [...new Set(Array.isArray(input.scopes) ? input.scopes : [])];
+        if (scopes.length === 0) throw new Error('Pick at least one scope');
+        const unknown = scopes.filter(s => !SCOPES[s]);
+        if (unknown.length > 0) throw new Error(`Unknown scope: ${unknown.join(', ')}`);
+
+        const vpsId = input.vps_id === undefined || input.vps_id === null || input.vps_id === '' ? null : String(input.vps_id);
+        const botId = input.bot_id === undefined || input.bot_id === null || input.bot_id === '' ? null : String(input.bot_id).slice(0, 50);
+        if (botId && !vpsId) throw new Error('A bot token also needs its VPS');
+
+        const token = {
+            id: crypto.randomBytes(6).toString('hex'),
+            name,
+            vps_id: vpsId,
+            bot_id: botId,
+            scopes,
+            secret: crypto.randomBytes(24).toString('base64url'),
+            require_signature: !!input.require_signature,
+            created_at: Date.now(),
+            created_by: createdBy,
+            revoked_at: null,
+            last_used_at: null,
+            last_used_ip: null,
+            last_used_scope: null
+        };
+        db.scanner_tokens.push(token);
+        saveDB('scanner_tokens');
+        return { token, plaintext: `sct_${token.id}_${token.secret}` };
+    }
+
+    function revoke(id, revokedBy) {
+        const token = find(id);
+        if (!token || token.revoked_at) return null;
+        token.revoked_at = Date.now();
+        token.revoked_by = revokedBy;
+        saveDB('scanner_tokens');
+        return token;
+    }
+
+    function touch(token, scope, ip) {
+        const now = Date.now();
+        token.last_used_at = now;
+        token.last_used_ip = ip || null;
+        token.last_used_scope = scope;
+        if (now - (lastSaved.get(token.id) || 0) >= SAVE_INTERVAL) {
+            lastSaved.set(token.id, now);
+            saveDB('scanner_tokens');
+        }
+    }
+
+    function rememberSignature(signature) {
+        const now = Date.now();
+        for (const [sig, expires] of seenSignatures) {
+            if (expires > now) break;
+            seenSignatures.delete(sig);
+        }
+        if (seenSignatures.has(signature)) return false;
+        seenSignatures.set(signature, now + SIGNATURE_WINDOW * 2);
+        return true;
+    }
+
+    // Token behind the request's credentials; throws ScannerAuthError
+    function credentialsOf({ headers, method, url, rawBody }) {
+        const keyId = headers['x-scanner-key-id'];
+        if (keyId) {
+            const token = find(String(keyId));
+            if (!token) throw new ScannerAuthError('Unknown scanner key id');
+
+            const timestamp = parseInt(headers['x-scanner-timestamp']);
+            const signature = String(headers['x-scanner-signature'] || '');
+            if (!timestamp || Math.abs(Date.now() - timestamp) > SIGNATURE_WINDOW) {
+                throw new ScannerAuthError('Missing or stale X-Scanner-Timestamp');
+            }
+            const expected = crypto.createHmac('sha256', token.secret)
+                .update(`${timestamp}.${method}.${url}.${rawBody ? rawBody.toString() : ''}`)
+                .digest('hex');
+            if (!safeEqual(signature, expected)) throw new ScannerAuthError('Invalid signature');
+            if (!rememberSignature(signature)) {
+                stats.replays++;
+                throw new ScannerAuthError('Signature already used');
+            }
+            return token;
+        }
+
+        const bearer = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+        const raw = bearer ? bearer[1] : headers['x-scanner-token'];
+        if (!raw) return null;
+
+        const match = /^sct_([0-9a-f]+)_([\w-]+)$/.exec(String(raw));
+        const token = match && find(match[1]);
+        if (!token || !safeEqual(match[2], token.secret)) throw new ScannerAuthError('Invalid scanner token');
+        if (token.require_signature) throw new ScannerAuthError('This token only accepts signed requests');
+        return token;
+    }
+
+    // Checks a scanner request for `scope`. legacyKey is the shared key the
+    // request sent (body/query), if any. Returns who is calling:
+    // { token_id, name, vps_id, bot_id } or { legacy: true }; throws ScannerAuthError.
+    function authenticate(req, scope, legacyKey) {
+        let token;
+        try {
+            token = credentialsOf(req);
+            if (!token) {
+                if (process.env.SCANNER_API_KEY && legacyKey && safeEqual(legacyKey, process.env.SCANNER_API_KEY)) {
+                    stats.legacy++;
+                    return { legacy: true };
+                }
+                throw new ScannerAuthError('Invalid API key');
+            }
+            if (token.revoked_at) throw new ScannerAuthError('Scanner token was revoked');
+            if (!token.scopes.includes(scope)) throw new ScannerAuthError(`Token is not allowed to use ${SCOPES[scope]}`, 403);
+
+            // Bound tokens can only speak for their own VPS / bot
+            const body = req.body || {};
+            if (token.vps_id && body.vps_id !== undefined && String(body.vps_id) !== token.vps_id) {
+                throw new ScannerAuthError(`Token is bound to VPS ${token.vps_id}`, 403);
+            }
+            // bot-servers calls it botId
+            for (const field of ['bot_id', 'botId']) {
+                if (token.bot_id && body[field] !== undefined && String(body[field]) !== token.bot_id) {
+                    throw new ScannerAuthError(`Token is bound to bot ${token.bot_id}`, 403);
+                }
+            }
+        } catch (err) {
+            stats.rejected++;
+            throw err;
+        }
+
+        stats.accepted++;
+        touch(token, scope, req.ip);
+        return { token_id: token.id, name: token.name, vps_id: token.vps_id, bot_id: token.bot_id };
+    }
+
+    function getStats() {
+        return { ...stats, active: db.scanner_tokens.filter(t => !t.revoked_at).length };
+    }
+
+    return { list, find, toPublic, issue, revoke, authenticate, getStats };
+}
+
+module.exports = { createScannerTokens, ScannerAuthError, SCOPES };
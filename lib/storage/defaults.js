@@ -0,0 +1,6 @@
+// Shape of an empty database - drivers fill in anything missing from this
+function emptyDB() {
+    return { users: [], logs: [], banned_hwids: [], warnings: [] };
+}
+
+module.exports = { emptyDB };
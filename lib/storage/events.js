@@ -0,0 +1,21 @@
+// Shared helpers for append-only event streams (see index.js)
+
+const DEFAULT_EVENT_LIMIT = 50;
+const MAX_EVENT_LIMIT = 1000;
+
+function clampLimit(limit) {
+    return Math.min(Math.max(parseInt(limit) || DEFAULT_EVENT_LIMIT, 1), MAX_EVENT_LIMIT);
+}
+
+// In-memory equivalent of the SQLite WHERE clause
+function matchEvent(event, filter = {}) {
+    if (filter.user_id && event.user_id !== filter.user_id) return false;
+    if (filter.actor && event.actor !== filter.actor) return false;
+    if (filter.kind && event.kind !== filter.kind) return false;
+    if (filter.since && event.timestamp < filter.since) return false;
+    if (filter.until && event.timestamp > filter.until) return false;
+    if (filter.beforeId && event.id >= filter.beforeId) return false;
+    return true;
+}
+
+module.exports = { clampLimit, matchEvent };
@@ -0,0 +1,62 @@
+// ============================================================
+// STORAGE LAYER
+// ============================================================
+//
+// server.js keeps the whole database in memory (`db`) and reads from it
+// directly. Writes go through a storage driver, which only persists what
+// changed: a single user row, or one named collection/setting.
+//
+// Driver interface:
+//   load()                      -> full db object ({ users, logs, ... })
+//   insertUser(user)            -> persist a new user
+//   updateUser(user)            -> persist an existing user (full object)
+//   saveCollection(key, value)  -> persist one top-level key of the db
+//   appendEvent(stream, event)  -> append to an append-only stream (ledger, ...)
+//   queryEvents(stream, filter) -> newest-first page of a stream
+//   pruneEvents(stream, before) -> delete a stream's events older than before (ms)
+//   appendScan(scan)            -> add a scan to the scan history
+//   queryScans(filter)          -> newest-first page of the scan history
+//   pruneScans({ rules, maxRows }) -> apply retention, returns rows deleted
+//   countScans()
+//   close()
+//
+// Event streams are never loaded into memory and are kept forever, except
+// short-lived ones (vps_health) that are pruned with pruneEvents. An event is
+//   { id, timestamp, user_id, actor, kind, ...anything else }
+// and can be filtered by user_id, actor, kind, since/until (ms) and paged
+// with beforeId + limit.
+//
+// Scan history works the same way but has its own filters: jobId, source,
+// time, and per-brainrot name (substring), mutation and value range.
+//
+// Select the driver with DB_DRIVER=sqlite (default) or DB_DRIVER=json.
+
+const path = require('path');
+const { createJsonStorage } = require('./json');
+const { createSqliteStorage } = require('./sqlite');
+const { migrateJsonToSqlite } = require('./migrate');
+const { emptyDB } = require('./defaults');
+
+function createStorage({ dataDir, driver = process.env.DB_DRIVER || 'sqlite' }) {
+    const jsonFile = path.join(dataDir, 'database.json');
+
+    if (driver === 'json') {
+        console.log(`[Database] Using JSON driver: ${jsonFile}`);
+        return createJsonStorage(jsonFile);
+    }
+
+    if (driver !== 'sqlite') {
+        throw new Error(`Unknown DB_DRIVER "${driver}" (expected "sqlite" or "json")`);
+    }
+
+    const sqliteFile = path.join(dataDir, 'database.sqlite');
+    console.log(`[Database] Using SQLite driver: ${sqliteFile}`);
+    const storage = createSqliteStorage(sqliteFile);
+
+    // One-shot import of the legacy database.json (no-op once migrated)
+    migrateJsonToSqlite(jsonFile, storage);
+
+    return storage;
+}
+
+module.exports = { createStorage, emptyDB };
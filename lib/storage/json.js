@@ -0,0 +1,232 @@
+// ============================================================
+// JSON FILE DRIVER (legacy single-file database)
+// ============================================================
+//
+// Same on-disk format as the old database.json, but writes are batched
+// (one write per tick at most) and atomic (temp file + rename), so a crash
+// mid-write can no longer leave a truncated file behind.
+//
+// Event streams and scan history only ever grow, so they are not part of that
+// file: they live beside it in database.events.jsonl / database.scans.jsonl,
+// one record per line, and are appended to. Only pruning rewrites them. A
+// database.json that still holds `events` / `scans` has them moved out on load.
+
+const fs = require('fs');
+const { emptyDB } = require('./defaults');
+const { clampLimit, matchEvent } = require('./events');
+const { matchScanFilter, matchPruneRule } = require('./scans');
+
+const WRITE_DELAY_MS = 250;
+
+function sidecarFiles(file) {
+    const base = file.replace(/\.json$/, '');
+    return { events: `${base}.events.jsonl`, scans: `${base}.scans.jsonl` };
+}
+
+// Records of a .jsonl file; `bad` counts lines that didn't parse (a crash
+// mid-append leaves a cut-off last line)
+function readLines(file) {
+    const records = [];
+    let bad = 0;
+    if (!fs.existsSync(file)) return { records, bad };
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            records.push(JSON.parse(line));
+        } catch (e) {
+            bad++;
+        }
+    }
+    return { records, bad };
+}
+
+function writeLines(file, records) {
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, records.map(r => JSON.stringify(r) + '\n').join(''));
+    fs.renameSync(tmpFile, file);
+}
+
+function createJsonStorage(file) {
+    const sidecars = sidecarFiles(file);
+    let data = null;
+    let writeTimer = null;
+    let events = {}; // stream -> events, oldest first
+    let scans = []; // oldest first
+
+    function flush() {
+        writeTimer = null;
+        if (!data) return;
+        const tmpFile = `${file}.tmp`;
+        try {
+            fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+            fs.renameSync(tmpFile, file);
+        } catch (e) {
+            console.error('[Database] Error saving:', e.message);
+        }
+    }
+
+    function scheduleWrite() {
+        if (writeTimer) return;
+        writeTimer = setTimeout(flush, WRITE_DELAY_MS);
+    }
+
+    function append(sidecar, record) {
+        try {
+            fs.appendFileSync(sidecar, JSON.stringify(record) + '\n');
+        } catch (e) {
+            console.error(`[Database] Error appending to ${sidecar}:`, e.message);
+        }
+    }
+
+    function rewrite(sidecar, records) {
+        try {
+            writeLines(sidecar, records);
+            return true;
+        } catch (e) {
+            console.error(`[Database] Error rewriting ${sidecar}:`, e.message);
+            return false;
+        }
+    }
+
+    function rewriteEvents() {
+        return rewrite(sidecars.events, Object.entries(events).flatMap(([stream, list]) => list.map(e => ({ stream, ...e }))));
+    }
+
+    function loadSidecars() {
+        events = {};
+        const loadedEvents = readLines(sidecars.events);
+        for (const { stream, ...event } of loadedEvents.records) {
+            if (!events[stream]) events[stream] = [];
+            events[stream].push(event);
+        }
+        const loadedScans = readLines(sidecars.scans);
+        scans = loadedScans.records;
+
+        // Drop cut-off lines now, or the next append would be glued onto one
+        if (loadedEvents.bad > 0) rewriteEvents();
+        if (loadedScans.bad > 0) rewrite(sidecars.scans, scans);
+        if (loadedEvents.bad + loadedScans.bad > 0) {
+            console.error(`[Database] Skipped ${loadedEvents.bad + loadedScans.bad} unreadable event/scan lines`);
+        }
+
+        // database.json from before the split
+        if (!data.events && !data.scans) return;
+        for (const [stream, list] of Object.entries(data.events || {})) {
+            events[stream] = [...list, ...(events[stream] || [])];
+        }
+        scans = [...(data.scans || []), ...scans];
+        // Keep them in database.json until both files are safely written
+        if (!rewriteEvents() || !rewrite(sidecars.scans, scans)) return;
+        delete data.events;
+        delete data.scans;
+        flush();
+        console.log(`[Database] Moved event streams and scan history out of ${file}`);
+    }
+
+    return {
+        name: 'json',
+
+        load() {
+            try {
+                if (fs.existsSync(file)) {
+                    data = { ...emptyDB(), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+                    console.log(`[Database] Loaded ${data.users.length} users`);
+                    loadSidecars();
+                    return data;
+                }
+            } catch (e) {
+                console.error('[Database] Error loading:', e.message);
+            }
+            console.log('[Database] Starting fresh database');
+            data = emptyDB();
+            loadSidecars();
+            return data;
+        },
+
+        // The driver holds the same object server.js mutates, so every write
+        // just re-serializes it.
+        insertUser() {
+            scheduleWrite();
+        },
+
+        updateUser() {
+            scheduleWrite();
+        },
+
+        saveCollection() {
+            scheduleWrite();
+        },
+
+        appendEvent(stream, event) {
+            if (!events[stream]) events[stream] = [];
+            const list = events[stream];
+            const id = list.length > 0 ? list[list.length - 1].id + 1 : 1;
+            const stored = { ...event, id };
+            list.push(stored);
+            append(sidecars.events, { stream, ...stored });
+            return stored;
+        },
+
+        queryEvents(stream, filter = {}) {
+            const list = events[stream] || [];
+            const limit = clampLimit(filter.limit);
+            const result = [];
+            for (let i = list.length - 1; i >= 0 && result.length < limit; i--) {
+                if (matchEvent(list[i], filter)) result.push(list[i]);
+            }
+            return result;
+        },
+
+        pruneEvents(stream, before) {
+            const list = events[stream] || [];
+            const kept = list.filter(e => e.timestamp >= before);
+            const deleted = list.length - kept.length;
+            if (deleted > 0) {
+                events[stream] = kept;
+                rewriteEvents();
+            }
+            return deleted;
+        },
+
+        appendScan(scan) {
+            const id = scans.length > 0 ? scans[scans.length - 1].id + 1 : 1;
+            const stored = { ...scan, id };
+            scans.push(stored);
+            append(sidecars.scans, stored);
+            return stored;
+        },
+
+        queryScans(filter = {}) {
+            const limit = clampLimit(filter.limit);
+            const result = [];
+            for (let i = scans.length - 1; i >= 0 && result.length < limit; i--) {
+                if (matchScanFilter(scans[i], filter)) result.push(scans[i]);
+            }
+            return result;
+        },
+
+        pruneScans({ rules = [], maxRows } = {}) {
+            let kept = scans.filter(scan => !rules.some(rule => matchPruneRule(scan, rule)));
+            if (maxRows && kept.length > maxRows) kept = kept.slice(kept.length - maxRows);
+            const deleted = scans.length - kept.length;
+            if (deleted > 0) {
+                scans = kept;
+                rewrite(sidecars.scans, scans);
+            }
+            return deleted;
+        },
+
+        countScans() {
+            return scans.length;
+        },
+
+        close() {
+            if (writeTimer) {
+                clearTimeout(writeTimer);
+                flush();
+            }
+        }
+    };
+}
+
+module.exports = { createJsonStorage, sidecarFiles, readLines };
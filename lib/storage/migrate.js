@@ -0,0 +1,106 @@
+// ============================================================
+// ONE-SHOT MIGRATION: database.json -> SQLite
+// ============================================================
+//
+// Runs automatically when the SQLite driver starts on an empty database and
+// a legacy database.json exists. After a successful import the JSON file is
+// renamed to database.json.migrated so it is never imported twice (along with
+// the JSON driver's database.events.jsonl / database.scans.jsonl).
+//
+// Can also be run by hand:  npm run migrate
+
+const fs = require('fs');
+const { sidecarFiles, readLines } = require('./json');
+
+function migrateJsonToSqlite(jsonFile, storage) {
+    if (!fs.existsSync(jsonFile)) return false;
+
+    if (!storage.isEmpty()) {
+        console.log(`[Migrate] SQLite database already has data - ignoring ${jsonFile}`);
+        return false;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+    } catch (e) {
+        console.error(`[Migrate] ❌ Could not read ${jsonFile}:`, e.message);
+        return false;
+    }
+
+    // Event streams and scan history the JSON driver keeps beside the file
+    const sidecars = sidecarFiles(jsonFile);
+    for (const { stream, ...event } of readLines(sidecars.events).records) {
+        if (!data.events) data.events = {};
+        if (!data.events[stream]) data.events[stream] = [];
+        data.events[stream].push(event);
+    }
+    const sidecarScans = readLines(sidecars.scans).records;
+    if (sidecarScans.length > 0) data.scans = [...(data.scans || []), ...sidecarScans];
+
+    const users = data.users || [];
+    let skipped = 0;
+
+    storage.transaction(() => {
+        for (const user of users) {
+            try {
+                storage.insertUser(user);
+            } catch (e) {
+                // Duplicate discord_id / license_key in the old file - keep the first one
+                skipped++;
+                console.log(`[Migrate] Skipped user ${user.id} (${user.username}): ${e.message}`);
+            }
+        }
+
+        for (const [key, value] of Object.entries(data)) {
+            if (key === 'users') continue;
+            if (key === 'events') {
+                // Append-only streams written by the JSON driver
+                for (const [stream, events] of Object.entries(value || {})) {
+                    for (const { id, ...event } of events) storage.appendEvent(stream, event);
+                }
+                continue;
+            }
+            if (key === 'scans') {
+                // Scan history goes row by row into the scans table /api/scans queries
+                for (const { id, ...scan } of value || []) storage.appendScan(scan);
+                continue;
+            }
+            if (key === 'logs') {
+                // Old logs used Date.now() as id, so two in the same millisecond
+                // share one - bump them to keep the primary key unique
+                let lastId = 0;
+                for (const log of value || []) {
+                    log.id = Math.max(log.id || 0, lastId + 1);
+                    lastId = log.id;
+                }
+            }
+            storage.saveCollection(key, value);
+        }
+    });
+
+    const migratedFile = `${jsonFile}.migrated`;
+    fs.renameSync(jsonFile, migratedFile);
+    for (const sidecar of Object.values(sidecars)) {
+        if (fs.existsSync(sidecar)) fs.renameSync(sidecar, `${sidecar}.migrated`);
+    }
+
+    console.log(`[Migrate] ✅ Imported ${users.length - skipped} users and ${Object.keys(data).length - 1} collections from ${jsonFile}`);
+    console.log(`[Migrate] Old file kept as ${migratedFile}`);
+    return true;
+}
+
+module.exports = { migrateJsonToSqlite };
+
+if (require.main === module) {
+    require('dotenv').config({ path: './config.env' });
+    const path = require('path');
+    const { createSqliteStorage } = require('./sqlite');
+
+    const dataDir = process.argv[2] || (fs.existsSync('/data') ? '/data' : '.');
+    const storage = createSqliteStorage(path.join(dataDir, 'database.sqlite'));
+    const migrated = migrateJsonToSqlite(path.join(dataDir, 'database.json'), storage);
+    storage.close();
+
+    if (!migrated) console.log('[Migrate] Nothing to migrate');
+}
@@ -0,0 +1,34 @@
+// Shared helpers for the scan history (see index.js)
+
+// In-memory equivalent of the SQLite scan query. Brainrot filters (name,
+// mutation, value range) must all hold for the same brainrot.
+function matchScanFilter(scan, filter = {}) {
+    if (filter.job_id && scan.jobId !== filter.job_id) return false;
+    if (filter.source && scan.source !== filter.source) return false;
+    if (filter.since && scan.timestamp < filter.since) return false;
+    if (filter.until && scan.timestamp > filter.until) return false;
+    if (filter.beforeId && scan.id >= filter.beforeId) return false;
+    if (filter.max_best_value !== undefined && scan.bestValue > filter.max_best_value) return false;
+
+    if (!hasAnimalFilter(filter)) return true;
+    const name = filter.name && filter.name.toLowerCase();
+    const mutation = filter.mutation && filter.mutation.toLowerCase();
+    return (scan.animals || []).some(a =>
+        (!name || String(a.name).toLowerCase().includes(name)) &&
+        (!mutation || String(a.mutation || 'None').toLowerCase() === mutation) &&
+        (filter.min_value === undefined || a.value >= filter.min_value) &&
+        (filter.max_value === undefined || a.value <= filter.max_value));
+}
+
+function hasAnimalFilter(filter) {
+    return !!(filter.name || filter.mutation || filter.min_value !== undefined || filter.max_value !== undefined);
+}
+
+// Retention rule = { before, below_value }: delete scans older than `before`
+// (only those with best value under below_value, when set)
+function matchPruneRule(scan, rule) {
+    if (scan.timestamp >= rule.before) return false;
+    return rule.below_value === undefined || rule.below_value === null || scan.bestValue < rule.below_value;
+}
+
+module.exports = { matchScanFilter, hasAnimalFilter, matchPruneRule };
@@ -0,0 +1,431 @@
+// ============================================================
+// SQLITE DRIVER
+// ============================================================
+//
+// Users, logs, payments, warnings, banned HWIDs, servers and VPS config get
+// their own tables. Every other top-level key (plans, pause flags, bot
+// tracking, ...) is stored as JSON in the `settings` table.
+//
+// Users keep their indexed fields as columns for querying, plus a `data`
+// column holding the full JSON object so new user fields need no migration.
+
+const Database = require('better-sqlite3');
+const { emptyDB } = require('./defaults');
+const { clampLimit } = require('./events');
+const { hasAnimalFilter } = require('./scans');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        discord_id TEXT UNIQUE,
+        username TEXT,
+        license_key TEXT UNIQUE,
+        hwid TEXT,
+        balance REAL NOT NULL DEFAULT 0,
+        subscription_tier INTEGER NOT NULL DEFAULT 0,
+        subscription_expires INTEGER NOT NULL DEFAULT 0,
+        warnings INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER,
+        last_active INTEGER,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_users_hwid ON users (hwid);
+
+    CREATE TABLE IF NOT EXISTS logs (
+        id INTEGER PRIMARY KEY,
+        brainrot_name TEXT,
+        brainrot_value REAL,
+        image_url TEXT,
+        timestamp INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS payments (
+        id TEXT PRIMARY KEY,
+        user_id TEXT,
+        discord_id TEXT,
+        username TEXT,
+        amount REAL NOT NULL,
+        tx_id TEXT,
+        crypto TEXT,
+        status TEXT NOT NULL,
+        submitted_at INTEGER NOT NULL,
+        data TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS used_transactions (
+        tx_id TEXT PRIMARY KEY
+    );
+
+    CREATE TABLE IF NOT EXISTS warnings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT,
+        username TEXT,
+        reason TEXT,
+        admin TEXT,
+        timestamp INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_warnings_user ON warnings (user_id);
+
+    CREATE TABLE IF NOT EXISTS banned_hwids (
+        hwid TEXT PRIMARY KEY
+    );
+
+    CREATE TABLE IF NOT EXISTS servers (
+        job_id TEXT PRIMARY KEY,
+        best_name TEXT,
+        best_value REAL,
+        timestamp INTEGER NOT NULL,
+        data TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS vps_config (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        bots INTEGER NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 1
+    );
+
+    CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        stream TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        user_id TEXT,
+        actor TEXT,
+        kind TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_events_stream_time ON events (stream, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_events_stream_user ON events (stream, user_id, id);
+
+    CREATE TABLE IF NOT EXISTS scans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT,
+        timestamp INTEGER NOT NULL,
+        source TEXT,
+        best_name TEXT,
+        best_value REAL NOT NULL DEFAULT 0,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_scans_time ON scans (timestamp);
+    CREATE INDEX IF NOT EXISTS idx_scans_job ON scans (job_id);
+
+    CREATE TABLE IF NOT EXISTS scan_animals (
+        scan_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        mutation TEXT,
+        value REAL NOT NULL DEFAULT 0
+    );
+    CREATE INDEX IF NOT EXISTS idx_scan_animals_scan ON scan_animals (scan_id);
+    CREATE INDEX IF NOT EXISTS idx_scan_animals_name ON scan_animals (name COLLATE NOCASE);
+`;
+
+// Collections that live in their own table. Order of `columns` matches the
+// values returned by toRow(); fromRow() rebuilds the in-memory object.
+const TABLES = {
+    logs: {
+        table: 'logs',
+        columns: ['id', 'brainrot_name', 'brainrot_value', 'image_url', 'timestamp'],
+        orderBy: 'timestamp ASC, id ASC',
+        toRow: l => [l.id, l.brainrot_name, l.brainrot_value, l.image_url, l.timestamp],
+        fromRow: r => ({ id: r.id, brainrot_name: r.brainrot_name, brainrot_value: r.brainrot_value, image_url: r.image_url, timestamp: r.timestamp })
+    },
+    pending_payments: {
+        table: 'payments',
+        columns: ['id', 'user_id', 'discord_id', 'username', 'amount', 'tx_id', 'crypto', 'status', 'submitted_at', 'data'],
+        orderBy: 'submitted_at ASC',
+        toRow: p => [String(p.id), p.userId, p.discord_id, p.username, p.amount, p.txId, p.crypto, p.status || 'pending', p.submitted_at, JSON.stringify(p)],
+        fromRow: r => JSON.parse(r.data)
+    },
+    used_transactions: {
+        table: 'used_transactions',
+        columns: ['tx_id'],
+        orderBy: 'rowid ASC',
+        toRow: txId => [txId],
+        fromRow: r => r.tx_id
+    },
+    warnings: {
+        table: 'warnings',
+        columns: ['user_id', 'username', 'reason', 'admin', 'timestamp'],
+        orderBy: 'id ASC',
+        toRow: w => [w.user_id, w.username, w.reason, w.admin, w.timestamp],
+        fromRow: r => ({ user_id: r.user_id, username: r.username, reason: r.reason, timestamp: r.timestamp, admin: r.admin })
+    },
+    banned_hwids: {
+        table: 'banned_hwids',
+        columns: ['hwid'],
+        orderBy: 'rowid ASC',
+        toRow: hwid => [hwid],
+        fromRow: r => r.hwid
+    },
+    servers: {
+        table: 'servers',
+        columns: ['job_id', 'best_name', 'best_value', 'timestamp', 'data'],
+        orderBy: 'timestamp DESC',
+        toRow: s => [String(s.jobId), s.bestName, s.bestValue, s.timestamp, JSON.stringify(s)],
+        fromRow: r => JSON.parse(r.data)
+    },
+    vps_config: {
+        table: 'vps_config',
+        columns: ['id', 'name', 'bots', 'enabled'],
+        orderBy: 'id ASC',
+        toRow: v => [v.id, v.name, v.bots, v.enabled ? 1 : 0],
+        fromRow: r => ({ id: r.id, name: r.name, bots: r.bots, enabled: !!r.enabled })
+    }
+};
+
+function userToRow(u) {
+    return {
+        id: u.id,
+        discord_id: u.discord_id ?? null,
+        username: u.username ?? null,
+        license_key: u.license_key ?? null,
+        hwid: u.hwid ?? null,
+        balance: u.balance || 0,
+        subscription_tier: parseInt(u.subscription_tier) || 0,
+        subscription_expires: u.subscription_expires || 0,
+        warnings: u.warnings || 0,
+        created_at: u.created_at ?? null,
+        last_active: u.last_active ?? null,
+        data: JSON.stringify(u)
+    };
+}
+
+function createSqliteStorage(file) {
+    const sqlite = new Database(file);
+    sqlite.pragma('journal_mode = WAL');
+    sqlite.pragma('synchronous = NORMAL');
+    sqlite.exec(SCHEMA);
+
+    const USER_COLUMNS = ['id', 'discord_id', 'username', 'license_key', 'hwid', 'balance', 'subscription_tier',
+        'subscription_expires', 'warnings', 'created_at', 'last_active', 'data'];
+
+    const insertUserStmt = sqlite.prepare(
+        `INSERT INTO users (${USER_COLUMNS.join(', ')}) VALUES (${USER_COLUMNS.map(c => '@' + c).join(', ')})`
+    );
+    const updateUserStmt = sqlite.prepare(
+        `UPDATE users SET ${USER_COLUMNS.filter(c => c !== 'id').map(c => `${c} = @${c}`).join(', ')} WHERE id = @id`
+    );
+    const upsertSettingStmt = sqlite.prepare(
+        'INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'
+    );
+
+    const insertEventStmt = sqlite.prepare(
+        'INSERT INTO events (stream, timestamp, user_id, actor, kind, data) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+
+    const insertScanStmt = sqlite.prepare(
+        'INSERT INTO scans (job_id, timestamp, source, best_name, best_value, data) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+    const insertScanAnimalStmt = sqlite.prepare(
+        'INSERT INTO scan_animals (scan_id, name, mutation, value) VALUES (?, ?, ?, ?)'
+    );
+    const insertScan = sqlite.transaction(scan => {
+        const { lastInsertRowid } = insertScanStmt.run(
+            scan.jobId ?? null,
+            scan.timestamp,
+            scan.source ?? null,
+            scan.bestName ?? null,
+            scan.bestValue || 0,
+            JSON.stringify(scan)
+        );
+        for (const animal of scan.animals || []) {
+            insertScanAnimalStmt.run(lastInsertRowid, String(animal.name), animal.mutation || 'None', animal.value || 0);
+        }
+        return Number(lastInsertRowid);
+    });
+
+    // Older JSON migrations stored the scan history as a `scans` setting -
+    // move it into the scans table, where lib/scan-history looks for it
+    const misplacedScans = sqlite.prepare("SELECT value FROM settings WHERE key = 'scans'").get();
+    if (misplacedScans) {
+        try {
+            const scans = JSON.parse(misplacedScans.value) || [];
+            sqlite.transaction(() => {
+                for (const { id, ...scan } of scans) insertScan(scan);
+                sqlite.prepare("DELETE FROM settings WHERE key = 'scans'").run();
+            })();
+            console.log(`[Database] Moved ${scans.length} scans from settings into the scan history`);
+        } catch (e) {
+            console.error('[Database] Could not move the "scans" setting into the scan history:', e.message);
+        }
+    }
+
+    // Delete the scans matching `where` together with their brainrot rows
+    function deleteScansWhere(where, params) {
+        sqlite.prepare(`DELETE FROM scan_animals WHERE scan_id IN (SELECT id FROM scans WHERE ${where})`).run(...params);
+        return sqlite.prepare(`DELETE FROM scans WHERE ${where}`).run(...params).changes;
+    }
+
+    // Table-backed collections are small, so a save replaces the table
+    // contents inside one transaction (all-or-nothing).
+    const replaceTable = {};
+    for (const [key, def] of Object.entries(TABLES)) {
+        const del = sqlite.prepare(`DELETE FROM ${def.table}`);
+        const ins = sqlite.prepare(
+            `INSERT INTO ${def.table} (${def.columns.join(', ')}) VALUES (${def.columns.map(() => '?').join(', ')})`
+        );
+        replaceTable[key] = sqlite.transaction(items => {
+            del.run();
+            for (const item of items || []) ins.run(def.toRow(item));
+        });
+    }
+
+    return {
+        name: 'sqlite',
+        sqlite,
+
+        load() {
+            const data = emptyDB();
+
+            data.users = sqlite.prepare('SELECT data FROM users ORDER BY created_at ASC, rowid ASC').all()
+                .map(r => JSON.parse(r.data));
+
+            for (const [key, def] of Object.entries(TABLES)) {
+                data[key] = sqlite.prepare(`SELECT * FROM ${def.table} ORDER BY ${def.orderBy}`).all().map(def.fromRow);
+            }
+
+            for (const row of sqlite.prepare('SELECT key, value FROM settings').all()) {
+                try {
+                    data[row.key] = JSON.parse(row.value);
+                } catch (e) {
+                    console.error(`[Database] Bad setting "${row.key}":`, e.message);
+                }
+            }
+
+            // Leave unset collections undefined so server.js defaults still apply
+            if (data.pending_payments.length === 0) delete data.pending_payments;
+            if (data.used_transactions.length === 0) delete data.used_transactions;
+            if (data.servers.length === 0) delete data.servers;
+            if (data.vps_config.length === 0) delete data.vps_config;
+
+            console.log(`[Database] Loaded ${data.users.length} users`);
+            return data;
+        },
+
+        insertUser(user) {
+            insertUserStmt.run(userToRow(user));
+        },
+
+        updateUser(user) {
+            updateUserStmt.run(userToRow(user));
+        },
+
+        saveCollection(key, value) {
+            if (replaceTable[key]) {
+                replaceTable[key](value);
+            } else {
+                upsertSettingStmt.run(key, JSON.stringify(value === undefined ? null : value));
+            }
+        },
+
+        appendEvent(stream, event) {
+            const { lastInsertRowid } = insertEventStmt.run(
+                stream,
+                event.timestamp,
+                event.user_id ?? null,
+                event.actor ?? null,
+                event.kind ?? null,
+                JSON.stringify(event)
+            );
+            return { ...event, id: Number(lastInsertRowid) };
+        },
+
+        queryEvents(stream, filter = {}) {
+            const where = ['stream = ?'];
+            const params = [stream];
+            for (const column of ['user_id', 'actor', 'kind']) {
+                if (filter[column]) {
+                    where.push(`${column} = ?`);
+                    params.push(filter[column]);
+                }
+            }
+            if (filter.since) { where.push('timestamp >= ?'); params.push(filter.since); }
+            if (filter.until) { where.push('timestamp <= ?'); params.push(filter.until); }
+            if (filter.beforeId) { where.push('id < ?'); params.push(filter.beforeId); }
+            params.push(clampLimit(filter.limit));
+
+            return sqlite.prepare(`SELECT id, data FROM events WHERE ${where.join(' AND ')} ORDER BY id DESC LIMIT ?`)
+                .all(...params)
+                .map(r => ({ ...JSON.parse(r.data), id: r.id }));
+        },
+
+        pruneEvents(stream, before) {
+            return sqlite.prepare('DELETE FROM events WHERE stream = ? AND timestamp < ?').run(stream, before).changes;
+        },
+
+        appendScan(scan) {
+            return { ...scan, id: insertScan(scan) };
+        },
+
+        queryScans(filter = {}) {
+            const where = [];
+            const params = [];
+            if (filter.job_id) { where.push('s.job_id = ?'); params.push(filter.job_id); }
+            if (filter.source) { where.push('s.source = ?'); params.push(filter.source); }
+            if (filter.since) { where.push('s.timestamp >= ?'); params.push(filter.since); }
+            if (filter.until) { where.push('s.timestamp <= ?'); params.push(filter.until); }
+            if (filter.beforeId) { where.push('s.id < ?'); params.push(filter.beforeId); }
+            if (filter.max_best_value !== undefined) { where.push('s.best_value <= ?'); params.push(filter.max_best_value); }
+
+            if (hasAnimalFilter(filter)) {
+                const animal = ['a.scan_id = s.id'];
+                if (filter.name) { animal.push("a.name LIKE ? ESCAPE '\\'"); params.push(`%${filter.name.replace(/[\\%_]/g, c => '\\' + c)}%`); }
+                if (filter.mutation) { animal.push('a.mutation = ? COLLATE NOCASE'); params.push(filter.mutation); }
+                if (filter.min_value !== undefined) { animal.push('a.value >= ?'); params.push(filter.min_value); }
+                if (filter.max_value !== undefined) { animal.push('a.value <= ?'); params.push(filter.max_value); }
+                where.push(`EXISTS (SELECT 1 FROM scan_animals a WHERE ${animal.join(' AND ')})`);
+            }
+            params.push(clampLimit(filter.limit));
+
+            return sqlite.prepare(`SELECT s.id, s.data FROM scans s ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY s.id DESC LIMIT ?`)
+                .all(...params)
+                .map(r => ({ ...JSON.parse(r.data), id: r.id }));
+        },
+
+        // rules = [{ before, below_value }], then keep at most maxRows newest
+        pruneScans({ rules = [], maxRows } = {}) {
+            return sqlite.transaction(() => {
+                let deleted = 0;
+                for (const rule of rules) {
+                    if (rule.below_value !== undefined && rule.below_value !== null) {
+                        deleted += deleteScansWhere('timestamp < ? AND best_value < ?', [rule.before, rule.below_value]);
+                    } else {
+                        deleted += deleteScansWhere('timestamp < ?', [rule.before]);
+                    }
+                }
+                if (maxRows) {
+                    const cutoff = sqlite.prepare('SELECT id FROM scans ORDER BY id DESC LIMIT 1 OFFSET ?').get(maxRows);
+                    if (cutoff) deleted += deleteScansWhere('id <= ?', [cutoff.id]);
+                }
+                return deleted;
+            })();
+        },
+
+        countScans() {
+            return sqlite.prepare('SELECT COUNT(*) AS n FROM scans').get().n;
+        },
+
+        // Used by the JSON migration to import everything in one transaction
+        transaction(fn) {
+            return sqlite.transaction(fn)();
+        },
+
+        isEmpty() {
+            const users = sqlite.prepare('SELECT COUNT(*) AS n FROM users').get().n;
+            const settings = sqlite.prepare('SELECT COUNT(*) AS n FROM settings').get().n;
+            const events = sqlite.prepare('SELECT COUNT(*) AS n FROM events').get().n;
+            return users === 0 && settings === 0 && events === 0;
+        },
+
+        close() {
+            sqlite.close();
+        }
+    };
+}
+
+module.exports = { createSqliteStorage };
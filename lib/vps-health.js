@@ -0,0 +1,245 @@
+// ============================================================
+// VPS HEALTH HISTORY & ALERTS
+// ============================================================
+//
+// /api/admin/vps only shows the fleet as it is right now. This keeps history
+// and tells staff when something breaks:
+//
+//   - every RECORD_INTERVAL a snapshot of each VPS (online / hopping / idle
+//     bots, fleet scans per minute) goes to the "vps_health" event stream,
+//     kept for VPS_HEALTH_DAYS, for the admin panel charts
+//   - every CHECK_INTERVAL each enabled VPS is checked against db.vps_alerts:
+//       { enabled, webhook_url, dm_user_ids, min_online_percent, grace_minutes, silent_minutes }
+//     "low"    - online bots below min_online_percent for grace_minutes in a row
+//     "silent" - no heartbeat from any of its bots for silent_minutes
+//     One alert is sent when a VPS goes bad and one when it recovers, to the
+//     webhook (through the delivery queue) and as bot DMs to dm_user_ids.
+//     Alerts are also written to the stream (kind "alert").
+//
+// getSnapshot() returns { vps: [{ id, name, enabled, bots, online, hopping,
+// idle, onlinePercent, last_seen, fleet: { scans_per_min } }], totals }.
+
+const { isValidWebhookUrl } = require('./notifications');
+
+const STREAM = 'vps_health';
+const DAY = 24 * 60 * 60 * 1000;
+const RECORD_INTERVAL = 5 * 60 * 1000;
+const CHECK_INTERVAL = 60 * 1000;
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+const MAX_POINTS = 5000; // per history query
+const RETENTION_DAYS = parseFloat(process.env.VPS_HEALTH_DAYS) || 7;
+
+const DEFAULT_SETTINGS = {
+    enabled: false,
+    webhook_url: null,
+    dm_user_ids: [],
+    min_online_percent: 80,
+    grace_minutes: 5,
+    silent_minutes: 5
+};
+
+const COLORS = { low: 0xffaa00, silent: 0xff4444, recovered: 0x00ff88, test: 0x00d4ff };
+
+function createVpsHealth({ storage, db, saveDB, getSnapshot, deliveryQueue, discordBot }) {
+    const startedAt = Date.now();
+    const states = new Map(); // vps id -> { low_since, low, silent }
+    const stats = { recorded: 0, alerts: 0, recoveries: 0, failed: 0 };
+
+    function getSettings() {
+        return { ...DEFAULT_SETTINGS, ...(db.vps_alerts || {}) };
+    }
+
+    function parseMinutes(value, field) {
+        const minutes = parseFloat(value);
+        if (!Number.isFinite(minutes) || minutes < 1 || minutes > 24 * 60) throw new Error(`${field} must be 1-1440 minutes`);
+        return minutes;
+    }
+
+    // Validates and saves admin input, returns the new settings; throws Error on bad input
+    function updateSettings(input) {
+        const next = getSettings();
+        if (input.enabled !== undefined) next.enabled = !!input.enabled;
+        if (input.webhook_url !== undefined) {
+            const url = typeof input.webhook_url === 'string' ? input.webhook_url.trim() : '';
+            if (url && !isValidWebhookUrl(url)) throw new Error('Webhook URL must be a Discord webhook (https://discord.com/api/webhooks/...)');
+            next.webhook_url = url || null;
+        }
+        if (input.dm_user_ids !== undefined) {
+            const ids = Array.isArray(input.dm_user_ids) ? input.dm_user_ids : String(input.dm_user_ids).split(',');
+            next.dm_user_ids = [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+            if (next.dm_user_ids.some(id => !/^\d{17,20}$/.test(id))) throw new Error('DM recipients must be Discord user IDs');
+        }
+        if (input.min_online_percent !== undefined) {
+            const percent = parseFloat(input.min_online_percent);
+            if (!Number.isFinite(percent) || percent < 0 || percent > 100) throw new Error('Online threshold must be 0-100%');
+            next.min_online_percent = percent;
+        }
+        if (input.grace_minutes !== undefined) next.grace_minutes = parseMinutes(input.grace_minutes, 'Grace period');
+        if (input.silent_minutes !== undefined) next.silent_minutes = parseMinutes(input.silent_minutes, 'Silence limit');
+        if (next.enabled && !next.webhook_url && next.dm_user_ids.length === 0) {
+            throw new Error('Add a webhook URL or DM recipients first');
+        }
+        db.vps_alerts = next;
+        saveDB('vps_alerts');
+        return next;
+    }
+
+    async function sendDMs(ids, payload) {
+        if (!discordBot.isReady()) throw new Error('bot is offline');
+        await Promise.all(ids.map(async (id) => {
+            try {
+                const user = await discordBot.users.fetch(id);
+                await user.send(payload);
+            } catch (err) {
+                stats.failed++;
+                console.error(`[VPS Health] DM to ${id} failed:`, err.message);
+            }
+        }));
+    }
+
+    function deliver(settings, type, title, description) {
+        const payload = {
+            embeds: [{ title, description, color: COLORS[type], timestamp: new Date().toISOString() }]
+        };
+        if (settings.webhook_url) {
+            deliveryQueue.enqueue({ key: 'vps-alerts', label: 'VPS alerts', url: settings.webhook_url, payload, meta: { vps_alert: type } });
+        }
+        if (settings.dm_user_ids.length > 0) {
+            sendDMs(settings.dm_user_ids, payload).catch(err => {
+                stats.failed++;
+                console.error('[VPS Health] DMs failed:', err.message);
+            });
+        }
+    }
+
+    function alert(settings, vps, type, recovered, description) {
+        const title = recovered
+            ? `✅ ${vps.name} recovered`
+            : type === 'silent' ? `🔇 ${vps.name} stopped reporting` : `⚠️ ${vps.name} is low on bots`;
+        if (recovered) stats.recoveries++;
+        else stats.alerts++;
+        console.log(`[VPS Health] ${title}: ${description}`);
+        storage.appendEvent(STREAM, { timestamp: Date.now(), kind: 'alert', vps_id: vps.id, type, recovered, message: `${title} - ${description}` });
+        deliver(settings, recovered ? 'recovered' : type, title, description);
+    }
+
+    function check(snapshot = getSnapshot()) {
+        const settings = getSettings();
+        const now = Date.now();
+
+        for (const vps of snapshot.vps) {
+            if (!vps.enabled) {
+                states.delete(vps.id);
+                continue;
+            }
+            const state = states.get(vps.id) || { low_since: null, low: false, silent: false };
+            states.set(vps.id, state);
+
+            const quietFor = now - (vps.last_seen || startedAt);
+            const silent = quietFor >= settings.silent_minutes * 60 * 1000;
+            const isLow = !silent && vps.onlinePercent < settings.min_online_percent;
+            state.low_since = isLow ? state.low_since || now : null;
+            const low = isLow && now - state.low_since >= settings.grace_minutes * 60 * 1000;
+
+            if (silent !== state.silent) {
+                state.silent = silent;
+                // Silence covers the low alert - its recovery message is the only one sent
+                if (silent) state.low = false;
+                if (settings.enabled) {
+                    alert(settings, vps, 'silent', !silent, silent
+                        ? `No heartbeat from any of its ${vps.bots} bots for ${Math.round(quietFor / 60000)} min.`
+                        : `${vps.online}/${vps.bots} bots are reporting again.`);
+                }
+            }
+            if (!silent && low !== state.low) {
+                state.low = low;
+                if (settings.enabled) {
+                    alert(settings, vps, 'low', !low, low
+                        ? `Only ${vps.online}/${vps.bots} bots online (${vps.onlinePercent}%, threshold ${settings.min_online_percent}%).`
+                        : `${vps.online}/${vps.bots} bots online (${vps.onlinePercent}%).`);
+                }
+            }
+        }
+        // VPS that were deleted
+        for (const id of states.keys()) {
+            if (!snapshot.vps.some(v => v.id === id)) states.delete(id);
+        }
+    }
+
+    function record(snapshot = getSnapshot()) {
+        storage.appendEvent(STREAM, {
+            timestamp: Date.now(),
+            kind: 'snapshot',
+            totals: {
+                bots: snapshot.totals.totalBots,
+                online: snapshot.totals.online,
+                hopping: snapshot.totals.hopping,
+                scans_per_min: snapshot.totals.scansPerMin
+            },
+            vps: snapshot.vps.map(v => ({
+                id: v.id,
+                bots: v.bots,
+                online: v.online,
+                hopping: v.hopping,
+                idle: v.idle,
+                scans_per_min: v.fleet.scans_per_min
+            }))
+        });
+        stats.recorded++;
+    }
+
+    function queryAll(kind, since) {
+        const events = [];
+        let beforeId;
+        while (events.length < MAX_POINTS) {
+            const page = storage.queryEvents(STREAM, { kind, since, beforeId, limit: 1000 });
+            events.push(...page);
+            if (page.length < 1000) break;
+            beforeId = page[page.length - 1].id;
+        }
+        return events.reverse();
+    }
+
+    // Snapshots and alerts of the last `hours`, oldest first
+    function history(hours) {
+        const since = Date.now() - hours * 60 * 60 * 1000;
+        return {
+            snapshots: queryAll('snapshot', since).map(({ id, kind, user_id, actor, ...point }) => point),
+            alerts: queryAll('alert', since).map(({ kind, user_id, actor, ...entry }) => entry)
+        };
+    }
+
+    // Where each VPS stands right now, for the admin panel
+    function alertStates() {
+        const result = {};
+        for (const [id, state] of states) {
+            result[id] = { low: state.low, silent: state.silent, low_since: state.low_since };
+        }
+        return result;
+    }
+
+    // Sample alert to check the setup
+    function sendTest() {
+        const settings = getSettings();
+        if (!settings.webhook_url && settings.dm_user_ids.length === 0) throw new Error('Add a webhook URL or DM recipients first');
+        deliver(settings, 'test', '🧪 VPS alert test', 'VPS health alerts will be sent here.');
+    }
+
+    function prune() {
+        const deleted = storage.pruneEvents(STREAM, Date.now() - RETENTION_DAYS * DAY);
+        if (deleted > 0) console.log(`[VPS Health] Retention removed ${deleted} old entries`);
+    }
+
+    function getStats() {
+        return { ...stats, retention_days: RETENTION_DAYS, alerting: [...states.values()].filter(s => s.low || s.silent).length };
+    }
+
+    prune();
+    setInterval(() => record(), RECORD_INTERVAL).unref();
+    setInterval(() => check(), CHECK_INTERVAL).unref();
+    setInterval(prune, PRUNE_INTERVAL).unref();
+
+    return { getSettings, updateSettings, check, record, history, alertStates, sendTest, getStats };
+}
+
+module.exports = { createVpsHealth, RECORD_INTERVAL };
@@ -0,0 +1,312 @@
+// ============================================================
+// SLOT WAITLIST
+// ============================================================
+//
+// When a tier is full users can queue for it instead of refreshing the
+// dashboard all day:
+//   db.waitlist   = [{ user_id, tier, hours, auto_purchase, joined_at }]   (join order)
+//   db.slot_holds = [{ user_id, tier, hours, auto_purchase, created_at, expires_at }]
+//
+// Whenever a slot frees up (a subscription expired or was removed, a plan got
+// more slots, a hold lapsed) the first user in that tier's line gets a hold on
+// it for HOLD_MINUTES and a Discord DM. Held slots count as taken, so only the
+// holder can buy it - through /api/subscribe as usual. With auto_purchase the
+// hold is paid from their balance straight away, and retried on every sweep
+// while the hold lasts if the balance is short. A hold that runs out is
+// dropped; the user has to join the line again.
+//
+// Hand-offs happen on handOff(tier) (called where a slot frees up: expiry,
+// removal, a switch to another tier) and on the SWEEP_INTERVAL sweep, never
+// while sales are closed or plans are paused. Purchase checks only read the
+// line (waitingAhead) - a free slot someone is waiting for is not for sale.
+// Auto-purchases re-check sales, pauses and bans before charging, since those
+// can change while a hold lasts. Nobody is moved down a tier: users on a higher
+// active tier can't join a lower tier's line, and someone who has moved up
+// since joining is skipped for a hold and never auto-purchased.
+
+const HOLD_MINUTES = parseFloat(process.env.WAITLIST_HOLD_MINUTES) || 15;
+const SWEEP_INTERVAL = 30 * 1000;
+const MAX_HOURS = 168;
+
+class WaitlistError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'WaitlistError';
+        this.status = status;
+    }
+}
+
+// deps:
+//   getPlan(tier), getMinHours(), isOpen() - sales open and plans not paused
+//   activeCount(tier) - subscribers on the tier
+//   blockedReason(user, tier) - why a user can't buy the tier (banned...), or null
+//   purchase(user, tier, hours, context) - buy like /api/subscribe does
+//   notify(user, message) - Discord DM, may reject
+function createWaitlist({ db, saveDB, findUser, getPlan, getMinHours, isOpen, activeCount, blockedReason, purchase, notify }) {
+    if (!Array.isArray(db.waitlist)) db.waitlist = [];
+    if (!Array.isArray(db.slot_holds)) db.slot_holds = [];
+
+    const stats = { joined: 0, holds: 0, auto_purchased: 0, lapsed: 0 };
+
+    function save() {
+        saveDB('waitlist', 'slot_holds');
+    }
+
+    function dm(user, message) {
+        Promise.resolve()
+            .then(() => notify(user, message))
+            .catch(err => console.log(`[Waitlist] Could not DM ${user.username}: ${err.message}`));
+    }
+
+    // Buying `tier` would move the user down from an active higher tier
+    function onHigherTier(user, tier) {
+        return user.subscription_expires > Date.now() && (parseInt(user.subscription_tier) || 0) > tier;
+    }
+
+    // Why a hold on `tier` shouldn't go to / be bought for this user, or null
+    function skipReason(user, tier) {
+        if (onHigherTier(user, tier)) return `already on ${getPlan(user.subscription_tier)?.name || 'a higher tier'}`;
+        return blockedReason(user, tier);
+    }
+
+    function queueFor(tier) {
+        return db.waitlist.filter(e => e.tier === tier);
+    }
+
+    function holdFor(userId, tier) {
+        return db.slot_holds.find(h => h.user_id === userId && h.tier === tier) || null;
+    }
+
+    // People in the tier's line ahead of userId (all of them if they aren't in it)
+    function waitingAhead(tier, userId) {
+        const queue = queueFor(parseInt(tier));
+        const index = queue.findIndex(e => e.user_id === userId);
+        return index === -1 ? queue.length : index;
+    }
+
+    // Slots held for someone other than exceptUserId
+    function heldSlots(tier, exceptUserId) {
+        return db.slot_holds.filter(h => h.tier === tier && h.user_id !== exceptUserId && h.expires_at > Date.now()).length;
+    }
+
+    function freeSlots(tier) {
+        const plan = getPlan(tier);
+        if (!plan) return 0;
+        return (plan.slots || 2) - activeCount(tier) - heldSlots(tier);
+    }
+
+    function removeEntry(userId, tier) {
+        const before = db.waitlist.length;
+        db.waitlist = db.waitlist.filter(e => !(e.user_id === userId && e.tier === tier));
+        return db.waitlist.length !== before;
+    }
+
+    function removeHold(userId, tier) {
+        const before = db.slot_holds.length;
+        db.slot_holds = db.slot_holds.filter(h => !(h.user_id === userId && h.tier === tier));
+        return db.slot_holds.length !== before;
+    }
+
+    // Pay for a hold from the user's balance; false if they can't afford it (yet)
+    // or can't buy right now
+    function tryAutoPurchase(hold) {
+        const user = findUser({ id: hold.user_id });
+        const plan = getPlan(hold.tier);
+        if (!user || !plan) return false;
+        if (!isOpen() || plan.enabled === false) return false;
+
+        const blocked = skipReason(user, hold.tier);
+        if (blocked) {
+            // Banned or moved up a tier since the hold was made - the slot goes
+            // to the next in line
+            removeHold(user.id, hold.tier);
+            save();
+            console.log(`[Waitlist] Dropped ${user.username}'s hold on ${plan.name}: ${blocked}`);
+            return false;
+        }
+        const cost = hold.hours * plan.price;
+        if ((user.balance || 0) < cost) return false;
+
+        try {
+            purchase(user, hold.tier, hold.hours, {
+                actor: { type: 'system', id: null, name: 'waitlist' },
+                reason: 'waitlist_auto_purchase',
+                source: 'waitlist',
+                details: { tier: hold.tier, hours: hold.hours, cost }
+            });
+        } catch (err) {
+            console.error(`[Waitlist] Auto-purchase for ${user.username} failed:`, err.message);
+            return false;
+        }
+        removeHold(user.id, hold.tier);
+        removeEntry(user.id, hold.tier);
+        save();
+        stats.auto_purchased++;
+        console.log(`[Waitlist] Auto-purchased ${hold.hours}h of ${plan.name} for ${user.username} ($${cost.toFixed(2)})`);
+        dm(user, `✅ A **${plan.name}** slot opened up and your ${hold.hours}h were bought automatically from your balance ($${cost.toFixed(2)}).`);
+        return true;
+    }
+
+    function expireHolds() {
+        const now = Date.now();
+        const lapsed = db.slot_holds.filter(h => h.expires_at <= now);
+        if (lapsed.length === 0) return;
+        db.slot_holds = db.slot_holds.filter(h => h.expires_at > now);
+        save();
+        for (const hold of lapsed) {
+            stats.lapsed++;
+            const user = findUser({ id: hold.user_id });
+            const plan = getPlan(hold.tier);
+            console.log(`[Waitlist] Hold on ${plan?.name || hold.tier} for ${user?.username || hold.user_id} lapsed`);
+            if (user) dm(user, `⌛ Your hold on a **${plan?.name || 'plan'}** slot ran out and was passed on. Join the waitlist again on the dashboard if you still want one.`);
+        }
+    }
+
+    // Hand free slots of a tier to the front of its line
+    function handOff(tier) {
+        tier = parseInt(tier);
+        expireHolds();
+        const plan = getPlan(tier);
+        if (!plan || plan.enabled === false || !isOpen()) return;
+
+        let changed = false;
+        while (freeSlots(tier) > 0) {
+            const entry = queueFor(tier)[0];
+            if (!entry) break;
+            removeEntry(entry.user_id, tier);
+            changed = true;
+
+            const user = findUser({ id: entry.user_id });
+            const blocked = user && skipReason(user, tier);
+            if (!user || blocked) {
+                console.log(`[Waitlist] Skipped ${user?.username || entry.user_id} for ${plan.name}: ${blocked || 'user not found'}`);
+                continue;
+            }
+
+            const now = Date.now();
+            const hold = {
+                user_id: user.id,
+                tier,
+                hours: entry.hours,
+                auto_purchase: entry.auto_purchase,
+                created_at: now,
+                expires_at: now + HOLD_MINUTES * 60 * 1000
+            };
+            db.slot_holds.push(hold);
+            stats.holds++;
+            console.log(`[Waitlist] ${user.username} got a ${HOLD_MINUTES} min hold on ${plan.name}`);
+
+            if (hold.auto_purchase && tryAutoPurchase(hold)) continue;
+
+            const cost = hold.hours * plan.price;
+            dm(user, hold.auto_purchase
+                ? `🎟️ A **${plan.name}** slot is held for you for ${HOLD_MINUTES} minutes, but your balance is short of the $${cost.toFixed(2)} for ${hold.hours}h. Top up and it will be bought automatically.`
+                : `🎟️ A **${plan.name}** slot is held for you for ${HOLD_MINUTES} minutes! Buy it on the dashboard before it is passed to the next person.`);
+        }
+        if (changed) save();
+    }
+
+    function sweep() {
+        for (const hold of db.slot_holds.filter(h => h.auto_purchase && h.expires_at > Date.now())) {
+            tryAutoPurchase(hold);
+        }
+        for (const tier of [1, 2, 3, 4, 5]) handOff(tier);
+    }
+
+    // Throws WaitlistError
+    function join(user, { tier, hours, auto_purchase }) {
+        tier = parseInt(tier);
+        const plan = getPlan(tier);
+        if (!plan) throw new WaitlistError('Invalid tier');
+        if (plan.enabled === false) throw new WaitlistError('This plan is currently disabled');
+
+        const blocked = blockedReason(user, tier);
+        if (blocked) throw new WaitlistError(blocked, 403);
+
+        const minHours = getMinHours();
+        const parsedHours = Math.round(parseFloat(hours ?? minHours) * 10) / 10;
+        if (isNaN(parsedHours) || parsedHours < minHours || parsedHours > MAX_HOURS) {
+            throw new WaitlistError(`Hours must be between ${minHours} and ${MAX_HOURS}`);
+        }
+
+        if (user.subscription_tier == tier && user.subscription_expires > Date.now()) {
+            throw new WaitlistError(`You already have ${plan.name} - extend it instead`);
+        }
+        if (onHigherTier(user, tier)) {
+            throw new WaitlistError(`You already have ${getPlan(user.subscription_tier)?.name || 'a higher plan'} - it ranks above ${plan.name}`);
+        }
+        if (holdFor(user.id, tier)) throw new WaitlistError(`A ${plan.name} slot is already held for you`, 409);
+        if (queueFor(tier).some(e => e.user_id === user.id)) throw new WaitlistError(`You are already on the ${plan.name} waitlist`, 409);
+        if (queueFor(tier).length === 0 && freeSlots(tier) > 0) {
+            throw new WaitlistError(`${plan.name} has free slots - subscribe now`, 409);
+        }
+
+        db.waitlist.push({ user_id: user.id, tier, hours: parsedHours, auto_purchase: !!auto_purchase, joined_at: Date.now() });
+        save();
+        stats.joined++;
+        console.log(`[Waitlist] ${user.username} joined the ${plan.name} waitlist (#${queueFor(tier).length}${auto_purchase ? ', auto-purchase' : ''})`);
+        handOff(tier);
+        return positionOf(user.id, tier);
+    }
+
+    // Leaves the line or gives up a hold; false if the user was in neither
+    function leave(userId, tier) {
+        tier = parseInt(tier);
+        const hadHold = removeHold(userId, tier);
+        const hadEntry = removeEntry(userId, tier);
+        if (!hadHold && !hadEntry) return false;
+        save();
+        if (hadHold) handOff(tier);
+        return true;
+    }
+
+    // The user bought the tier (held or not) - they no longer need a place
+    function onPurchase(userId, tier) {
+        tier = parseInt(tier);
+        const hadHold = removeHold(userId, tier);
+        const hadEntry = removeEntry(userId, tier);
+        if (hadHold || hadEntry) save();
+    }
+
+    function positionOf(userId, tier) {
+        const index = queueFor(tier).findIndex(e => e.user_id === userId);
+        return index === -1 ? null : index + 1;
+    }
+
+    // What the dashboard shows a user
+    function statusFor(userId) {
+        const now = Date.now();
+        return {
+            hold_minutes: HOLD_MINUTES,
+            entries: db.waitlist.filter(e => e.user_id === userId).map(e => ({
+                tier: e.tier,
+                position: positionOf(userId, e.tier),
+                waiting: queueFor(e.tier).length,
+                hours: e.hours,
+                auto_purchase: e.auto_purchase,
+                joined_at: e.joined_at
+            })),
+            holds: db.slot_holds.filter(h => h.user_id === userId && h.expires_at > now).map(h => ({
+                tier: h.tier,
+                hours: h.hours,
+                auto_purchase: h.auto_purchase,
+                expires_at: h.expires_at
+            }))
+        };
+    }
+
+    function tierSummary(tier) {
+        tier = parseInt(tier);
+        return { waiting: queueFor(tier).length, held: heldSlots(tier) };
+    }
+
+    function getStats() {
+        return { ...stats, waiting: db.waitlist.length, holding: db.slot_holds.length };
+    }
+
+    setInterval(sweep, SWEEP_INTERVAL).unref();
+
+    return { join, leave, onPurchase, handOff, sweep, holdFor, heldSlots, waitingAhead, statusFor, tierSummary, getStats };
+}
+
+module.exports = { createWaitlist, WaitlistError, HOLD_MINUTES };
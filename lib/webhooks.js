@@ -0,0 +1,155 @@
+// ============================================================
+// WEBHOOK ROUTING
+// ============================================================
+//
+// Where Banana relay scans get posted in Discord. Routes live in
+// db.webhook_routes and are edited from the admin panel:
+//   [{ id, name, url, min_value, max_value, include_job_id, template, enabled }]
+//
+// A scan goes to every enabled route with min_value <= best value < max_value
+// (max_value null = no cap). URLs are secrets - they are never sent back to
+// the browser, only a masked form.
+//
+// On first start the table is seeded from the BANANA_WEBHOOK_* env vars, which
+// are not read again after that. An empty seed is not saved, so a deployment
+// that sets the vars later still gets its routes; until then every start logs
+// a warning that relay scans are not posted anywhere.
+
+const { v4: uuidv4 } = require('uuid');
+const { isValidWebhookUrl } = require('./notifications');
+
+// Title/footer placeholders: {name} {value} {count}
+const DEFAULT_TEMPLATE = { title: '🔥 {name} — ${value}/s', footer: '⚡ Ultra Notifier', color: null };
+
+const MAX_NAME = 50;
+const MAX_TITLE = 200;
+const MAX_FOOTER = 100;
+
+function maskUrl(url) {
+    const match = /^(.*\/webhooks\/\d+\/)/.exec(url || '');
+    return match ? `${match[1]}••••••` : '';
+}
+
+function applyTemplate(text, vars) {
+    return text.replace(/\{(name|value|count)\}/g, (_, key) => vars[key]);
+}
+
+function seedFromEnv() {
+    const seeds = [
+        { env: 'BANANA_WEBHOOK_MAIN', name: 'Main', min_value: 0, max_value: null, include_job_id: false,
+          template: { ...DEFAULT_TEMPLATE, footer: '⚡ Ultra Notifier' } },
+        { env: 'BANANA_WEBHOOK_HIGHLIGHTS', name: 'Highlights', min_value: 1e8, max_value: 1e9, include_job_id: false,
+          template: { ...DEFAULT_TEMPLATE, footer: '⚡ Ultra Notifier | Highlights' } },
+        { env: 'BANANA_WEBHOOK_ULTRALIGHTS', name: 'Ultralights', min_value: 1e9, max_value: null, include_job_id: true,
+          template: { ...DEFAULT_TEMPLATE, title: '💎 {name} — ${value}/s', footer: '⚡ Ultra Notifier | Ultralights' } },
+        { env: 'BANANA_WEBHOOK_1B', name: 'Personal 1B+', min_value: 1e9, max_value: null, include_job_id: true,
+          template: { ...DEFAULT_TEMPLATE, title: '💎 {name} — ${value}/s', footer: '⚡ Ultra Notifier | Ultralights' } }
+    ];
+
+    const routes = [];
+    for (const { env, ...route } of seeds) {
+        const url = (process.env[env] || '').trim();
+        if (!isValidWebhookUrl(url)) continue;
+        routes.push({ id: uuidv4(), ...route, url, enabled: true, created_at: Date.now(), created_by: 'env' });
+        console.log(`[Webhooks] Imported "${route.name}" route from ${env}`);
+    }
+    return routes;
+}
+
+function createWebhookRoutes({ db, saveDB }) {
+    if (!Array.isArray(db.webhook_routes)) {
+        db.webhook_routes = seedFromEnv();
+        if (db.webhook_routes.length > 0) saveDB('webhook_routes');
+    }
+    if (!db.webhook_routes.some(r => r.enabled)) {
+        console.log('==========================================');
+        console.log('[Webhooks] ⚠️  No enabled webhook routes - Banana relay scans will NOT be posted to Discord.');
+        console.log('[Webhooks] Set BANANA_WEBHOOK_* in config.env (see config.env.example) or add routes in the admin panel.');
+        console.log('==========================================');
+    }
+
+    function find(id) {
+        return db.webhook_routes.find(r => r.id === id) || null;
+    }
+
+    // Route as shown to admins - URL masked
+    function toPublic(route) {
+        return { ...route, url: maskUrl(route.url) };
+    }
+
+    function list() {
+        return db.webhook_routes.map(toPublic);
+    }
+
+    // Enabled routes a scan with this best value should be posted to
+    function routesFor(value) {
+        return db.webhook_routes.filter(r => r.enabled &&
+            value >= (r.min_value || 0) &&
+            (r.max_value === null || r.max_value === undefined || value < r.max_value));
+    }
+
+    function validateNumber(value, label) {
+        if (value === null || value === undefined || value === '') return null;
+        const n = typeof value === 'number' ? value : parseFloat(value);
+        if (!Number.isFinite(n) || n < 0) throw new Error(`${label} must be a positive number`);
+        return n;
+    }
+
+    function validateTemplate(template = {}, current = DEFAULT_TEMPLATE) {
+        const title = template.title !== undefined ? String(template.title).trim() : current.title;
+        const footer = template.footer !== undefined ? String(template.footer).trim() : current.footer;
+        let color = template.color !== undefined ? template.color : current.color;
+
+        if (!title || title.length > MAX_TITLE) throw new Error(`Title must be 1-${MAX_TITLE} characters`);
+        if (footer.length > MAX_FOOTER) throw new Error(`Footer must be at most ${MAX_FOOTER} characters`);
+        if (color === '' || color === null) color = null;
+        else if (!/^#[0-9a-fA-F]{6}$/.test(color)) throw new Error('Color must be a hex code like #FFD700 (or empty for value-based)');
+
+        return { title, footer, color };
+    }
+
+    // Merge `input` over `current` (or defaults) and validate; throws Error
+    function validate(input, current) {
+        const route = {
+            name: input.name !== undefined ? String(input.name).trim() : current?.name,
+            url: input.url ? String(input.url).trim() : current?.url,
+            min_value: input.min_value !== undefined ? validateNumber(input.min_value, 'Min value') || 0 : current?.min_value || 0,
+            max_value: input.max_value !== undefined ? validateNumber(input.max_value, 'Max value') : current?.max_value ?? null,
+            include_job_id: input.include_job_id !== undefined ? !!input.include_job_id : current?.include_job_id || false,
+            enabled: input.enabled !== undefined ? !!input.enabled : current ? current.enabled : true,
+            template: validateTemplate(input.template, current?.template)
+        };
+
+        if (!route.name || route.name.length > MAX_NAME) throw new Error(`Name must be 1-${MAX_NAME} characters`);
+        if (!isValidWebhookUrl(route.url)) throw new Error('URL must be a Discord webhook (https://discord.com/api/webhooks/...)');
+        if (route.max_value !== null && route.max_value <= route.min_value) throw new Error('Max value must be greater than min value');
+        return route;
+    }
+
+    function create(input, createdBy) {
+        const route = { id: uuidv4(), ...validate(input, null), created_at: Date.now(), created_by: createdBy };
+        db.webhook_routes.push(route);
+        saveDB('webhook_routes');
+        return route;
+    }
+
+    function update(id, input, updatedBy) {
+        const route = find(id);
+        if (!route) return null;
+        Object.assign(route, validate(input, route), { updated_at: Date.now(), updated_by: updatedBy });
+        saveDB('webhook_routes');
+        return route;
+    }
+
+    function remove(id) {
+        const route = find(id);
+        if (!route) return null;
+        db.webhook_routes = db.webhook_routes.filter(r => r.id !== id);
+        saveDB('webhook_routes');
+        return route;
+    }
+
+    return { find, list, toPublic, routesFor, create, update, remove };
+}
+
+module.exports = { createWebhookRoutes, applyTemplate, maskUrl, DEFAULT_TEMPLATE };
@@ -12,15 +12,14 @@ function formatTimeAgo(timestamp) {
     return `${Math.floor(seconds / 86400)}d ago`;
 }
 
-// Get brainrot image URL
+// Get brainrot image URL (served and cached by the server, placeholder if missing)
 function getBrainrotImageUrl(name) {
-    const formatted = name.toLowerCase().replace(/ /g, '_').replace(/[^a-z0-9_]/g, '');
-    return `https://calculadora.estevao1098.com/images/brainrots/${formatted}.png`;
+    return `/img/brainrot/${encodeURIComponent(name)}`;
 }
 
 // Create log item HTML
 function createLogItem(log) {
-    const imageUrl = log.image_url || getBrainrotImageUrl(log.brainrot_name);
+    const imageUrl = getBrainrotImageUrl(log.brainrot_name);
     return `
         <div class="log-item" data-id="${log.id}">
             <img src="${imageUrl}" alt="${log.brainrot_name}" onerror="this.style.display='none'">
@@ -0,0 +1,136 @@
+// ============================================================
+// DELIVERY QUEUE CHECK
+// ============================================================
+//
+// Runs lib/delivery-queue against lib/fake-webhook-server on a random local
+// port and checks 429 retry_after handling, backoff retries, dead-lettering
+// and per-webhook ordering. Storage is an in-memory SQLite database.
+//
+// Run with:  npm run check-delivery  (exits non-zero on the first failure)
+
+const assert = require('assert');
+const { createDeliveryQueue, backoffDelay } = require('../lib/delivery-queue');
+const { createFakeWebhookServer } = require('../lib/fake-webhook-server');
+const { createSqliteStorage } = require('../lib/storage/sqlite');
+
+const MAX_ATTEMPTS = 3;
+const BASE_DELAY = 20;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitIdle(queue, timeout = 10000) {
+    const started = Date.now();
+    while (!queue.idle()) {
+        if (Date.now() - started > timeout) throw new Error('queue did not drain in time');
+        await sleep(20);
+    }
+}
+
+const checks = [];
+function check(name, fn) {
+    checks.push({ name, fn });
+}
+
+check('backoff doubles per attempt, with jitter, up to the cap', () => {
+    for (let attempt = 1; attempt <= 5; attempt++) {
+        const full = Math.min(100 * 2 ** (attempt - 1), 1000);
+        const delay = backoffDelay(attempt, 100, 1000);
+        assert.ok(delay >= full / 2 && delay <= full, `attempt ${attempt}: ${delay}ms not in ${full / 2}-${full}ms`);
+    }
+});
+
+check('delivers on the first try', async ({ queue, url, fake }) => {
+    queue.enqueue({ key: 'ok', label: 'ok', url: url('ok'), payload: { content: 'hello' } });
+    await waitIdle(queue);
+    const m = queue.metrics().queues.ok;
+    assert.strictEqual(m.delivered, 1);
+    assert.strictEqual(m.failed_attempts, 0);
+    assert.deepStrictEqual(fake.received.find(r => r.token === 'ok').payload, { content: 'hello' });
+});
+
+check('429 waits for retry_after before retrying', async ({ queue, url }) => {
+    const started = Date.now();
+    queue.enqueue({ key: 'ratelimit', label: 'ratelimit', url: url('ratelimit'), payload: { content: 'limited' } });
+    await waitIdle(queue);
+    const m = queue.metrics().queues.ratelimit;
+    assert.strictEqual(m.rate_limited, 1);
+    assert.strictEqual(m.delivered, 1);
+    assert.ok(Date.now() - started >= 1500, `retried after ${Date.now() - started}ms, retry_after is 1.5s`);
+});
+
+check('5xx is retried with backoff until it succeeds', async ({ queue, url, fake }) => {
+    queue.enqueue({ key: 'flaky', label: 'flaky', url: url('flaky'), payload: { content: 'eventually' } });
+    await waitIdle(queue);
+    const m = queue.metrics().queues.flaky;
+    assert.strictEqual(m.retries, 2);
+    assert.strictEqual(m.delivered, 1);
+    assert.strictEqual(fake.counts.flaky, 3);
+});
+
+check('a webhook that stays down is dead-lettered after the max attempts', async ({ queue, url, fake }) => {
+    queue.enqueue({ key: 'down', label: 'down', url: url('down'), payload: { content: 'lost' }, meta: { scan: 1 } });
+    await waitIdle(queue);
+    assert.strictEqual(fake.counts.down, MAX_ATTEMPTS);
+    const [letter] = queue.deadLetters({ key: 'down' });
+    assert.ok(letter, 'no dead letter written');
+    assert.strictEqual(letter.attempts, MAX_ATTEMPTS);
+    assert.strictEqual(letter.reason, 'HTTP 500');
+    assert.deepStrictEqual(letter.payload, { content: 'lost' });
+    assert.deepStrictEqual(letter.meta, { scan: 1 });
+    assert.ok(!JSON.stringify(letter).includes('/api/webhooks/'), 'dead letter must not store the webhook URL');
+    assert.strictEqual(queue.findDeadLetter(letter.id).id, letter.id);
+});
+
+check('other 4xx are dead-lettered without retrying', async ({ queue, url, fake }) => {
+    queue.enqueue({ key: 'gone', label: 'gone', url: url('gone'), payload: { content: 'nobody home' } });
+    await waitIdle(queue);
+    assert.strictEqual(fake.counts.gone, 1);
+    const [letter] = queue.deadLetters({ key: 'gone' });
+    assert.strictEqual(letter.attempts, 1);
+    assert.strictEqual(letter.reason, 'HTTP 404 (not retryable)');
+});
+
+check('network errors are retried, then dead-lettered', async ({ queue }) => {
+    queue.enqueue({ key: 'offline', label: 'offline', url: 'http://127.0.0.1:1/api/webhooks/1/offline', payload: { content: 'x' } });
+    await waitIdle(queue);
+    const [letter] = queue.deadLetters({ key: 'offline' });
+    assert.strictEqual(letter.attempts, MAX_ATTEMPTS);
+    assert.match(letter.reason, /^network: /);
+});
+
+check('jobs for one webhook arrive in order, even across a 429', async ({ queue, url, fake }) => {
+    for (let i = 1; i <= 3; i++) {
+        queue.enqueue({ key: 'ordered', label: 'ordered', url: url('ratelimit-ordered'), payload: { content: `#${i}` } });
+    }
+    await waitIdle(queue);
+    const order = fake.received.filter(r => r.token === 'ratelimit-ordered').map(r => r.payload.content);
+    assert.deepStrictEqual(order, ['#1', '#2', '#3']);
+});
+
+async function main() {
+    const fake = createFakeWebhookServer();
+    await new Promise(resolve => fake.server.listen(0, '127.0.0.1', resolve));
+    const { port } = fake.server.address();
+    const url = token => `http://127.0.0.1:${port}/api/webhooks/1/${token}`;
+
+    const storage = createSqliteStorage(':memory:');
+    const queue = createDeliveryQueue({ storage, maxAttempts: MAX_ATTEMPTS, baseDelay: BASE_DELAY, maxDelay: 200 });
+
+    let failed = 0;
+    for (const { name, fn } of checks) {
+        try {
+            await fn({ queue, url, fake });
+            console.log(`✅ ${name}`);
+        } catch (err) {
+            failed++;
+            console.log(`❌ ${name}\n   ${err.message}`);
+        }
+    }
+
+    fake.server.close();
+    storage.close();
+    console.log(failed ? `\n${failed} of ${checks.length} checks failed` : `\nAll ${checks.length} checks passed`);
+    process.exit(failed ? 1 : 0);
+}
+
+main();
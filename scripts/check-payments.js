@@ -0,0 +1,159 @@
+// ============================================================
+// PAYMENTS CHECK
+// ============================================================
+//
+// Runs lib/payments with the fake provider against an in-memory user list and
+// checks signed webhook credits, idempotent replays and the promo top-up bonus
+// (lib/promo-codes onTopup). The ledger is an in-memory SQLite database.
+//
+// Run with:  npm run check-payments  (exits non-zero on the first failure)
+
+const assert = require('assert');
+const crypto = require('crypto');
+const { createPayments, PaymentError } = require('../lib/payments');
+const { createFakeProvider } = require('../lib/payments/providers/fake');
+const { createPromoCodes } = require('../lib/promo-codes');
+const { createLedger } = require('../lib/ledger');
+const { createSqliteStorage } = require('../lib/storage/sqlite');
+
+const SECRET = 'check-secret';
+
+function createHarness() {
+    const db = {
+        users: [
+            { id: 'u1', discord_id: '1001', username: 'alice', balance: 0 },
+            { id: 'u2', discord_id: '1002', username: 'bob', balance: 10 }
+        ]
+    };
+    const storage = createSqliteStorage(':memory:');
+    const ledger = createLedger(storage);
+
+    const saveDB = () => {};
+    const findUser = ({ id, discord_id }) => db.users.find(u => (id && u.id === id) || (discord_id && u.discord_id === discord_id)) || null;
+    const updateUser = (id, updates) => Object.assign(findUser({ id }), updates);
+    const updateUserWithLedger = (id, updates, context) => {
+        const before = { ...findUser({ id }) };
+        const after = updateUser(id, updates);
+        ledger.record(before, after, context);
+        return after;
+    };
+
+    const promoCodes = createPromoCodes({ db, saveDB, findUser, updateUser, updateUserWithLedger, getPlan: () => null });
+    const payments = createPayments({
+        db,
+        saveDB,
+        findUser,
+        updateUserWithLedger,
+        providers: [createFakeProvider({ enabled: true, secret: SECRET })],
+        onTopup: (user, amount, context) => promoCodes.onTopup(user, amount, context)
+    });
+
+    return { db, storage, ledger, findUser, promoCodes, payments };
+}
+
+// A webhook request as the route hands it to lib/payments
+function webhook(body, secret = SECRET) {
+    const rawBody = Buffer.from(JSON.stringify(body));
+    const signature = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    return { rawBody, body, headers: { 'x-signature': signature } };
+}
+
+const checks = [];
+function check(name, fn) {
+    checks.push({ name, fn });
+}
+
+check('a signed webhook credits the balance and writes the ledger', ({ payments, findUser, ledger }) => {
+    const result = payments.handleWebhook('fake', webhook({ id: 'pay-1', discord_id: '1001', amount: 5 }));
+    assert.strictEqual(result.duplicate, false);
+    assert.strictEqual(result.newBalance, 5);
+    assert.strictEqual(findUser({ id: 'u1' }).balance, 5);
+    assert.ok(payments.isProcessed('fake:pay-1'));
+
+    const [entry] = ledger.query({ user_id: 'u1', reason: 'fake_topup' });
+    assert.ok(entry, 'no ledger entry');
+    assert.strictEqual(entry.field, 'balance');
+    assert.strictEqual(entry.delta, 5);
+});
+
+check('replaying the same webhook does not credit twice', ({ payments, findUser, ledger }) => {
+    const request = webhook({ id: 'pay-2', discord_id: '1002', amount: 3 });
+    payments.handleWebhook('fake', request);
+    const replay = payments.handleWebhook('fake', request);
+    assert.strictEqual(replay.duplicate, true);
+    assert.strictEqual(findUser({ id: 'u2' }).balance, 13);
+    assert.strictEqual(ledger.query({ user_id: 'u2', reason: 'fake_topup' }).length, 1);
+});
+
+check('a bad signature is rejected without crediting', ({ payments, findUser }) => {
+    assert.throws(
+        () => payments.handleWebhook('fake', webhook({ id: 'pay-3', discord_id: '1001', amount: 50 }, 'wrong-secret')),
+        err => err instanceof PaymentError && err.status === 401
+    );
+    assert.strictEqual(findUser({ id: 'u1' }).balance, 5);
+    assert.ok(!payments.isProcessed('fake:pay-3'));
+});
+
+check('unpaid notifications and bad amounts are not credited', ({ payments, findUser }) => {
+    assert.deepStrictEqual(payments.handleWebhook('fake', webhook({ id: 'pay-4', discord_id: '1001', amount: 5, status: 'pending' })), { ignored: true });
+    assert.throws(() => payments.handleWebhook('fake', webhook({ id: 'pay-5', discord_id: '1001', amount: -5 })), PaymentError);
+    assert.throws(() => payments.handleWebhook('fake', webhook({ id: 'pay-6', discord_id: '1001', amount: 'lots' })), PaymentError);
+    assert.strictEqual(findUser({ id: 'u1' }).balance, 5);
+});
+
+check('an active top-up code pays its bonus once, as bonus credit', ({ payments, promoCodes, findUser, db }) => {
+    promoCodes.create({ code: 'TOPUP20', kind: 'percent', value: 20, applies_to: 'topup' }, 'check');
+    promoCodes.activateTopup(findUser({ id: 'u1' }), 'topup20');
+
+    const result = payments.handleWebhook('fake', webhook({ id: 'pay-7', discord_id: '1001', amount: 10 }));
+    assert.strictEqual(result.bonus, 2);
+    assert.strictEqual(result.newBalance, 17);
+
+    const user = findUser({ id: 'u1' });
+    assert.strictEqual(user.balance, 17);
+    assert.strictEqual(user.bonus_credit, 2);
+    assert.strictEqual(user.topup_promo, null);
+    assert.strictEqual(db.promo_redemptions.filter(r => r.code === 'TOPUP20').length, 1);
+
+    // The code is used up - the next top-up gets no bonus
+    const next = payments.handleWebhook('fake', webhook({ id: 'pay-8', discord_id: '1001', amount: 10 }));
+    assert.strictEqual(next.bonus, undefined);
+    assert.strictEqual(findUser({ id: 'u1' }).balance, 27);
+});
+
+check('a replayed webhook does not pay the promo bonus again', ({ payments, promoCodes, findUser, ledger }) => {
+    promoCodes.create({ code: 'FLAT5', kind: 'bonus_balance', value: 5, applies_to: 'topup', per_user_limit: 5 }, 'check');
+    promoCodes.activateTopup(findUser({ id: 'u2' }), 'FLAT5');
+
+    const request = webhook({ id: 'pay-9', discord_id: '1002', amount: 5 });
+    assert.strictEqual(payments.handleWebhook('fake', request).bonus, 5);
+    promoCodes.activateTopup(findUser({ id: 'u2' }), 'FLAT5');
+    const replay = payments.handleWebhook('fake', request);
+    assert.strictEqual(replay.duplicate, true);
+    assert.strictEqual(replay.bonus, undefined);
+
+    assert.strictEqual(findUser({ id: 'u2' }).balance, 23);
+    assert.strictEqual(findUser({ id: 'u2' }).topup_promo, 'FLAT5', 'code should stay active for a real top-up');
+    assert.strictEqual(ledger.query({ user_id: 'u2', reason: 'promo_topup_bonus' }).length, 1);
+});
+
+function main() {
+    const harness = createHarness();
+
+    let failed = 0;
+    for (const { name, fn } of checks) {
+        try {
+            fn(harness);
+            console.log(`✅ ${name}`);
+        } catch (err) {
+            failed++;
+            console.log(`❌ ${name}\n   ${err.message}`);
+        }
+    }
+
+    harness.storage.close();
+    console.log(failed ? `\n${failed} of ${checks.length} checks failed` : `\nAll ${checks.length} checks passed`);
+    process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -8,9 +8,45 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { Client, GatewayIntentBits } = require('discord.js');
+const { createStorage } = require('./lib/storage');
+const { createLedger, ledgerToCSV } = require('./lib/ledger');
+const { createAudit } = require('./lib/audit');
+const { createPayments, PaymentError, validateAmount } = require('./lib/payments');
+const { createStaff, PERMISSIONS, ROLES } = require('./lib/permissions');
+const { validateRules } = require('./lib/alert-rules');
+const { createNotifier, isValidWebhookUrl } = require('./lib/notifications');
+const { createWebhookRoutes, applyTemplate, DEFAULT_TEMPLATE } = require('./lib/webhooks');
+const { createDeliveryQueue } = require('./lib/delivery-queue');
+const { createScanDedup } = require('./lib/scan-dedup');
+const { createIngest } = require('./lib/ingest');
+const { parseValue } = require('./lib/ingest/normalize');
+const { createScanHistory } = require('./lib/scan-history');
+const { createCatalog, RARITIES } = require('./lib/catalog');
+const { createImageCache, MAX_BYTES: MAX_IMAGE_BYTES } = require('./lib/image-cache');
+const { createClientPush } = require('./lib/client-push');
+const { createClaims, ClaimError } = require('./lib/claims');
+const { createFleet, RESULTS: FLEET_RESULTS } = require('./lib/fleet');
+const { createScannerTokens, ScannerAuthError, SCOPES: SCANNER_SCOPES } = require('./lib/scanner-tokens');
+const { createVpsHealth, RECORD_INTERVAL: VPS_HEALTH_INTERVAL } = require('./lib/vps-health');
+const { createWaitlist, WaitlistError } = require('./lib/waitlist');
+const { createAutoRenew, RENEW_BEFORE, WARN_BEFORE } = require('./lib/auto-renew');
+const { createPromoCodes, PromoError, KINDS: PROMO_KINDS } = require('./lib/promo-codes');
+const { createReferrals } = require('./lib/referrals');
+const { createGifts, GiftError } = require('./lib/gifts');
 
 const app = express();
 
+// Behind Railway's proxy req.ip is the proxy's address. Trusting the proxy
+// hops (X-Forwarded-For) makes it the client's - the referral same-IP check
+// and signup_ip / last_ip depend on it. TRUST_PROXY: number of proxies in
+// front of the app (default 1), "false" when it is exposed directly, or
+// anything Express's "trust proxy" setting accepts.
+function trustProxySetting(value) {
+    if (value === 'true' || value === 'false') return value === 'true';
+    return /^\d+$/.test(value) ? parseInt(value) : value;
+}
+app.set('trust proxy', trustProxySetting((process.env.TRUST_PROXY || '1').trim()));
+
 // ============================================================
 // DISCORD BOT FOR ROLE ASSIGNMENT
 // ============================================================
@@ -69,6 +105,13 @@ async function assignDiscordRole(discordId, tier) {
     return false;
 }
 
+// DM a user from the bot - rejects if the bot is offline or their DMs are closed
+async function sendDiscordDM(discordId, content) {
+    if (!discordBot.isReady()) throw new Error('bot is offline');
+    const discordUser = await discordBot.users.fetch(discordId);
+    await discordUser.send(content);
+}
+
 // Remove all tier roles from user
 async function removeDiscordRoles(discordId) {
     if (!discordBot.isReady() || !GUILD_ID) {
@@ -94,44 +137,34 @@ async function removeDiscordRoles(discordId) {
 }
 
 // ============================================================
-// ADMIN CONFIG
-// ============================================================
-
-const ADMIN_DISCORD_USERNAMES = ['yvyoo']; // Add more admins here
-
-// ============================================================
-// SIMPLE JSON DATABASE (with Render Disk persistence)
+// DATABASE (pluggable storage - SQLite by default, see lib/storage)
 // ============================================================
 
 // Use persistent disk on Render (/data), fallback to local for development
 const DATA_DIR = fs.existsSync('/data') ? '/data' : '.';
-const DB_FILE = path.join(DATA_DIR, 'database.json');
 
-console.log(`[Database] Using path: ${DB_FILE}`);
+console.log(`[Database] Using data dir: ${DATA_DIR}`);
+
+const storage = createStorage({ dataDir: DATA_DIR });
 
 function loadDB() {
-    try {
-        if (fs.existsSync(DB_FILE)) {
-            const data = JSON.parse(fs.readFileSync(DB_FILE, 'utf8'));
-            console.log(`[Database] Loaded ${data.users?.length || 0} users`);
-            return data;
-        }
-    } catch (e) {
-        console.error('[Database] Error loading:', e.message);
-    }
-    console.log('[Database] Starting fresh database');
-    return { users: [], logs: [], banned_hwids: [], warnings: [] };
+    return storage.load();
 }
 
-function saveDB(data) {
-    try {
-        fs.writeFileSync(DB_FILE, JSON.stringify(data, null, 2));
-    } catch (e) {
-        console.error('[Database] Error saving:', e.message);
+// Persist the named top-level keys of the db, e.g. saveDB('banned_hwids')
+function saveDB(...keys) {
+    for (const key of keys) {
+        try {
+            storage.saveCollection(key, db[key]);
+        } catch (e) {
+            console.error(`[Database] Error saving ${key}:`, e.message);
+        }
     }
 }
 
 let db = loadDB();
+const ledger = createLedger(storage);
+const audit = createAudit(storage);
 
 // Ensure arrays exist
 if (!db.banned_hwids) db.banned_hwids = [];
@@ -139,7 +172,15 @@ if (!db.warnings) db.warnings = [];
 if (db.global_paused === undefined) db.global_paused = false;
 if (db.sales_closed === undefined) db.sales_closed = false;
 
-// Helper functions
+// Flush pending writes on shutdown
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        storage.close();
+        process.exit(0);
+    });
+}
+
+// Helper functions (reads come from the in-memory cache)
 function findUser(query) {
     if (query.id) return db.users.find(u => u.id === query.id);
     if (query.discord_id) return db.users.find(u => u.discord_id === query.discord_id);
@@ -152,26 +193,166 @@ function updateUser(id, updates) {
     const index = db.users.findIndex(u => u.id === id);
     if (index !== -1) {
         db.users[index] = { ...db.users[index], ...updates };
-        saveDB(db);
+        try {
+            storage.updateUser(db.users[index]);
+        } catch (e) {
+            console.error('[Database] Error saving user:', e.message);
+        }
         return db.users[index];
     }
     return null;
 }
 
 function createUser(userData) {
+    storage.insertUser(userData);
     db.users.push(userData);
-    saveDB(db);
     return userData;
 }
 
+// Update a user and record any balance / subscription changes in the ledger.
+// context = { actor: { type, id, name }, reason, source, details }
+function updateUserWithLedger(id, updates, context) {
+    const before = findUser({ id });
+    if (!before) return null;
+    // Promo / referral credit (user.bonus_credit) is spent last, so it never
+    // exceeds what is left of the balance. It can't be gifted (lib/gifts).
+    if (updates.balance !== undefined) {
+        const credit = updates.bonus_credit ?? before.bonus_credit ?? 0;
+        if (credit > updates.balance) updates = { ...updates, bonus_credit: Math.max(0, updates.balance) };
+    }
+    const after = updateUser(id, updates);
+    ledger.record(before, after, context);
+    return after;
+}
+
+const promoCodes = createPromoCodes({ db, saveDB, findUser, updateUser, updateUserWithLedger, getPlan: tier => PLANS[tier] });
+const referrals = createReferrals({ db, saveDB, findUser, updateUser, updateUserWithLedger });
+const payments = createPayments({
+    db,
+    saveDB,
+    findUser,
+    updateUserWithLedger,
+    onTopup: (user, amount, context) => {
+        referrals.onTopup(user, amount);
+        return promoCodes.onTopup(user, amount, context);
+    }
+});
+
+// Ledger context for a request made by a logged-in user or admin
+function ledgerContext(req, actorType, reason, details) {
+    return {
+        actor: { type: actorType, id: req.user?.id || null, name: req.user?.username || actorType },
+        reason,
+        source: `${req.method} ${req.route ? req.route.path : req.path}`,
+        details: details || null
+    };
+}
+
+// Fields captured in the audit log's before/after snapshots of a user
+function auditSnapshot(user) {
+    if (!user) return null;
+    return {
+        balance: user.balance || 0,
+        subscription_tier: user.subscription_tier || 0,
+        subscription_expires: user.subscription_expires || 0,
+        warnings: user.warnings || 0,
+        hwid: user.hwid || null,
+        hwid_banned: !!(user.hwid && isHWIDBanned(user.hwid)),
+        paused: user.paused || false,
+        pause_locked: user.pause_locked || false,
+        paused_time_remaining: user.paused_time_remaining || null
+    };
+}
+
+// Record an admin action in the audit log
+function auditAdmin(req, action, { target = null, params = null, before = null, after = null } = {}) {
+    audit.record({
+        admin: req.user,
+        target,
+        action,
+        params,
+        before,
+        after,
+        source: `${req.method} ${req.route ? req.route.path : req.path}`
+    });
+}
+
+// ============================================================
+// STAFF (role-based admin access, keyed by Discord ID - see lib/permissions)
+// ============================================================
+
+const staff = createStaff({ db, saveDB });
+
+// Any staff role grants access to the admin panel
 function isAdmin(user) {
-    return user && ADMIN_DISCORD_USERNAMES.includes(user.username.toLowerCase());
+    return staff.isStaff(user);
+}
+
+function hasPermission(user, permission) {
+    return staff.hasPermission(user, permission);
 }
 
 function isHWIDBanned(hwid) {
     return db.banned_hwids.includes(hwid);
 }
 
+// Banned by HWID or by reaching 2 warnings
+function isUserBanned(user) {
+    return !!((user.hwid && isHWIDBanned(user.hwid)) || (user.warnings || 0) >= 2);
+}
+
+// Per-bot scanner credentials, managed from the VPS panel (see lib/scanner-tokens)
+const scannerTokens = createScannerTokens({ db, saveDB });
+
+// Scanner endpoints: a token with `scope` or the shared SCANNER_API_KEY
+// (X-Scanner-Key header, or api_key in the body/query). Sets req.scanner.
+function requireScanner(scope) {
+    return (req, res, next) => {
+        const legacyKey = req.headers['x-scanner-key'] || (req.body && req.body.api_key) || req.query.api_key;
+        try {
+            req.scanner = scannerTokens.authenticate({
+                headers: req.headers,
+                method: req.method,
+                url: req.originalUrl,
+                rawBody: req.rawBody,
+                body: req.body,
+                ip: req.ip
+            }, scope, legacyKey);
+        } catch (err) {
+            if (!(err instanceof ScannerAuthError)) throw err;
+            return res.status(err.status).json({ error: err.message });
+        }
+        next();
+    };
+}
+
+// The VPS / bot a scanner request speaks for - a bound token's own ids win over
+// the body, so leaving them out can't be used to report as someone else
+function scannerIdentity(req) {
+    return {
+        vps_id: req.scanner.vps_id ?? req.body.vps_id,
+        bot_id: req.scanner.bot_id ?? req.body.bot_id
+    };
+}
+
+// Known brainrots - names, aliases and images (see lib/catalog)
+const catalog = createCatalog({ db, saveDB });
+
+// Cached/uploaded brainrot art behind /img/brainrot/:name (see lib/image-cache)
+const imageCache = createImageCache({
+    dir: path.join(DATA_DIR, 'images'),
+    catalog,
+    placeholder: path.join(__dirname, 'public', 'img', 'brainrot-placeholder.png')
+});
+
+// Where Discord can reach this server - embed thumbnails point at the image route
+const PUBLIC_URL = (process.env.PUBLIC_URL ||
+    new URL(process.env.DISCORD_CALLBACK_URL || 'http://localhost:3000').origin).replace(/\/+$/, '');
+
+function publicImageUrl(name) {
+    return `${PUBLIC_URL}${catalog.imagePath(name)}`;
+}
+
 // ============================================================
 // REAL-TIME LOGS (Server-Sent Events)
 // ============================================================
@@ -184,12 +365,22 @@ function broadcastLog(log) {
     });
 }
 
+// Website log with its name resolved through the catalog and its image
+// pointing at the cached image route
+function resolveLog(log) {
+    const name = catalog.canonicalName(log.brainrot_name);
+    return { ...log, brainrot_name: name, image_url: catalog.imagePath(name) };
+}
+
 // ============================================================
 // MIDDLEWARE
 // ============================================================
 
 app.use(cors());
-app.use(express.json());
+// Keep the raw body around so payment webhooks can verify HMAC signatures
+app.use(express.json({
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 
 // SECURITY: Block direct access to .lua files (except loader which is safe)
 app.use((req, res, next) => {
@@ -235,12 +426,14 @@ app.use(session({
 app.use(passport.initialize());
 app.use(passport.session());
 
-// Admin middleware
-function requireAdmin(req, res, next) {
-    if (!req.user || !isAdmin(req.user)) {
-        return res.status(403).json({ error: 'Admin access required' });
-    }
-    next();
+// Admin middleware - every admin route declares the permission it needs
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!req.user || !hasPermission(req.user, permission)) {
+            return res.status(403).json({ error: 'Admin access required', permission });
+        }
+        next();
+    };
 }
 
 // ============================================================
@@ -257,8 +450,9 @@ passport.use(new DiscordStrategy({
     clientID: process.env.DISCORD_CLIENT_ID,
     clientSecret: process.env.DISCORD_CLIENT_SECRET,
     callbackURL: process.env.DISCORD_CALLBACK_URL || 'http://localhost:3000/auth/discord/callback',
-    scope: ['identify']
-}, (accessToken, refreshToken, profile, done) => {
+    scope: ['identify'],
+    passReqToCallback: true
+}, (req, accessToken, refreshToken, profile, done) => {
     let user = findUser({ discord_id: profile.id });
     
     if (!user) {
@@ -277,15 +471,25 @@ passport.use(new DiscordStrategy({
             subscription_expires: 0,
             warnings: 0,
             created_at: Date.now(),
-            last_active: Date.now()
+            last_active: Date.now(),
+            signup_ip: req.ip,
+            last_ip: req.ip
         });
+        
+        // Came in through a referral link (see /auth/discord)
+        if (req.session.referral) {
+            referrals.attribute(user, req.session.referral, req.ip);
+            user = findUser({ id });
+        }
     } else {
         user = updateUser(user.id, {
             username: profile.username,
             avatar: profile.avatar,
-            last_active: Date.now()
+            last_active: Date.now(),
+            last_ip: req.ip
         });
     }
+    delete req.session.referral;
     
     return done(null, user);
 }));
@@ -309,12 +513,17 @@ function generateLicenseKey() {
 // Default plan config (can be overridden in db)
 // All plans start at 0 minimum - maxValue is the cap they can see UP TO
 const DEFAULT_PLANS = {
-    1: { name: 'Bronze', tier: 1, maxValue: 50000000, price: 1.00, slots: 2, minHours: 2, color: '#CD7F32', enabled: true },       // 0 to 50M
-    2: { name: 'Silver', tier: 2, maxValue: 200000000, price: 2.00, slots: 2, minHours: 2, color: '#C0C0C0', enabled: true },      // 0 to 200M
-    3: { name: 'Gold', tier: 3, maxValue: 400000000, price: 3.50, slots: 4, minHours: 2, color: '#FFD700', enabled: true },        // 0 to 400M
-    4: { name: 'Diamond', tier: 4, maxValue: Infinity, price: 4.25, slots: 2, minHours: 2, color: '#B9F2FF', enabled: true },      // 0 to 1B+ (unlimited)
-    5: { name: 'Diamond Private', tier: 5, maxValue: Infinity, price: 5.00, slots: 1, minHours: 2, color: '#FF00FF', adminOnly: true, enabled: true } // 0 to 1B+ (unlimited)
+    1: { name: 'Bronze', tier: 1, maxValue: 50000000, price: 1.00, slots: 2, minHours: 2, historyHours: 0, delaySeconds: 60, claimSeconds: 30, claimQuota: 1, color: '#CD7F32', enabled: true },       // 0 to 50M
+    2: { name: 'Silver', tier: 2, maxValue: 200000000, price: 2.00, slots: 2, minHours: 2, historyHours: 0, delaySeconds: 30, claimSeconds: 45, claimQuota: 1, color: '#C0C0C0', enabled: true },      // 0 to 200M
+    3: { name: 'Gold', tier: 3, maxValue: 400000000, price: 3.50, slots: 4, minHours: 2, historyHours: 0, delaySeconds: 15, claimSeconds: 60, claimQuota: 2, color: '#FFD700', enabled: true },        // 0 to 400M
+    4: { name: 'Diamond', tier: 4, maxValue: Infinity, price: 4.25, slots: 2, minHours: 2, historyHours: 24, delaySeconds: 5, claimSeconds: 90, claimQuota: 2, color: '#B9F2FF', enabled: true },      // 0 to 1B+ (unlimited)
+    5: { name: 'Diamond Private', tier: 5, maxValue: Infinity, price: 5.00, slots: 1, minHours: 2, historyHours: 72, delaySeconds: 0, claimSeconds: 120, claimQuota: 3, color: '#FF00FF', adminOnly: true, enabled: true } // 0 to 1B+ (unlimited)
 };
+// historyHours = how far back the plan can search /api/scans (0 = no access)
+// delaySeconds = exclusivity window - how long after a scan is first seen the
+// plan gets it (live logs, servers, /ws/client, personal alerts, history)
+// claimSeconds / claimQuota = how long a server claim lasts and how many the
+// user can hold at once (0 = no claims, see lib/claims)
 
 // Global minimum hours (can be overridden in db)
 function getGlobalMinHours() {
@@ -334,11 +543,34 @@ const PLANS = new Proxy({}, {
     get: (target, prop) => getPlans()[prop]
 });
 
+// A tier's delaySeconds in ms (plans saved before it existed use the default)
+function planDelayMs(tier) {
+    const plan = PLANS[tier];
+    const seconds = plan ? plan.delaySeconds ?? DEFAULT_PLANS[tier]?.delaySeconds ?? 0 : 0;
+    return seconds * 1000;
+}
+
+// A tier's claim length and quota (plans saved before they existed use the defaults)
+function planClaimLimits(tier) {
+    const plan = PLANS[tier];
+    if (!plan) return { seconds: 0, quota: 0 };
+    return {
+        seconds: plan.claimSeconds ?? DEFAULT_PLANS[tier]?.claimSeconds ?? 0,
+        quota: plan.claimQuota ?? DEFAULT_PLANS[tier]?.claimQuota ?? 0
+    };
+}
+
 // ============================================================
 // AUTH ROUTES
 // ============================================================
 
-app.get('/auth/discord', passport.authenticate('discord'));
+// ?ref=<code> - referral link, attributed when the account is created
+app.get('/auth/discord', (req, res, next) => {
+    if (typeof req.query.ref === 'string' && req.query.ref) {
+        req.session.referral = req.query.ref.slice(0, 32);
+    }
+    next();
+}, passport.authenticate('discord'));
 
 app.get('/auth/discord/callback', 
     passport.authenticate('discord', { failureRedirect: '/' }),
@@ -380,10 +612,14 @@ app.get('/api/slots-status', (req, res) => {
             nextSlotMs = tierUsers[0].subscription_expires - now;
         }
         
+        const { waiting, held } = waitlist.tierSummary(tier);
+        
         slotsStatus[tier] = {
             name: plan.name,
             activeUsers: activeCount,
             maxSlots: maxSlots,
+            heldSlots: held,   // reserved for people from the waitlist
+            waiting: waiting,  // people in the waitlist
             nextSlotMs: nextSlotMs,
             color: plan.color,
             adminOnly: plan.adminOnly || false,
@@ -419,22 +655,29 @@ app.get('/api/user', (req, res) => {
         isActive = user.subscription_expires > Date.now();
     }
     
+    // Top-up code waiting for the next top-up
+    const topupPromo = user.topup_promo ? promoCodes.find(user.topup_promo) : null;
+    
     res.json({
         authenticated: true,
         isAdmin: isAdmin(user),
+        roles: staff.rolesFor(user),
+        permissions: staff.permissionsFor(user),
         user: {
             username: user.username,
             avatar: user.avatar,
             discord_id: user.discord_id,
             license_key: user.license_key,
             balance: user.balance || 0,
+            bonus_credit: Math.min(user.bonus_credit || 0, user.balance || 0),
             subscription_tier: isActive ? user.subscription_tier : 0,
             subscription_expires: effectiveExpires,
             plan: isActive ? PLANS[user.subscription_tier] : null,
             warnings: user.warnings || 0,
             paused: user.paused || false,
             pause_locked: user.pause_locked || false,
-            paused_time_remaining: user.paused_time_remaining || null
+            paused_time_remaining: user.paused_time_remaining || null,
+            topup_promo: topupPromo ? { code: topupPromo.code, description: promoCodes.describe(topupPromo) } : null
         }
     });
 });
@@ -472,13 +715,13 @@ app.post('/api/unpause', (req, res) => {
     const timeRemaining = user.paused_time_remaining || 0;
     const newExpires = Date.now() + timeRemaining;
     
-    updateUser(req.user.id, { 
+    updateUserWithLedger(req.user.id, { 
         paused: false, 
         unpause_requested: false,
         subscription_expires: newExpires,
         paused_time_remaining: null,
         paused_at: null
-    });
+    }, ledgerContext(req, 'user', 'unpause'));
     
     console.log(`[UNPAUSE] User ${user.discord_username} (${req.user.id}) unpaused their own plan (restored ${(timeRemaining / 3600000).toFixed(1)}h)`);
     
@@ -495,6 +738,7 @@ app.get('/api/user/config', (req, res) => {
         general_min: user.general_min || 0,
         include_config: user.include_config || {},
         exclude_config: user.exclude_config || {},
+        alert_rules: user.alert_rules || null,
         // Legacy support
         include_list: user.include_list || [],
         exclude_list: user.exclude_list || []
@@ -511,10 +755,19 @@ app.get('/api/user/config', (req, res) => {
 app.post('/api/user/config', (req, res) => {
     if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
     
-    const { include_config, exclude_config, include_list, exclude_list, general_min } = req.body;
+    const { include_config, exclude_config, include_list, exclude_list, general_min, alert_rules } = req.body;
     
     const updates = {};
     
+    // Server-side alert rules (see lib/alert-rules), null clears them
+    if (alert_rules !== undefined) {
+        try {
+            updates.alert_rules = validateRules(alert_rules);
+        } catch (err) {
+            return res.status(400).json({ error: `Invalid alert rules: ${err.message}` });
+        }
+    }
+    
     // General minimum value
     if (general_min !== undefined) {
         updates.general_min = parseInt(general_min) || 0;
@@ -551,7 +804,101 @@ app.post('/api/user/config', (req, res) => {
     const verifyExclude = Object.keys(verifyUser.exclude_config || {}).length;
     console.log(`[Config] Verified in DB: ${verifyInclude} includes, ${verifyExclude} excludes`);
     
-    res.json({ success: true, saved: { includes: includeCount, excludes: excludeCount } });
+    res.json({ success: true, saved: { includes: includeCount, excludes: excludeCount, rules: !!verifyUser.alert_rules } });
+});
+
+// Get personal notification settings
+app.get('/api/user/notifications', (req, res) => {
+    if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+    
+    const user = findUser({ id: req.user.id });
+    const settings = user.notifications || {};
+    
+    res.json({
+        enabled: settings.enabled || false,
+        webhook_url: settings.webhook_url || '',
+        dm: settings.dm || false,
+        last_error: settings.last_error || null,
+        bot_online: discordBot.isReady(),
+        rate_limit_per_minute: notifier.getStats().rate_limit_per_minute
+    });
+});
+
+// Save personal notification settings
+app.post('/api/user/notifications', (req, res) => {
+    if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+    
+    const { enabled, webhook_url, dm } = req.body;
+    
+    const webhookUrl = typeof webhook_url === 'string' ? webhook_url.trim() : '';
+    if (webhookUrl && !isValidWebhookUrl(webhookUrl)) {
+        return res.status(400).json({ error: 'Webhook URL must be a Discord webhook (https://discord.com/api/webhooks/...)' });
+    }
+    
+    const settings = {
+        enabled: !!enabled,
+        webhook_url: webhookUrl || null,
+        dm: !!dm,
+        last_error: null
+    };
+    updateUser(req.user.id, { notifications: settings });
+    
+    console.log(`[Notify] ${req.user.username} ${settings.enabled ? 'enabled' : 'disabled'} personal alerts (webhook: ${settings.webhook_url ? 'yes' : 'no'}, DM: ${settings.dm ? 'yes' : 'no'})`);
+    
+    res.json({ success: true });
+});
+
+// Send a sample alert to the user's webhook / DMs
+app.post('/api/user/notifications/test', async (req, res) => {
+    if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+    
+    const user = findUser({ id: req.user.id });
+    const settings = user.notifications || {};
+    if (!settings.webhook_url && !settings.dm) {
+        return res.status(400).json({ error: 'Add a webhook URL or turn on DMs first' });
+    }
+    
+    const sample = bananaLiveLogs[0] || {
+        jobId: 'TEST',
+        players: '?',
+        owners: 'Ultra Notifier',
+        animals: [{ name: 'Meowl', value: 100000000 }]
+    };
+    
+    const results = await notifier.sendTest(user, sample);
+    if (results.rate_limited) {
+        return res.status(429).json({ error: 'Too many alerts this minute - try again shortly' });
+    }
+    
+    res.json({ success: Object.values(results).every(r => r.success), results });
+});
+
+// Get own balance / subscription history (newest first, paged with ?before=<id>)
+app.get('/api/user/transactions', (req, res) => {
+    if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+    
+    const entries = ledger.query({
+        user_id: req.user.id,
+        beforeId: parseInt(req.query.before) || undefined,
+        limit: req.query.limit
+    });
+    
+    // Users see what changed and why, not which admin did it
+    const transactions = entries.map(e => ({
+        id: e.id,
+        timestamp: e.timestamp,
+        reason: e.reason,
+        field: e.field,
+        before: e.before,
+        after: e.after,
+        delta: e.delta,
+        by: e.actor_type
+    }));
+    
+    res.json({
+        transactions,
+        next_before: transactions.length > 0 ? transactions[transactions.length - 1].id : null
+    });
 });
 
 // ============================================================
@@ -568,7 +915,7 @@ app.get('/api/logs/stream', (req, res) => {
     const client = { id: clientId, res };
     logClients.push(client);
     
-    const recentLogs = db.logs.slice(-20).reverse();
+    const recentLogs = db.logs.slice(-20).reverse().map(resolveLog);
     res.write(`data: ${JSON.stringify({ type: 'init', logs: recentLogs })}\n\n`);
     
     req.on('close', () => {
@@ -577,158 +924,254 @@ app.get('/api/logs/stream', (req, res) => {
 });
 
 app.get('/api/logs', (req, res) => {
-    const logs = db.logs.slice(-20).reverse();
+    const logs = db.logs.slice(-20).reverse().map(resolveLog);
     res.json(logs);
 });
 
-app.post('/api/logs', (req, res) => {
-    const { brainrot_name, brainrot_value, image_url, api_key } = req.body;
-    
-    if (api_key !== process.env.SCANNER_API_KEY) {
-        return res.status(401).json({ error: 'Invalid API key' });
-    }
+// Log ids are the logs table's primary key - Date.now() alone collides when
+// two logs arrive in the same millisecond
+let lastLogId = db.logs.reduce((max, l) => Math.max(max, l.id || 0), 0);
+function nextLogId() {
+    lastLogId = Math.max(Date.now(), lastLogId + 1);
+    return lastLogId;
+}
+
+app.post('/api/logs', requireScanner('logs'), (req, res) => {
+    const { brainrot_name, brainrot_value, image_url } = req.body;
     
     const log = {
-        id: Date.now(),
-        brainrot_name,
+        id: nextLogId(),
+        brainrot_name: catalog.canonicalName(brainrot_name),
         brainrot_value,
-        image_url: image_url || getBrainrotImageUrl(brainrot_name),
+        image_url: image_url || null,
         timestamp: Date.now()
     };
     
     db.logs.push(log);
     if (db.logs.length > 100) db.logs = db.logs.slice(-100);
-    saveDB(db);
+    saveDB('logs');
+    
+    broadcastLog({ type: 'new', log: resolveLog(log) });
     
-    broadcastLog({ type: 'new', log });
+    try {
+        ingest.push('scanner', 'logs', req.body);
+    } catch (err) {
+        console.error('[Logs] Log not ingested:', err.message);
+    }
     
     res.json({ success: true });
 });
 
-function getBrainrotImageUrl(name) {
-    const formatted = name.toLowerCase().replace(/ /g, '_').replace(/[^a-z0-9_]/g, '');
-    return `https://calculadora.estevao1098.com/images/brainrots/${formatted}.png`;
-}
-
 // ============================================================
-// BALANCE & SUBSCRIPTION
+// BRAINROT CATALOG - see lib/catalog
 // ============================================================
 
-app.post('/api/paymento/webhook', (req, res) => {
-    const crypto = require('crypto');
-    const paymentoSecret = process.env.PAYMENTO_SECRET;
-    
-    // Get the signature from header (Paymento sends it in header)
-    const signature = req.headers['x-paymento-signature'] || req.headers['x-signature'] || req.body.signature;
+// Public - used by the config page
+app.get('/api/catalog', (req, res) => {
+    const brainrots = catalog.list().map(e => ({ ...e, image_status: imageCache.status(e) }));
+    res.json({ brainrots, rarities: RARITIES });
+});
+
+// Brainrot art for the site and Discord embeds - cached copy, admin upload or placeholder
+app.get('/img/brainrot/:name', async (req, res) => {
+    const name = req.params.name.replace(/\.(png|jpe?g|gif|webp)$/i, '');
+    const image = await imageCache.get(name);
     
-    // Verify HMAC-SHA256 signature if secret is set
-    if (paymentoSecret && signature) {
-        const payload = JSON.stringify(req.body);
-        const expectedSignature = crypto
-            .createHmac('sha256', paymentoSecret)
-            .update(payload)
-            .digest('hex');
-        
-        // Check both raw signature and with 'sha256=' prefix
-        const isValid = signature === expectedSignature || 
-                        signature === `sha256=${expectedSignature}` ||
-                        signature === paymentoSecret; // Also allow direct secret match
-        
-        if (!isValid) {
-            console.log(`[Paymento] ❌ Invalid signature`);
-            console.log(`[Paymento] Expected: ${expectedSignature}`);
-            console.log(`[Paymento] Got: ${signature}`);
-            // For now, log but don't reject (for testing)
-            // return res.status(401).json({ error: 'Invalid signature' });
-        }
+    res.set('Cache-Control', image.placeholder ? 'public, max-age=300' : 'public, max-age=3600');
+    res.type(image.type).sendFile(path.resolve(image.file));
+});
+
+// Add a catalog entry
+app.post('/api/admin/catalog', requirePermission('catalog.manage'), (req, res) => {
+    let entry;
+    try {
+        entry = catalog.create(req.body, req.user.discord_id);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
     }
     
-    // Extract user_id from Paymento's structure
-    // User puts their Discord ID in the Email field
-    const user_id = req.body.Customer?.Email || 
-                    req.body.customer?.email ||
-                    req.body.user_id || 
-                    req.body.email;
+    auditAdmin(req, 'add-brainrot', { params: { brainrot_id: entry.id }, after: entry });
     
-    // Extract amount from Paymento's structure
-    const amount = req.body.Transaction?.Amount || 
-                   req.body.Transaction?.amount ||
-                   req.body.transaction?.amount ||
-                   req.body.amount || 
-                   req.body.PaymentLink?.Amount ||
-                   1; // Default to $1 if no amount found
+    console.log(`[Catalog] ${req.user.username} added "${entry.name}"`);
     
-    console.log(`[Paymento] Webhook received:`, JSON.stringify(req.body));
+    res.json({ success: true, brainrot: catalog.toPublic(entry) });
+});
+
+// Edit a catalog entry (name, aliases, rarity, base value, image)
+app.post('/api/admin/catalog/:brainrotId', requirePermission('catalog.manage'), (req, res) => {
+    const current = catalog.find(req.params.brainrotId);
+    if (!current) return res.status(404).json({ error: 'Brainrot not found' });
     
-    if (!user_id) {
-        console.log(`[Paymento] ❌ No user_id in webhook`);
-        return res.status(400).json({ error: 'Missing user_id' });
+    const before = { ...current };
+    let entry;
+    try {
+        entry = catalog.update(current.id, req.body, req.user.discord_id);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
     }
     
-    if (!amount) {
-        console.log(`[Paymento] ❌ No amount in webhook`);
-        return res.status(400).json({ error: 'Missing amount' });
+    if (before.image !== entry.image || before.name !== entry.name) imageCache.invalidate(before.name);
+    
+    auditAdmin(req, 'edit-brainrot', { params: { brainrot_id: entry.id }, before, after: { ...entry } });
+    
+    console.log(`[Catalog] ${req.user.username} edited "${entry.name}"`);
+    
+    res.json({ success: true, brainrot: catalog.toPublic(entry) });
+});
+
+// Delete a catalog entry
+app.delete('/api/admin/catalog/:brainrotId', requirePermission('catalog.manage'), (req, res) => {
+    const entry = catalog.remove(req.params.brainrotId);
+    if (!entry) return res.status(404).json({ error: 'Brainrot not found' });
+    
+    imageCache.removeUpload(entry);
+    imageCache.invalidate(entry.name);
+    
+    auditAdmin(req, 'delete-brainrot', { params: { brainrot_id: entry.id }, before: entry });
+    
+    console.log(`[Catalog] ${req.user.username} deleted "${entry.name}"`);
+    
+    res.json({ success: true });
+});
+
+// Upload art for a catalog entry - the raw image is the request body
+app.post('/api/admin/catalog/:brainrotId/image', requirePermission('catalog.manage'),
+    express.raw({ type: 'image/*', limit: MAX_IMAGE_BYTES }), (req, res) => {
+    const entry = catalog.find(req.params.brainrotId);
+    if (!entry) return res.status(404).json({ error: 'Brainrot not found' });
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Send the image file as the request body' });
     }
     
-    const user = findUser({ discord_id: user_id });
-    if (!user) {
-        console.log(`[Paymento] ❌ User not found: ${user_id}`);
-        return res.status(404).json({ error: 'User not found' });
+    let image;
+    try {
+        image = imageCache.upload(entry, req.body);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
     }
     
-    const newBalance = (user.balance || 0) + parseFloat(amount);
-    updateUser(user.id, { balance: newBalance });
+    auditAdmin(req, 'upload-brainrot-image', {
+        params: { brainrot_id: entry.id },
+        after: { name: entry.name, type: image.type, bytes: req.body.length }
+    });
+    
+    console.log(`[Catalog] ${req.user.username} uploaded art for "${entry.name}"`);
+    
+    res.json({ success: true, brainrot: { ...catalog.toPublic(entry), image_status: 'uploaded' } });
+});
+
+// Remove uploaded art - the entry goes back to its source image
+app.delete('/api/admin/catalog/:brainrotId/image', requirePermission('catalog.manage'), (req, res) => {
+    const entry = catalog.find(req.params.brainrotId);
+    if (!entry) return res.status(404).json({ error: 'Brainrot not found' });
+    if (!imageCache.removeUpload(entry)) return res.status(404).json({ error: 'No uploaded image' });
+    
+    auditAdmin(req, 'remove-brainrot-image', { params: { brainrot_id: entry.id }, before: { name: entry.name } });
+    
+    console.log(`[Catalog] ${req.user.username} removed uploaded art for "${entry.name}"`);
     
-    console.log(`[Paymento] ✅ Added $${amount} to ${user.username}'s balance (new: $${newBalance.toFixed(2)})`);
-    res.json({ success: true, new_balance: newBalance });
+    res.json({ success: true });
 });
 
+// ============================================================
+// BALANCE & SUBSCRIPTION
+// ============================================================
+
+// Provider webhooks - signature, amount and idempotency are checked in lib/payments
+function paymentWebhookHandler(getProviderName) {
+    return (req, res) => {
+        const providerName = getProviderName(req);
+        console.log(`[Payments] ${providerName} webhook received:`, JSON.stringify(req.body));
+        
+        try {
+            const result = payments.handleWebhook(providerName, req);
+            if (result.ignored) return res.json({ success: true, ignored: true });
+            res.json({ success: true, duplicate: result.duplicate, new_balance: result.newBalance });
+        } catch (err) {
+            if (!(err instanceof PaymentError)) throw err;
+            console.log(`[Payments] ❌ ${providerName} webhook rejected: ${err.message}`);
+            res.status(err.status).json({ error: err.message });
+        }
+    };
+}
+
+// Legacy URL - this is what the Paymento dashboard is configured to call
+app.post('/api/paymento/webhook', paymentWebhookHandler(() => 'paymento'));
+app.post('/api/payments/:provider/webhook', paymentWebhookHandler(req => req.params.provider));
+
 app.post('/api/subscribe', (req, res) => {
     if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
     
     const user = findUser({ id: req.user.id });
+    const { tier, hours, promo_code } = req.body;
+    
+    const check = checkSubscribe(user, tier, hours, promo_code);
+    if (check.error) {
+        const { status, ...error } = check;
+        return res.status(status).json(error);
+    }
+    const { plan, hours: parsedHours, cost, promo } = check;
+    
+    const result = purchaseSubscription(user, tier, parsedHours, ledgerContext(req, 'user', 'subscribe', { tier, hours: parsedHours, cost }), promo);
     
+    res.json({ 
+        success: true, 
+        new_balance: result.balance,
+        expires: result.expires,
+        hours_added: parsedHours,
+        converted_hours: result.converted_hours,
+        bonus_hours: result.bonus_hours,
+        total_hours: result.total_hours,
+        cost,
+        promo: promo ? { code: promo.code, description: promo.description, discount: promo.discount, bonus_balance: promo.bonus_balance } : null,
+        slots: plan.slots
+    });
+});
+
+// The purchase rules of /api/subscribe (auto-renew and gifts use them too).
+// Returns { plan, hours, cost, promo } or { status, error, ... } when the user
+// can't buy. promo is the promoCodes.quote() of promoCode, which sets the cost.
+// payer is who pays - the sender of a gift (lib/gifts checks both for bans).
+function checkSubscribe(user, tier, hours, promoCode, payer = user) {
     // Check if user's HWID is banned
     if (user && user.hwid && isHWIDBanned(user.hwid)) {
-        return res.status(403).json({ error: 'Your account is banned. You cannot purchase subscriptions.' });
+        return { status: 403, error: 'Your account is banned. You cannot purchase subscriptions.' };
     }
     
     // Check if user has 2+ warnings (banned)
     if (user && (user.warnings || 0) >= 2) {
-        return res.status(403).json({ error: 'Your account is banned due to warnings. You cannot purchase subscriptions.' });
+        return { status: 403, error: 'Your account is banned due to warnings. You cannot purchase subscriptions.' };
     }
     
     // Check if sales are closed
     if (db.sales_closed) {
-        return res.status(400).json({ error: 'Sales are currently closed. Please check back later!' });
+        return { status: 400, error: 'Sales are currently closed. Please check back later!' };
     }
     
     // Check if all plans are globally paused
     if (db.global_paused) {
-        return res.status(400).json({ error: 'All plans are currently paused. Purchases are disabled.' });
+        return { status: 400, error: 'All plans are currently paused. Purchases are disabled.' };
     }
     
-    const { tier, hours } = req.body;
-    
     const minHours = getGlobalMinHours();
     const parsedHours = Math.round(parseFloat(hours) * 10) / 10;
     if (isNaN(parsedHours) || parsedHours < minHours || parsedHours > 168) {
-        return res.status(400).json({ error: `Minimum purchase is ${minHours} hours` });
+        return { status: 400, error: `Minimum purchase is ${minHours} hours` };
     }
     
     const plan = PLANS[tier];
-    if (!plan) return res.status(400).json({ error: 'Invalid tier' });
+    if (!plan) return { status: 400, error: 'Invalid tier' };
     
     // Check if plan is enabled
     if (plan.enabled === false) {
-        return res.status(400).json({ error: 'This plan is currently disabled' });
+        return { status: 400, error: 'This plan is currently disabled' };
     }
     
     // Check if plan is admin-only
     if (plan.adminOnly) {
         // Check if user is admin
-        if (!isAdmin(req.user)) {
-            return res.status(403).json({ error: 'This plan is not available' });
+        if (!isAdmin(user)) {
+            return { status: 403, error: 'This plan is not available' };
         }
     }
     
@@ -739,20 +1182,48 @@ app.post('/api/subscribe', (req, res) => {
         u.subscription_expires > now &&
         u.id !== user.id // Don't count current user if they're renewing same tier
     ).length;
+    const heldSlots = waitlist.heldSlots(parseInt(tier), user.id); // held for someone else
+    // Slots that just freed up belong to the people in line - the waitlist
+    // sweep hands them over. Renewing your own tier keeps your slot.
+    const renewing = user.subscription_tier == tier && user.subscription_expires > now;
+    const waiting = renewing ? 0 : waitlist.waitingAhead(tier, user.id);
     
     const maxSlots = plan.slots || 2;
-    if (activeUsersOnTier >= maxSlots) {
-        return res.status(400).json({ 
-            error: `${plan.name} slots are full (${activeUsersOnTier}/${maxSlots}). Try again later or choose a different plan.`
-        });
+    if (activeUsersOnTier + heldSlots + waiting >= maxSlots) {
+        const reserved = [heldSlots && `${heldSlots} held`, waiting && `${waiting} waiting`].filter(Boolean).join(', ');
+        return {
+            status: 400,
+            error: `${plan.name} slots are full (${activeUsersOnTier}/${maxSlots}${reserved ? `, ${reserved} on the waitlist` : ''}). Join the waitlist or choose a different plan.`,
+            waitlist: true
+        };
     }
     
-    const cost = parsedHours * plan.price;
+    let cost = parsedHours * plan.price;
+    let promo = null;
+    if (promoCode) {
+        try {
+            promo = promoCodes.quote(user, promoCode, { tier, hours: parsedHours, cost });
+        } catch (err) {
+            if (!(err instanceof PromoError)) throw err;
+            return { status: err.status, error: err.message };
+        }
+        cost = promo.cost;
+    }
     
-    if ((user.balance || 0) < cost) {
-        return res.status(400).json({ error: 'Insufficient balance', needed: cost, have: user.balance || 0 });
+    if ((payer.balance || 0) < cost) {
+        return { status: 400, error: 'Insufficient balance', needed: cost, have: payer.balance || 0 };
     }
     
+    return { plan, hours: parsedHours, cost, promo };
+}
+
+// Put `hours` of a tier on the user's account (checks and payment are up to
+// the caller). Remaining time on their current tier is converted at its $
+// value. `updates` (the buyer's new balance) go into the same ledger entry.
+function grantSubscription(user, tier, hours, context, updates = {}) {
+    const plan = PLANS[tier];
+    const oldTier = user.subscription_expires > Date.now() ? user.subscription_tier : 0;
+    
     // FAIR CONVERSION: Convert existing time to $ value, then to new tier hours
     let convertedHours = 0;
     let conversionNote = '';
@@ -768,61 +1239,288 @@ app.post('/api/subscribe', (req, res) => {
         conversionNote = ` (converted ${remainingHours.toFixed(1)}h ${oldPlan.name} → ${convertedHours.toFixed(1)}h ${plan.name})`;
     }
     
-    // New subscription: converted time + purchased time
-    const totalHours = convertedHours + parsedHours;
+    // New subscription: converted time + new time
+    const totalHours = convertedHours + hours;
     const newExpires = Date.now() + (totalHours * 3600 * 1000);
-    const newBalance = (user.balance || 0) - cost;
     
-    updateUser(user.id, {
-        balance: newBalance,
+    updateUserWithLedger(user.id, {
+        ...updates,
         subscription_tier: tier,
         subscription_expires: newExpires
-    });
+    }, { ...context, details: { ...context.details, converted_hours: convertedHours } });
     
     // Assign Discord role
     assignDiscordRole(user.discord_id, tier);
     
-    console.log(`[Subscribe] ${user.username} bought ${parsedHours}h of ${plan.name} for $${cost.toFixed(2)}${conversionNote}`);
+    // Their place in line (or hold) for this tier is used up; a tier they
+    // switched away from has a free slot now
+    waitlist.onPurchase(user.id, tier);
+    if (oldTier && oldTier != tier) waitlist.handOff(oldTier);
     
-    res.json({ 
-        success: true, 
-        new_balance: newBalance,
-        expires: newExpires,
-        hours_added: parsedHours,
-        converted_hours: convertedHours,
-        total_hours: totalHours,
-        slots: plan.slots
-    });
+    return { expires: newExpires, converted_hours: convertedHours, total_hours: totalHours, conversion_note: conversionNote };
+}
+
+// Charge `hours` of a tier to the user's balance (checks are up to the caller).
+// Used by /api/subscribe, waitlist auto-purchases and auto-renew. A promo quote
+// from checkSubscribe sets the cost and adds its bonus hours / balance.
+function purchaseSubscription(user, tier, hours, context, promo = null) {
+    const plan = PLANS[tier];
+    const cost = promo ? promo.cost : hours * plan.price;
+    const bonusHours = promo ? promo.bonus_hours : 0;
+    const newBalance = Math.round(((user.balance || 0) - cost + (promo ? promo.bonus_balance : 0)) * 100) / 100;
+    
+    const details = { ...context.details };
+    if (promo) {
+        Object.assign(details, { promo_code: promo.code, discount: promo.discount, bonus_hours: bonusHours, bonus_balance: promo.bonus_balance });
+    }
+    const updates = { balance: newBalance };
+    if (promo && promo.bonus_balance > 0) {
+        updates.bonus_credit = Math.round(((user.bonus_credit || 0) + promo.bonus_balance) * 100) / 100;
+    }
+    const granted = grantSubscription(user, tier, hours + bonusHours, { ...context, details }, updates);
+    if (promo) promoCodes.redeem(user, promo);
+    referrals.onPurchase(user, cost);
+    
+    console.log(`[Subscribe] ${user.username} bought ${hours}h of ${plan.name} for $${cost.toFixed(2)}${promo ? ` with ${promo.code}` : ''}${granted.conversion_note}`);
+    
+    return { balance: newBalance, expires: granted.expires, converted_hours: granted.converted_hours, bonus_hours: bonusHours, total_hours: granted.total_hours };
+}
+
+// ============================================================
+// SLOT WAITLIST (see lib/waitlist)
+// ============================================================
+
+const waitlist = createWaitlist({
+    db,
+    saveDB,
+    findUser,
+    getPlan: tier => PLANS[tier],
+    getMinHours: getGlobalMinHours,
+    isOpen: () => !db.sales_closed && !db.global_paused,
+    activeCount: tier => db.users.filter(u => u.subscription_tier == tier && u.subscription_expires > Date.now()).length,
+    blockedReason: (user, tier) => {
+        if ((user.hwid && isHWIDBanned(user.hwid)) || (user.warnings || 0) >= 2) return 'Your account is banned';
+        if (PLANS[tier]?.adminOnly && !isAdmin(user)) return 'This plan is not available';
+        return null;
+    },
+    purchase: purchaseSubscription,
+    notify: (user, message) => sendDiscordDM(user.discord_id, message)
+});
+
+// Your places in line and held slots
+app.get('/api/waitlist', (req, res) => {
+    if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+    res.json(waitlist.statusFor(req.user.id));
 });
 
-app.post('/api/add-balance', (req, res) => {
+// Join a tier's line: { tier, hours, auto_purchase }
+app.post('/api/waitlist/join', (req, res) => {
     if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
     
-    const { amount } = req.body;
     const user = findUser({ id: req.user.id });
-    const newBalance = (user.balance || 0) + parseFloat(amount);
+    let position;
+    try {
+        position = waitlist.join(user, req.body);
+    } catch (err) {
+        if (!(err instanceof WaitlistError)) throw err;
+        return res.status(err.status).json({ error: err.message });
+    }
     
-    updateUser(user.id, { balance: newBalance });
-    res.json({ success: true, new_balance: newBalance });
+    // position is null when a slot was handed over right away
+    res.json({ success: true, position, ...waitlist.statusFor(user.id) });
 });
 
-// Validate license key (called by Roblox script)
-app.get('/api/validate', (req, res) => {
-    const { key, hwid, roblox_username } = req.query;
-    
-    if (!key) return res.json({ valid: false, error: 'No key provided' });
+// Leave a line or give up a held slot: { tier }
+app.post('/api/waitlist/leave', (req, res) => {
+    if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
     
-    // Check if HWID is banned
-    if (hwid && isHWIDBanned(hwid)) {
-        return res.json({ valid: false, error: 'BANNED: Your HWID has been permanently blocked.' });
+    if (!waitlist.leave(req.user.id, parseInt(req.body.tier))) {
+        return res.status(404).json({ error: 'You are not on that waitlist' });
     }
+    console.log(`[Waitlist] ${req.user.username} left the tier ${req.body.tier} waitlist`);
     
-    const user = findUser({ license_key: key });
+    res.json({ success: true, ...waitlist.statusFor(req.user.id) });
+});
+
+// ============================================================
+// AUTO-RENEW (see lib/auto-renew)
+// ============================================================
+
+const autoRenew = createAutoRenew({
+    db,
+    findUser,
+    updateUser,
+    getMinHours: getGlobalMinHours,
+    checkPurchase: checkSubscribe,
+    purchase: purchaseSubscription,
+    notify: (user, message) => sendDiscordDM(user.discord_id, message)
+});
+
+function autoRenewToJSON(user) {
+    const settings = autoRenew.settingsFor(user);
+    return {
+        enabled: settings.enabled,
+        hours: settings.hours,
+        last_error: settings.last_error,
+        renewed_at: settings.renewed_at,
+        renew_before_minutes: RENEW_BEFORE / 60000,
+        warn_before_minutes: WARN_BEFORE / 60000
+    };
+}
+
+app.get('/api/user/auto-renew', (req, res) => {
+    if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+    res.json(autoRenewToJSON(findUser({ id: req.user.id })));
+});
+
+// { enabled, hours } - renews `hours` of the current tier shortly before expiry
+app.post('/api/user/auto-renew', (req, res) => {
+    if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
     
-    if (!user) return res.json({ valid: false, error: 'Invalid key' });
+    let settings;
+    try {
+        settings = autoRenew.update(findUser({ id: req.user.id }), req.body);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
     
-    // Check warnings - 2 warnings = banned
-    if ((user.warnings || 0) >= 2) {
+    console.log(`[AutoRenew] ${req.user.username} ${settings.enabled ? `enabled auto-renew (${settings.hours}h)` : 'disabled auto-renew'}`);
+    
+    res.json({ success: true, ...autoRenewToJSON(findUser({ id: req.user.id })) });
+});
+
+// ============================================================
+// PROMO CODES (see lib/promo-codes)
+// ============================================================
+
+// Preview a code: { code, tier, hours } prices a subscription, a top-up code
+// only needs { code }
+app.post('/api/promo/check', (req, res) => {
+    if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+    
+    const user = findUser({ id: req.user.id });
+    const { code, tier, hours } = req.body;
+    const promo = promoCodes.find(code);
+    
+    try {
+        if (promo && promo.applies_to === 'topup') {
+            promoCodes.validate(user, code, 'topup');
+            return res.json({ success: true, code: promo.code, applies_to: 'topup', description: promoCodes.describe(promo) });
+        }
+        
+        const plan = PLANS[tier];
+        const parsedHours = Math.round(parseFloat(hours) * 10) / 10;
+        if (!plan || isNaN(parsedHours)) return res.status(400).json({ error: 'Pick a plan and hours first' });
+        
+        const quote = promoCodes.quote(user, code, { tier, hours: parsedHours, cost: parsedHours * plan.price });
+        res.json({ success: true, applies_to: 'subscribe', ...quote });
+    } catch (err) {
+        if (!(err instanceof PromoError)) throw err;
+        res.status(err.status).json({ error: err.message });
+    }
+});
+
+// Activate a top-up code for the next top-up ({ code: '' } removes it)
+app.post('/api/promo/topup', (req, res) => {
+    if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+    
+    let promo;
+    try {
+        promo = promoCodes.activateTopup(findUser({ id: req.user.id }), req.body.code);
+    } catch (err) {
+        if (!(err instanceof PromoError)) throw err;
+        return res.status(err.status).json({ error: err.message });
+    }
+    
+    console.log(`[Promo] ${req.user.username} ${promo ? `activated top-up code ${promo.code}` : 'removed their top-up code'}`);
+    
+    res.json({ success: true, topup_promo: promo ? { code: promo.code, description: promoCodes.describe(promo) } : null });
+});
+
+// ============================================================
+// REFERRALS (see lib/referrals)
+// ============================================================
+
+// The user's referral link and how their referrals are doing
+app.get('/api/user/referrals', (req, res) => {
+    if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+    
+    const stats = referrals.statsFor(findUser({ id: req.user.id }));
+    res.json({ ...stats, link: `${PUBLIC_URL}/auth/discord?ref=${stats.code}` });
+});
+
+// ============================================================
+// GIFTS (see lib/gifts)
+// ============================================================
+
+const gifts = createGifts({
+    db,
+    saveDB,
+    findUser,
+    updateUserWithLedger,
+    checkPurchase: (recipient, tier, hours, payer) => checkSubscribe(recipient, tier, hours, null, payer),
+    grant: grantSubscription,
+    onPurchase: referrals.onPurchase,
+    isBanned: isUserBanned,
+    validateAmount,
+    getPlan: tier => PLANS[tier],
+    notify: (user, message) => sendDiscordDM(user.discord_id, message)
+});
+
+// Gifts the user sent and received
+app.get('/api/gifts', (req, res) => {
+    if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+    res.json(gifts.historyFor(req.user.id));
+});
+
+// { discord_id, tier, hours, message } - buy plan time for someone else
+app.post('/api/gifts/subscription', (req, res) => {
+    if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+    
+    const { tier, hours } = req.body;
+    let result;
+    try {
+        result = gifts.giftSubscription(findUser({ id: req.user.id }), req.body, ledgerContext(req, 'user', 'gift_sent', { tier, hours }));
+    } catch (err) {
+        if (!(err instanceof GiftError)) throw err;
+        return res.status(err.status).json({ error: err.message });
+    }
+    
+    res.json({ success: true, new_balance: result.balance, gift: result.gift });
+});
+
+// { discord_id, amount, message } - send balance to someone else
+app.post('/api/gifts/balance', (req, res) => {
+    if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+    
+    let result;
+    try {
+        result = gifts.sendBalance(findUser({ id: req.user.id }), req.body, ledgerContext(req, 'user', 'gift_balance_sent'));
+    } catch (err) {
+        if (!(err instanceof GiftError)) throw err;
+        return res.status(err.status).json({ error: err.message });
+    }
+    
+    res.json({ success: true, new_balance: result.balance, gift: result.gift });
+});
+
+// Validate license key (called by Roblox script)
+app.get('/api/validate', (req, res) => {
+    const { key, hwid, roblox_username } = req.query;
+    
+    if (!key) return res.json({ valid: false, error: 'No key provided' });
+    
+    // Check if HWID is banned
+    if (hwid && isHWIDBanned(hwid)) {
+        return res.json({ valid: false, error: 'BANNED: Your HWID has been permanently blocked.' });
+    }
+    
+    const user = findUser({ license_key: key });
+    
+    if (!user) return res.json({ valid: false, error: 'Invalid key' });
+    
+    // Check warnings - 2 warnings = banned
+    if ((user.warnings || 0) >= 2) {
         return res.json({ valid: false, error: 'BANNED: Your account received 2 warnings and has been permanently blocked.' });
     }
     
@@ -860,6 +1558,7 @@ app.get('/api/validate', (req, res) => {
         slots: plan?.slots || 1,
         include_config: user.include_config || {},
         exclude_config: user.exclude_config || {},
+        alert_rules: user.alert_rules || null,
         include_list: user.include_list || [],
         exclude_list: user.exclude_list || []
     });
@@ -870,7 +1569,7 @@ app.get('/api/validate', (req, res) => {
 // ============================================================
 
 // Get all users (admin only)
-app.get('/api/admin/users', requireAdmin, (req, res) => {
+app.get('/api/admin/users', requirePermission('users.view'), (req, res) => {
     const users = db.users.map(u => {
         const isHwidBanned = u.hwid && db.banned_hwids.includes(u.hwid);
         
@@ -915,7 +1614,7 @@ app.get('/api/admin/users', requireAdmin, (req, res) => {
 });
 
 // Get admin stats
-app.get('/api/admin/stats', requireAdmin, (req, res) => {
+app.get('/api/admin/stats', requirePermission('users.view'), (req, res) => {
     const totalUsers = db.users.length;
     const activeSubscriptions = db.users.filter(u => u.subscription_expires > Date.now()).length;
     const totalBalance = db.users.reduce((sum, u) => sum + (u.balance || 0), 0);
@@ -931,7 +1630,7 @@ app.get('/api/admin/stats', requireAdmin, (req, res) => {
 });
 
 // Get plan prices (admin only)
-app.get('/api/admin/plans', requireAdmin, (req, res) => {
+app.get('/api/admin/plans', requirePermission('plans.manage'), (req, res) => {
     res.json({
         plans: getPlans(),
         globalMinHours: db.global_min_hours || 2
@@ -939,13 +1638,15 @@ app.get('/api/admin/plans', requireAdmin, (req, res) => {
 });
 
 // Update plan prices (admin only)
-app.post('/api/admin/plans', requireAdmin, (req, res) => {
+app.post('/api/admin/plans', requirePermission('plans.manage'), (req, res) => {
     const { plans, globalMinHours } = req.body;
     
     if (!plans || typeof plans !== 'object') {
         return res.status(400).json({ error: 'Invalid plans data' });
     }
     
+    const before = { plans: getPlans(), globalMinHours: getGlobalMinHours() };
+    
     // Validate and merge with defaults
     const updatedPlans = {};
     for (const tier of [1, 2, 3, 4, 5]) {
@@ -959,6 +1660,10 @@ app.post('/api/admin/plans', requireAdmin, (req, res) => {
             price: parseFloat(newPlan.price) || defaultPlan.price,
             slots: parseInt(newPlan.slots) || defaultPlan.slots,
             minHours: parseFloat(newPlan.minHours) || defaultPlan.minHours || 2,
+            historyHours: newPlan.historyHours !== undefined ? Math.max(0, parseFloat(newPlan.historyHours) || 0) : defaultPlan.historyHours,
+            delaySeconds: newPlan.delaySeconds !== undefined ? Math.max(0, parseFloat(newPlan.delaySeconds) || 0) : defaultPlan.delaySeconds,
+            claimSeconds: newPlan.claimSeconds !== undefined ? Math.max(0, parseInt(newPlan.claimSeconds) || 0) : defaultPlan.claimSeconds,
+            claimQuota: newPlan.claimQuota !== undefined ? Math.max(0, parseInt(newPlan.claimQuota) || 0) : defaultPlan.claimQuota,
             color: newPlan.color || defaultPlan.color,
             adminOnly: defaultPlan.adminOnly || false,
             enabled: newPlan.enabled !== undefined ? newPlan.enabled : (defaultPlan.enabled !== undefined ? defaultPlan.enabled : true)
@@ -972,7 +1677,12 @@ app.post('/api/admin/plans', requireAdmin, (req, res) => {
         db.global_min_hours = parseFloat(globalMinHours) || 2;
     }
     
-    saveDB(db);
+    saveDB('plans', 'global_min_hours');
+    
+    auditAdmin(req, 'edit-plans', {
+        before,
+        after: { plans: updatedPlans, globalMinHours: getGlobalMinHours() }
+    });
     
     console.log(`[Admin] ${req.user.username} updated plan configuration`);
     
@@ -1036,12 +1746,13 @@ app.get('/api/plans', (req, res) => {
 });
 
 // Warn user (admin only) - 2 warnings = auto ban
-app.post('/api/admin/warn/:userId', requireAdmin, (req, res) => {
+app.post('/api/admin/warn/:userId', requirePermission('users.moderate'), (req, res) => {
     const { userId } = req.params;
     const { reason } = req.body;
     
     const user = findUser({ id: userId });
     if (!user) return res.status(404).json({ error: 'User not found' });
+    const before = auditSnapshot(user);
     
     const newWarnings = (user.warnings || 0) + 1;
     updateUser(userId, { warnings: newWarnings });
@@ -1054,7 +1765,7 @@ app.post('/api/admin/warn/:userId', requireAdmin, (req, res) => {
         timestamp: Date.now(),
         admin: req.user.username
     });
-    saveDB(db);
+    saveDB('warnings');
     
     console.log(`[Admin] ${req.user.username} warned ${user.username} (${newWarnings} total)`);
     
@@ -1063,12 +1774,14 @@ app.post('/api/admin/warn/:userId', requireAdmin, (req, res) => {
     if (newWarnings >= 2 && user.hwid) {
         if (!db.banned_hwids.includes(user.hwid)) {
             db.banned_hwids.push(user.hwid);
-            saveDB(db);
+            saveDB('banned_hwids');
             autoBanned = true;
             console.log(`[Auto-Ban] ${user.username} auto-banned (2 warnings) - HWID: ${user.hwid}`);
         }
     }
     
+    auditAdmin(req, 'warn', { target: user, params: { reason: reason || null }, before, after: auditSnapshot(findUser({ id: userId })) });
+    
     res.json({ 
         success: true, 
         warnings: newWarnings,
@@ -1078,12 +1791,13 @@ app.post('/api/admin/warn/:userId', requireAdmin, (req, res) => {
 });
 
 // Ban HWID (admin only)
-app.post('/api/admin/ban/:userId', requireAdmin, (req, res) => {
+app.post('/api/admin/ban/:userId', requirePermission('users.moderate'), (req, res) => {
     const { userId } = req.params;
     const { reason } = req.body;
     
     const user = findUser({ id: userId });
     if (!user) return res.status(404).json({ error: 'User not found' });
+    const before = auditSnapshot(user);
     
     if (!user.hwid) {
         return res.status(400).json({ error: 'User has no HWID to ban' });
@@ -1091,23 +1805,33 @@ app.post('/api/admin/ban/:userId', requireAdmin, (req, res) => {
     
     if (!db.banned_hwids.includes(user.hwid)) {
         db.banned_hwids.push(user.hwid);
-        saveDB(db);
+        saveDB('banned_hwids');
     }
     
     // Also set warnings to max
     updateUser(userId, { warnings: 99 });
     
+    auditAdmin(req, 'ban', { target: user, params: { reason: reason || null, hwid: user.hwid }, before, after: auditSnapshot(findUser({ id: userId })) });
+    
     console.log(`[Admin] ${req.user.username} banned HWID for ${user.username}: ${user.hwid}`);
     
     res.json({ success: true, banned_hwid: user.hwid });
 });
 
 // Unban HWID (admin only)
-app.post('/api/admin/unban/:hwid', requireAdmin, (req, res) => {
+app.post('/api/admin/unban/:hwid', requirePermission('users.moderate'), (req, res) => {
     const { hwid } = req.params;
     
+    const wasBanned = db.banned_hwids.includes(hwid);
     db.banned_hwids = db.banned_hwids.filter(h => h !== hwid);
-    saveDB(db);
+    saveDB('banned_hwids');
+    
+    auditAdmin(req, 'unban-hwid', {
+        target: findUser({ hwid }) || null,
+        params: { hwid },
+        before: { hwid_banned: wasBanned },
+        after: { hwid_banned: false }
+    });
     
     console.log(`[Admin] ${req.user.username} unbanned HWID: ${hwid}`);
     
@@ -1115,11 +1839,12 @@ app.post('/api/admin/unban/:hwid', requireAdmin, (req, res) => {
 });
 
 // Unban user by userId (finds HWID and unbans + clears warnings)
-app.post('/api/admin/unban-user/:userId', requireAdmin, (req, res) => {
+app.post('/api/admin/unban-user/:userId', requirePermission('users.moderate'), (req, res) => {
     const { userId } = req.params;
     
     const user = findUser({ id: userId });
     if (!user) return res.status(404).json({ error: 'User not found' });
+    const before = auditSnapshot(user);
     
     let unbannedHwid = false;
     if (user.hwid && db.banned_hwids.includes(user.hwid)) {
@@ -1129,7 +1854,9 @@ app.post('/api/admin/unban-user/:userId', requireAdmin, (req, res) => {
     
     // Clear warnings too
     updateUser(userId, { warnings: 0 });
-    saveDB(db);
+    saveDB('banned_hwids');
+    
+    auditAdmin(req, 'unban', { target: user, params: { hwid: user.hwid }, before, after: auditSnapshot(findUser({ id: userId })) });
     
     console.log(`[Admin] ${req.user.username} unbanned user ${user.username} (HWID: ${user.hwid}, cleared warnings)`);
     
@@ -1137,62 +1864,161 @@ app.post('/api/admin/unban-user/:userId', requireAdmin, (req, res) => {
 });
 
 // Add balance to user (admin only)
-app.post('/api/admin/add-balance/:userId', requireAdmin, (req, res) => {
+app.post('/api/admin/add-balance/:userId', requirePermission('payments.manage'), (req, res) => {
     const { userId } = req.params;
     const { amount } = req.body;
     
     const user = findUser({ id: userId });
     if (!user) return res.status(404).json({ error: 'User not found' });
+    const before = auditSnapshot(user);
+    
+    let result;
+    try {
+        result = payments.adminAdjust(user, amount, ledgerContext(req, 'admin', 'admin_add_balance'));
+    } catch (err) {
+        if (!(err instanceof PaymentError)) throw err;
+        return res.status(err.status).json({ error: err.message });
+    }
     
-    const newBalance = (user.balance || 0) + parseFloat(amount);
-    updateUser(userId, { balance: newBalance });
+    auditAdmin(req, 'add-balance', { target: user, params: { amount: result.amount }, before, after: auditSnapshot(findUser({ id: userId })) });
     
-    console.log(`[Admin] ${req.user.username} added $${amount} to ${user.username}`);
+    console.log(`[Admin] ${req.user.username} added $${result.amount} to ${user.username}`);
     
-    res.json({ success: true, new_balance: newBalance });
+    res.json({ success: true, new_balance: result.newBalance });
 });
 
 // Add subscription time (admin only)
-app.post('/api/admin/add-time/:userId', requireAdmin, (req, res) => {
+app.post('/api/admin/add-time/:userId', requirePermission('subscriptions.manage'), (req, res) => {
     const { userId } = req.params;
     const { hours, tier } = req.body;
     
     const user = findUser({ id: userId });
     if (!user) return res.status(404).json({ error: 'User not found' });
+    const before = auditSnapshot(user);
     
     const currentExpires = Math.max(user.subscription_expires || 0, Date.now());
     const newExpires = currentExpires + (parseFloat(hours) * 3600 * 1000);
     
-    updateUser(userId, { 
+    updateUserWithLedger(userId, { 
         subscription_expires: newExpires,
         subscription_tier: tier || user.subscription_tier || 1
-    });
+    }, ledgerContext(req, 'admin', 'admin_add_time', { hours: parseFloat(hours) }));
+    
+    auditAdmin(req, 'add-time', { target: user, params: { hours: parseFloat(hours), tier: tier || null }, before, after: auditSnapshot(findUser({ id: userId })) });
     
     console.log(`[Admin] ${req.user.username} added ${hours}h to ${user.username}`);
     
     res.json({ success: true, new_expires: newExpires });
 });
 
+// Query-string time: epoch ms or anything Date.parse accepts
+function parseQueryTime(value) {
+    if (!value) return undefined;
+    const ms = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+    return isNaN(ms) ? undefined : ms;
+}
+
+// Look a user up by internal id, Discord ID or username (admin search boxes)
+function findUserByAnyId(value) {
+    return findUser({ id: value }) || findUser({ discord_id: value }) ||
+           db.users.find(u => u.username && u.username.toLowerCase() === value.toLowerCase()) || null;
+}
+
+// Transaction ledger (admin only)
+// Filters: user (id, discord id or username), actor ("admin:name"), reason,
+// from/to (ISO date or ms), before (entry id), limit. ?format=csv exports every
+// matching entry (limit is ignored).
+app.get('/api/admin/ledger', requirePermission('ledger.view'), (req, res) => {
+    const { user, actor, reason, from, to, before, limit, format } = req.query;
+    
+    let userId;
+    if (user) {
+        const target = findUserByAnyId(user);
+        if (!target) return res.status(404).json({ error: 'User not found' });
+        userId = target.id;
+    }
+    
+    const filter = {
+        user_id: userId,
+        actor: actor || undefined,
+        reason: reason || undefined,
+        since: parseQueryTime(from),
+        until: parseQueryTime(to),
+        beforeId: parseInt(before) || undefined,
+        limit
+    };
+    // The CSV export is the whole range, not one page of it
+    const entries = format === 'csv' ? ledger.queryAll(filter) : ledger.query(filter);
+    
+    if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="ledger-${Date.now()}.csv"`);
+        return res.send(ledgerToCSV(entries));
+    }
+    
+    res.json({
+        entries,
+        next_before: entries.length > 0 ? entries[entries.length - 1].id : null
+    });
+});
+
+// Admin audit log (filters: admin, user, action, from, to; paginate with before)
+app.get('/api/admin/audit', requirePermission('audit.view'), (req, res) => {
+    const { admin, user, action, from, to, before, limit } = req.query;
+    
+    let adminId;
+    if (admin) {
+        const adminUser = findUserByAnyId(admin);
+        adminId = adminUser ? adminUser.discord_id : admin;
+    }
+    
+    let userId;
+    if (user) {
+        const target = findUserByAnyId(user);
+        if (!target) return res.status(404).json({ error: 'User not found' });
+        userId = target.id;
+    }
+    
+    const entries = audit.query({
+        admin: adminId,
+        user_id: userId,
+        action: action || undefined,
+        since: parseQueryTime(from),
+        until: parseQueryTime(to),
+        beforeId: parseInt(before) || undefined,
+        limit
+    });
+    
+    res.json({
+        entries,
+        next_before: entries.length > 0 ? entries[entries.length - 1].id : null
+    });
+});
+
 // Clear warnings (admin only)
-app.post('/api/admin/clear-warnings/:userId', requireAdmin, (req, res) => {
+app.post('/api/admin/clear-warnings/:userId', requirePermission('users.moderate'), (req, res) => {
     const { userId } = req.params;
     
     const user = findUser({ id: userId });
     if (!user) return res.status(404).json({ error: 'User not found' });
+    const before = auditSnapshot(user);
     
     updateUser(userId, { warnings: 0 });
     
+    auditAdmin(req, 'clear-warnings', { target: user, params: null, before, after: auditSnapshot(findUser({ id: userId })) });
+    
     console.log(`[Admin] ${req.user.username} cleared warnings for ${user.username}`);
     
     res.json({ success: true });
 });
 
 // Reset user HWID (admin only)
-app.post('/api/admin/reset-hwid/:userId', requireAdmin, (req, res) => {
+app.post('/api/admin/reset-hwid/:userId', requirePermission('users.hwid'), (req, res) => {
     const { userId } = req.params;
     
     const user = findUser({ id: userId });
     if (!user) return res.status(404).json({ error: 'User not found' });
+    const before = auditSnapshot(user);
     
     const history = user.hwid_history || [];
     if (user.hwid) {
@@ -1201,25 +2027,31 @@ app.post('/api/admin/reset-hwid/:userId', requireAdmin, (req, res) => {
     
     updateUser(userId, { hwid: null, hwid_history: history });
     
+    auditAdmin(req, 'reset-hwid', { target: user, params: null, before, after: auditSnapshot(findUser({ id: userId })) });
+    
     console.log(`[Admin] ${req.user.username} reset HWID for ${user.username}`);
     
     res.json({ success: true });
 });
 
 // Remove subscription entirely (admin only)
-app.post('/api/admin/remove-subscription/:userId', requireAdmin, (req, res) => {
+app.post('/api/admin/remove-subscription/:userId', requirePermission('subscriptions.manage'), (req, res) => {
     const { userId } = req.params;
     
     const user = findUser({ id: userId });
     if (!user) return res.status(404).json({ error: 'User not found' });
+    const before = auditSnapshot(user);
     
-    updateUser(userId, { 
+    updateUserWithLedger(userId, { 
         subscription_tier: 0, 
         subscription_expires: 0 
-    });
+    }, ledgerContext(req, 'admin', 'admin_remove_subscription'));
     
     // Remove Discord roles
     removeDiscordRoles(user.discord_id);
+    waitlist.handOff(user.subscription_tier);
+    
+    auditAdmin(req, 'remove-subscription', { target: user, params: null, before, after: auditSnapshot(findUser({ id: userId })) });
     
     console.log(`[Admin] ${req.user.username} removed subscription for ${user.username}`);
     
@@ -1227,12 +2059,13 @@ app.post('/api/admin/remove-subscription/:userId', requireAdmin, (req, res) => {
 });
 
 // Remove hours from subscription (admin only)
-app.post('/api/admin/remove-hours/:userId', requireAdmin, (req, res) => {
+app.post('/api/admin/remove-hours/:userId', requirePermission('subscriptions.manage'), (req, res) => {
     const { userId } = req.params;
     const { hours } = req.body;
     
     const user = findUser({ id: userId });
     if (!user) return res.status(404).json({ error: 'User not found' });
+    const before = auditSnapshot(user);
     
     const hoursToRemove = parseFloat(hours) || 0;
     if (hoursToRemove <= 0) {
@@ -1245,16 +2078,20 @@ app.post('/api/admin/remove-hours/:userId', requireAdmin, (req, res) => {
     // If expires in the past, set to 0 (subscription ended)
     if (newExpires < Date.now()) {
         newExpires = 0;
-        updateUser(userId, { 
+        updateUserWithLedger(userId, { 
             subscription_expires: 0,
             subscription_tier: 0
-        });
+        }, ledgerContext(req, 'admin', 'admin_remove_hours', { hours: hoursToRemove }));
+        waitlist.handOff(user.subscription_tier);
     } else {
-        updateUser(userId, { subscription_expires: newExpires });
+        updateUserWithLedger(userId, { subscription_expires: newExpires },
+            ledgerContext(req, 'admin', 'admin_remove_hours', { hours: hoursToRemove }));
     }
     
     const hoursRemaining = Math.max(0, (newExpires - Date.now()) / 3600000).toFixed(1);
     
+    auditAdmin(req, 'remove-hours', { target: user, params: { hours: hoursToRemove }, before, after: auditSnapshot(findUser({ id: userId })) });
+    
     console.log(`[Admin] ${req.user.username} removed ${hoursToRemove}h from ${user.username} (${hoursRemaining}h left)`);
     
     res.json({ success: true, hours_remaining: hoursRemaining });
@@ -1265,7 +2102,7 @@ app.post('/api/admin/remove-hours/:userId', requireAdmin, (req, res) => {
 // ============================================================
 
 // Get pause status
-app.get('/api/admin/pause-status', requireAdmin, (req, res) => {
+app.get('/api/admin/pause-status', requirePermission('users.view'), (req, res) => {
     res.json({ 
         global_paused: db.global_paused || false,
         sales_closed: db.sales_closed || false,
@@ -1274,9 +2111,11 @@ app.get('/api/admin/pause-status', requireAdmin, (req, res) => {
 });
 
 // Toggle sales (open/close)
-app.post('/api/admin/toggle-sales', requireAdmin, (req, res) => {
+app.post('/api/admin/toggle-sales', requirePermission('service.manage'), (req, res) => {
     db.sales_closed = !db.sales_closed;
-    saveDB(db);
+    saveDB('sales_closed');
+    
+    auditAdmin(req, 'toggle-sales', { before: { sales_closed: !db.sales_closed }, after: { sales_closed: db.sales_closed } });
     
     console.log(`[Admin] ${req.user.username} ${db.sales_closed ? 'CLOSED' : 'OPENED'} subscription sales`);
     
@@ -1293,9 +2132,11 @@ app.get('/api/sales-status', (req, res) => {
 });
 
 // Toggle global pause (pause ALL plans)
-app.post('/api/admin/pause-all', requireAdmin, (req, res) => {
+app.post('/api/admin/pause-all', requirePermission('service.manage'), (req, res) => {
     db.global_paused = !db.global_paused;
-    saveDB(db);
+    saveDB('global_paused');
+    
+    auditAdmin(req, 'pause-all', { before: { global_paused: !db.global_paused }, after: { global_paused: db.global_paused } });
     
     console.log(`[Admin] ${req.user.username} ${db.global_paused ? 'PAUSED' : 'RESUMED'} all plans globally`);
     
@@ -1307,11 +2148,12 @@ app.post('/api/admin/pause-all', requireAdmin, (req, res) => {
 });
 
 // Toggle individual user pause
-app.post('/api/admin/pause/:userId', requireAdmin, (req, res) => {
+app.post('/api/admin/pause/:userId', requirePermission('subscriptions.manage'), (req, res) => {
     const { userId } = req.params;
     
     const user = findUser({ id: userId });
     if (!user) return res.status(404).json({ error: 'User not found' });
+    const before = auditSnapshot(user);
     
     const newPausedState = !user.paused;
     
@@ -1329,16 +2171,18 @@ app.post('/api/admin/pause/:userId', requireAdmin, (req, res) => {
         // UNPAUSING: Restore the subscription time from when it was paused
         const timeRemaining = user.paused_time_remaining || 0;
         const newExpires = Date.now() + timeRemaining;
-        updateUser(userId, { 
+        updateUserWithLedger(userId, { 
             paused: false, 
             pause_locked: false,
             subscription_expires: newExpires,
             paused_time_remaining: null,
             paused_at: null
-        });
+        }, ledgerContext(req, 'admin', 'admin_unpause'));
         console.log(`[Admin] ${req.user.username} RESUMED plan for ${user.username} (restored ${(timeRemaining / 3600000).toFixed(1)}h)`);
     }
     
+    auditAdmin(req, newPausedState ? 'pause' : 'unpause', { target: user, before, after: auditSnapshot(findUser({ id: userId })) });
+    
     res.json({ 
         success: true, 
         paused: newPausedState,
@@ -1347,7 +2191,7 @@ app.post('/api/admin/pause/:userId', requireAdmin, (req, res) => {
 });
 
 // Lock ALL paused users at once (or all users if global pause is on)
-app.post('/api/admin/lock-all-paused', requireAdmin, (req, res) => {
+app.post('/api/admin/lock-all-paused', requirePermission('service.manage'), (req, res) => {
     // If global pause is on, lock ALL users with active subscriptions
     // Otherwise, only lock individually paused users
     let usersToLock;
@@ -1373,6 +2217,11 @@ app.post('/api/admin/lock-all-paused', requireAdmin, (req, res) => {
         lockedCount++;
     });
     
+    auditAdmin(req, 'lock-all-paused', {
+        params: { global_paused: db.global_paused, user_ids: usersToLock.map(u => u.id) },
+        after: { locked_count: lockedCount }
+    });
+    
     console.log(`[Admin] ${req.user.username} locked ${lockedCount} paused users`);
     
     res.json({ 
@@ -1383,11 +2232,12 @@ app.post('/api/admin/lock-all-paused', requireAdmin, (req, res) => {
 });
 
 // Lock/unlock pause (prevents user from requesting unpause)
-app.post('/api/admin/lock-pause/:userId', requireAdmin, (req, res) => {
+app.post('/api/admin/lock-pause/:userId', requirePermission('subscriptions.manage'), (req, res) => {
     const { userId } = req.params;
     
     const user = findUser({ id: userId });
     if (!user) return res.status(404).json({ error: 'User not found' });
+    const before = auditSnapshot(user);
     
     if (!user.paused) {
         return res.status(400).json({ error: 'User is not paused. Pause them first.' });
@@ -1396,6 +2246,8 @@ app.post('/api/admin/lock-pause/:userId', requireAdmin, (req, res) => {
     const newLockedState = !user.pause_locked;
     updateUser(userId, { pause_locked: newLockedState });
     
+    auditAdmin(req, newLockedState ? 'lock-pause' : 'unlock-pause', { target: user, before, after: auditSnapshot(findUser({ id: userId })) });
+    
     console.log(`[Admin] ${req.user.username} ${newLockedState ? 'locked' : 'unlocked'} pause for ${user.username}`);
     
     res.json({ 
@@ -1405,6 +2257,215 @@ app.post('/api/admin/lock-pause/:userId', requireAdmin, (req, res) => {
     });
 });
 
+// ============================================================
+// STAFF MANAGEMENT (owner only)
+// ============================================================
+
+// List staff with their roles, plus the role/permission catalog for the UI
+app.get('/api/admin/staff', requirePermission('staff.manage'), (req, res) => {
+    const members = staff.list().map(entry => {
+        const user = findUser({ discord_id: entry.discord_id });
+        return {
+            ...entry,
+            username: user ? user.username : null,
+            avatar: user ? user.avatar : null
+        };
+    });
+    
+    res.json({ staff: members, roles: ROLES, permissions: PERMISSIONS });
+});
+
+// Add a staff member or replace their roles
+app.post('/api/admin/staff', requirePermission('staff.manage'), (req, res) => {
+    const { discord_id, roles } = req.body;
+    
+    if (!discord_id || !/^\d{15,21}$/.test(String(discord_id))) {
+        return res.status(400).json({ error: 'Invalid Discord ID' });
+    }
+    if (!Array.isArray(roles)) {
+        return res.status(400).json({ error: 'Roles must be a list' });
+    }
+    
+    const before = staff.rolesFor({ discord_id: String(discord_id) });
+    
+    let entry;
+    try {
+        entry = staff.setRoles(String(discord_id), roles, req.user.discord_id);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    
+    auditAdmin(req, 'set-staff-roles', {
+        target: findUser({ discord_id: String(discord_id) }) || null,
+        params: { discord_id: String(discord_id) },
+        before: { roles: before },
+        after: { roles: entry.roles }
+    });
+    
+    console.log(`[Staff] ${req.user.username} set roles for ${discord_id}: ${entry.roles.join(', ')}`);
+    
+    res.json({ success: true, staff: entry });
+});
+
+// Remove a staff member
+app.delete('/api/admin/staff/:discordId', requirePermission('staff.manage'), (req, res) => {
+    const { discordId } = req.params;
+    
+    const before = staff.rolesFor({ discord_id: discordId });
+    
+    let removed;
+    try {
+        removed = staff.remove(discordId);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    if (!removed) return res.status(404).json({ error: 'Staff member not found' });
+    
+    auditAdmin(req, 'remove-staff', {
+        target: findUser({ discord_id: discordId }) || null,
+        params: { discord_id: discordId },
+        before: { roles: before },
+        after: { roles: [] }
+    });
+    
+    console.log(`[Staff] ${req.user.username} removed staff member ${discordId}`);
+    
+    res.json({ success: true });
+});
+
+// ============================================================
+// WEBHOOK ROUTES (admin) - see lib/webhooks
+// ============================================================
+
+// List webhook routes (URLs masked)
+app.get('/api/admin/webhooks', requirePermission('webhooks.manage'), (req, res) => {
+    res.json({ routes: webhookRoutes.list(), default_template: DEFAULT_TEMPLATE });
+});
+
+// Add a webhook route
+app.post('/api/admin/webhooks', requirePermission('webhooks.manage'), (req, res) => {
+    let route;
+    try {
+        route = webhookRoutes.create(req.body, req.user.discord_id);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    
+    auditAdmin(req, 'add-webhook', { params: { route_id: route.id }, after: webhookRoutes.toPublic(route) });
+    
+    console.log(`[Webhooks] ${req.user.username} added route "${route.name}"`);
+    
+    res.json({ success: true, route: webhookRoutes.toPublic(route) });
+});
+
+// Delivery metrics per route + totals
+app.get('/api/admin/webhooks/metrics', requirePermission('webhooks.manage'), (req, res) => {
+    const { totals, queues } = deliveryQueue.metrics();
+    
+    const routes = webhookRoutes.list().map(route => ({
+        id: route.id,
+        name: route.name,
+        enabled: route.enabled,
+        ...(queues[`route:${route.id}`] || { queued: 0, delivered: 0, failed_attempts: 0, retries: 0, rate_limited: 0, dead_lettered: 0, avg_latency_ms: null, last_error: null })
+    }));
+    
+    res.json({ totals, routes });
+});
+
+// Dead-lettered deliveries (newest first, paged with ?before=<id>)
+app.get('/api/admin/webhooks/dead-letters', requirePermission('webhooks.manage'), (req, res) => {
+    const entries = deliveryQueue.deadLetters({
+        beforeId: parseInt(req.query.before) || undefined,
+        limit: req.query.limit
+    });
+    
+    res.json({
+        entries,
+        next_before: entries.length > 0 ? entries[entries.length - 1].id : null
+    });
+});
+
+// Queue a dead-lettered delivery again (to its route's current URL)
+app.post('/api/admin/webhooks/dead-letters/:id/retry', requirePermission('webhooks.manage'), (req, res) => {
+    const entry = deliveryQueue.findDeadLetter(parseInt(req.params.id));
+    if (!entry) return res.status(404).json({ error: 'Dead letter not found' });
+    
+    const route = entry.meta && webhookRoutes.find(entry.meta.route_id);
+    if (!route) return res.status(404).json({ error: 'Its webhook route no longer exists' });
+    
+    deliveryQueue.enqueue({
+        key: `route:${route.id}`,
+        label: route.name,
+        url: route.url,
+        payload: entry.payload,
+        meta: { ...entry.meta, retry_of: entry.id }
+    });
+    
+    auditAdmin(req, 'retry-webhook-delivery', { params: { dead_letter_id: entry.id, route_id: route.id } });
+    
+    res.json({ success: true });
+});
+
+// Update a webhook route (omit url to keep the current one)
+app.post('/api/admin/webhooks/:routeId', requirePermission('webhooks.manage'), (req, res) => {
+    const existing = webhookRoutes.find(req.params.routeId);
+    if (!existing) return res.status(404).json({ error: 'Webhook route not found' });
+    
+    const before = webhookRoutes.toPublic(existing);
+    
+    let route;
+    try {
+        route = webhookRoutes.update(existing.id, req.body, req.user.discord_id);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    
+    auditAdmin(req, 'edit-webhook', {
+        params: { route_id: route.id, url_changed: !!req.body.url },
+        before,
+        after: webhookRoutes.toPublic(route)
+    });
+    
+    console.log(`[Webhooks] ${req.user.username} updated route "${route.name}"`);
+    
+    res.json({ success: true, route: webhookRoutes.toPublic(route) });
+});
+
+// Delete a webhook route
+app.delete('/api/admin/webhooks/:routeId', requirePermission('webhooks.manage'), (req, res) => {
+    const route = webhookRoutes.remove(req.params.routeId);
+    if (!route) return res.status(404).json({ error: 'Webhook route not found' });
+    
+    auditAdmin(req, 'delete-webhook', { params: { route_id: route.id }, before: webhookRoutes.toPublic(route) });
+    
+    console.log(`[Webhooks] ${req.user.username} deleted route "${route.name}"`);
+    
+    res.json({ success: true });
+});
+
+// Send a test embed through a route (uses the latest scan if there is one)
+app.post('/api/admin/webhooks/:routeId/test', requirePermission('webhooks.manage'), async (req, res) => {
+    const route = webhookRoutes.find(req.params.routeId);
+    if (!route) return res.status(404).json({ error: 'Webhook route not found' });
+    
+    const sample = bananaLiveLogs[0] || {
+        jobId: 'TEST-JOB-ID',
+        players: '?',
+        owners: 'Ultra Notifier',
+        animals: [{ name: 'Meowl', value: Math.max(route.min_value || 0, 100000000) }]
+    };
+    
+    try {
+        await postToRoute(route, sample);
+    } catch (err) {
+        return res.status(502).json({ error: `Test failed: ${err.message}` });
+    }
+    
+    auditAdmin(req, 'test-webhook', { params: { route_id: route.id } });
+    
+    res.json({ success: true });
+});
+
 // ============================================================
 // VPS TRACKING SYSTEM
 // ============================================================
@@ -1419,17 +2480,17 @@ if (!db.vps_config) {
         { id: 5, name: 'VPS 5', bots: 25, enabled: true },
         { id: 6, name: 'VPS 6', bots: 25, enabled: true },
     ];
-    saveDB(db);
+    saveDB('vps_config');
 }
 if (!db.vps_status) db.vps_status = {};
 
+// Hands out servers to scan and leases them to bots (see lib/fleet)
+const fleet = createFleet({ getVps: vpsId => db.vps_config.find(v => String(v.id) === vpsId) || null });
+
 // Bot reports its status (called by scanner script)
-app.post('/api/vps/heartbeat', (req, res) => {
-    const { vps_id, bot_id, status, api_key } = req.body;
-    
-    if (api_key !== process.env.SCANNER_API_KEY) {
-        return res.status(401).json({ error: 'Invalid API key' });
-    }
+app.post('/api/vps/heartbeat', requireScanner('heartbeat'), (req, res) => {
+    const { status } = req.body;
+    const { vps_id, bot_id } = scannerIdentity(req);
     
     if (!db.vps_status[vps_id]) {
         db.vps_status[vps_id] = {};
@@ -1439,6 +2500,7 @@ app.post('/api/vps/heartbeat', (req, res) => {
         status: status, // 'hopping' or 'idle'
         last_seen: Date.now()
     };
+    if (vps_id !== undefined && bot_id !== undefined) fleet.touch(vps_id, bot_id);
     
     // Clean up old bot entries (older than 2 minutes)
     const timeout = 120000;
@@ -1454,8 +2516,45 @@ app.post('/api/vps/heartbeat', (req, res) => {
     res.json({ success: true });
 });
 
-// Get VPS status (for admin panel)
-app.get('/api/admin/vps', requireAdmin, (req, res) => {
+// Bot submits servers it found: { jobs: [{ jobId, players }] } (up to 500)
+app.post('/api/fleet/jobs', requireScanner('fleet'), (req, res) => {
+    const jobs = Array.isArray(req.body.jobs) ? req.body.jobs : [];
+    if (jobs.length > 500) {
+        return res.status(400).json({ error: 'At most 500 jobs per request' });
+    }
+    
+    res.json({ success: true, ...fleet.addJobs(jobs), queued: fleet.getStats().queued });
+});
+
+// Bot asks what to scan next - gets a leased jobId, or null and how long to wait
+app.post('/api/fleet/next', requireScanner('fleet'), (req, res) => {
+    const { vps_id, bot_id } = scannerIdentity(req);
+    
+    if (vps_id === undefined || bot_id === undefined) {
+        return res.status(400).json({ error: 'Missing vps_id or bot_id' });
+    }
+    
+    res.json(fleet.next(vps_id, bot_id));
+});
+
+// Bot is done with its leased server: result = scanned | full | failed
+app.post('/api/fleet/complete', requireScanner('fleet'), (req, res) => {
+    const { jobId, result } = req.body;
+    const { vps_id, bot_id } = scannerIdentity(req);
+    
+    if (vps_id === undefined || bot_id === undefined || !jobId) {
+        return res.status(400).json({ error: 'Missing vps_id, bot_id or jobId' });
+    }
+    if (result !== undefined && !FLEET_RESULTS.includes(result)) {
+        return res.status(400).json({ error: `result must be one of: ${FLEET_RESULTS.join(', ')}` });
+    }
+    
+    // false = the lease expired and the server went to another bot
+    res.json({ success: true, held: fleet.complete(vps_id, bot_id, jobId, result) });
+});
+
+// Live online / hopping / idle counts per VPS - admin panel and lib/vps-health
+function vpsSnapshot() {
     const now = Date.now();
     const timeout = 60000; // 60 seconds timeout - bot is offline if no heartbeat in 60s
     
@@ -1464,9 +2563,11 @@ app.get('/api/admin/vps', requireAdmin, (req, res) => {
         let hopping = 0;
         let idle = 0;
         let online = 0;
+        let lastSeen = null;
         
         // Count active bots (those that sent heartbeat recently)
         Object.values(botStatuses).forEach(bot => {
+            if (bot && bot.last_seen > lastSeen) lastSeen = bot.last_seen;
             if (bot && (now - bot.last_seen) <= timeout) {
                 online++;
                 if (bot.status === 'hopping') {
@@ -1487,12 +2588,15 @@ app.get('/api/admin/vps', requireAdmin, (req, res) => {
             name: vps.name,
             bots: expected,
             enabled: vps.enabled,
+            target_per_min: vps.target_per_min || null,
             hopping,
             idle,
             offline,
             online,
             hoppingPercent,
-            onlinePercent
+            onlinePercent,
+            last_seen: lastSeen,
+            fleet: fleet.vpsStats(vps.id)
         };
     });
     
@@ -1508,25 +2612,88 @@ app.get('/api/admin/vps', requireAdmin, (req, res) => {
     
     totals.hoppingPercent = totals.online > 0 ? Math.round((totals.hopping / totals.online) * 100) : 0;
     totals.onlinePercent = totals.totalBots > 0 ? Math.round((totals.online / totals.totalBots) * 100) : 0;
+    totals.scansPerMin = Math.round(vpsData.reduce((sum, vps) => sum + vps.fleet.scans_per_min, 0) * 10) / 10;
     
-    res.json({ vps: vpsData, totals });
-});
+    return { vps: vpsData, totals };
+}
 
-// Update VPS config (admin)
-app.post('/api/admin/vps/:vpsId', requireAdmin, (req, res) => {
-    const { vpsId } = req.params;
-    const { name, bots, enabled } = req.body;
-    
-    const vps = db.vps_config.find(v => v.id === parseInt(vpsId));
-    if (!vps) {
-        return res.status(404).json({ error: 'VPS not found' });
-    }
+// Get VPS status (for admin panel)
+app.get('/api/admin/vps', requirePermission('vps.manage'), (req, res) => {
+    const { vps, totals } = vpsSnapshot();
+    const alerts = vpsHealth.alertStates();
     
-    if (name !== undefined) vps.name = name;
+    res.json({
+        vps: vps.map(v => ({ ...v, alert: alerts[v.id] || null })),
+        totals,
+        fleet: fleet.getStats()
+    });
+});
+
+// Charts: snapshots and alerts of the last ?hours= (default 24, up to VPS_HEALTH_DAYS)
+app.get('/api/admin/vps-health', requirePermission('vps.manage'), (req, res) => {
+    const hours = Math.min(Math.max(parseFloat(req.query.hours) || 24, 1), vpsHealth.getStats().retention_days * 24);
+    res.json({ hours, interval_ms: VPS_HEALTH_INTERVAL, ...vpsHealth.history(hours) });
+});
+
+app.get('/api/admin/vps-alerts', requirePermission('vps.manage'), (req, res) => {
+    res.json({ settings: vpsHealth.getSettings() });
+});
+
+app.post('/api/admin/vps-alerts', requirePermission('vps.manage'), (req, res) => {
+    const before = vpsHealth.getSettings();
+    
+    let settings;
+    try {
+        settings = vpsHealth.updateSettings(req.body);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    
+    auditAdmin(req, 'edit-vps-alerts', { before, after: settings });
+    console.log(`[VPS] Alerts ${settings.enabled ? 'enabled' : 'disabled'} (below ${settings.min_online_percent}% for ${settings.grace_minutes} min, silent ${settings.silent_minutes} min)`);
+    
+    res.json({ success: true, settings });
+});
+
+// Sample alert to the configured webhook / DMs
+app.post('/api/admin/vps-alerts/test', requirePermission('vps.manage'), (req, res) => {
+    try {
+        vpsHealth.sendTest();
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    res.json({ success: true });
+});
+
+// Update VPS config (admin)
+app.post('/api/admin/vps/:vpsId', requirePermission('vps.manage'), (req, res) => {
+    const { vpsId } = req.params;
+    const { name, bots, enabled, target_per_min } = req.body;
+    
+    const vps = db.vps_config.find(v => v.id === parseInt(vpsId));
+    if (!vps) {
+        return res.status(404).json({ error: 'VPS not found' });
+    }
+    
+    // Workload target in scans per minute - empty/0 = no limit
+    let target;
+    if (target_per_min !== undefined) {
+        target = target_per_min === null || target_per_min === '' ? null : parseFloat(target_per_min);
+        if (target !== null && (!Number.isFinite(target) || target < 0)) {
+            return res.status(400).json({ error: 'Target must be a positive number of scans per minute' });
+        }
+    }
+    
+    const before = { ...vps };
+    
+    if (name !== undefined) vps.name = name;
     if (bots !== undefined) vps.bots = parseInt(bots);
     if (enabled !== undefined) vps.enabled = enabled;
+    if (target !== undefined) vps.target_per_min = target || null;
+    
+    saveDB('vps_config');
     
-    saveDB(db);
+    auditAdmin(req, 'edit-vps', { params: { vps_id: vps.id }, before, after: { ...vps } });
     
     console.log(`[VPS] Updated VPS ${vpsId}: ${JSON.stringify(vps)}`);
     
@@ -1534,7 +2701,7 @@ app.post('/api/admin/vps/:vpsId', requireAdmin, (req, res) => {
 });
 
 // Add new VPS (admin)
-app.post('/api/admin/vps', requireAdmin, (req, res) => {
+app.post('/api/admin/vps', requirePermission('vps.manage'), (req, res) => {
     const { name, bots } = req.body;
     
     const newId = Math.max(...db.vps_config.map(v => v.id), 0) + 1;
@@ -1547,7 +2714,9 @@ app.post('/api/admin/vps', requireAdmin, (req, res) => {
     };
     
     db.vps_config.push(newVps);
-    saveDB(db);
+    saveDB('vps_config');
+    
+    auditAdmin(req, 'add-vps', { params: { vps_id: newVps.id }, after: newVps });
     
     console.log(`[VPS] Added new VPS: ${JSON.stringify(newVps)}`);
     
@@ -1555,7 +2724,7 @@ app.post('/api/admin/vps', requireAdmin, (req, res) => {
 });
 
 // Delete VPS (admin)
-app.delete('/api/admin/vps/:vpsId', requireAdmin, (req, res) => {
+app.delete('/api/admin/vps/:vpsId', requirePermission('vps.manage'), (req, res) => {
     const { vpsId } = req.params;
     
     const index = db.vps_config.findIndex(v => v.id === parseInt(vpsId));
@@ -1563,164 +2732,267 @@ app.delete('/api/admin/vps/:vpsId', requireAdmin, (req, res) => {
         return res.status(404).json({ error: 'VPS not found' });
     }
     
-    db.vps_config.splice(index, 1);
+    const [removedVps] = db.vps_config.splice(index, 1);
     delete db.vps_status[vpsId];
-    saveDB(db);
+    saveDB('vps_config', 'vps_status');
+    
+    auditAdmin(req, 'delete-vps', { params: { vps_id: removedVps.id }, before: removedVps });
     
     console.log(`[VPS] Deleted VPS ${vpsId}`);
     
     res.json({ success: true });
 });
 
+// Scanner tokens (admin) - per-VPS / per-bot credentials, see lib/scanner-tokens
+app.get('/api/admin/scanner-tokens', requirePermission('vps.manage'), (req, res) => {
+    res.json({
+        tokens: scannerTokens.list(),
+        scopes: SCANNER_SCOPES,
+        legacy_key: !!process.env.SCANNER_API_KEY
+    });
+});
+
+// The plaintext token is only in this response
+app.post('/api/admin/scanner-tokens', requirePermission('vps.manage'), (req, res) => {
+    const { vps_id } = req.body;
+    if (vps_id !== undefined && vps_id !== null && vps_id !== '' && !db.vps_config.some(v => String(v.id) === String(vps_id))) {
+        return res.status(404).json({ error: 'VPS not found' });
+    }
+    
+    let issued;
+    try {
+        issued = scannerTokens.issue(req.body, req.user.id);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    
+    const token = scannerTokens.toPublic(issued.token);
+    auditAdmin(req, 'issue-scanner-token', { params: { token_id: token.id }, after: token });
+    console.log(`[VPS] Issued scanner token ${token.id} (${token.name}) for ${token.scopes.join(', ')}`);
+    
+    res.json({ success: true, token, plaintext: issued.plaintext });
+});
+
+app.post('/api/admin/scanner-tokens/:tokenId/revoke', requirePermission('vps.manage'), (req, res) => {
+    const existing = scannerTokens.find(req.params.tokenId);
+    if (!existing) {
+        return res.status(404).json({ error: 'Token not found' });
+    }
+    if (existing.revoked_at) {
+        return res.status(400).json({ error: 'Token is already revoked' });
+    }
+    
+    const before = scannerTokens.toPublic(existing);
+    const token = scannerTokens.toPublic(scannerTokens.revoke(existing.id, req.user.id));
+    auditAdmin(req, 'revoke-scanner-token', { params: { token_id: token.id }, before, after: token });
+    console.log(`[VPS] Revoked scanner token ${token.id} (${token.name})`);
+    
+    res.json({ success: true, token });
+});
+
 // ============================================================
 // MANUAL PAYMENT SYSTEM
 // ============================================================
 
-// Initialize pending payments array
-if (!db.pending_payments) db.pending_payments = [];
+// Payments are validated and credited by lib/payments (manual provider)
 
 // User submits a payment
 app.post('/api/payment/submit', (req, res) => {
     if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
     
-    const { amount, txId, crypto } = req.body;
-    
-    if (!amount || amount < 1) {
-        return res.status(400).json({ error: 'Invalid amount' });
-    }
-    if (!txId || txId.length < 10) {
-        return res.status(400).json({ error: 'Invalid transaction ID' });
-    }
-    
-    // Check if txId already used
-    const existingTx = db.pending_payments.find(p => p.txId === txId) || 
-                       db.used_transactions?.includes(txId);
-    if (existingTx) {
-        return res.status(400).json({ error: 'This transaction ID has already been submitted' });
+    let payment;
+    try {
+        payment = payments.submitManual(req.user, req.body);
+    } catch (err) {
+        if (!(err instanceof PaymentError)) throw err;
+        return res.status(err.status).json({ error: err.message });
     }
     
-    const payment = {
-        id: Date.now().toString(),
-        userId: req.user.id,
-        discord_id: req.user.discord_id,
-        username: req.user.username,
-        amount: parseFloat(amount),
-        txId: txId,
-        crypto: crypto || 'btc',
-        status: 'pending',
-        submitted_at: Date.now()
-    };
-    
-    db.pending_payments.push(payment);
-    saveDB(db);
-    
-    console.log(`[Payment] ${req.user.username} submitted $${amount} payment (${crypto}) - TX: ${txId}`);
+    console.log(`[Payment] ${req.user.username} submitted $${payment.amount} payment (${payment.crypto}) - TX: ${payment.txId}`);
     
     res.json({ success: true, message: 'Payment submitted for verification' });
 });
 
 // Admin: Get pending payments
-app.get('/api/admin/payments', requireAdmin, (req, res) => {
-    const payments = db.pending_payments || [];
-    res.json(payments.sort((a, b) => b.submitted_at - a.submitted_at));
+app.get('/api/admin/payments', requirePermission('payments.manage'), (req, res) => {
+    const pending = db.pending_payments || [];
+    res.json(pending.sort((a, b) => b.submitted_at - a.submitted_at));
 });
 
 // Admin: Approve payment
-app.post('/api/admin/payments/:paymentId/approve', requireAdmin, (req, res) => {
+app.post('/api/admin/payments/:paymentId/approve', requirePermission('payments.manage'), (req, res) => {
     const { paymentId } = req.params;
     
-    const paymentIndex = db.pending_payments.findIndex(p => p.id === paymentId);
-    if (paymentIndex === -1) {
-        return res.status(404).json({ error: 'Payment not found' });
+    let result;
+    try {
+        result = payments.approveManual(paymentId, ledgerContext(req, 'admin', 'manual_payment_approved'));
+    } catch (err) {
+        if (!(err instanceof PaymentError)) throw err;
+        return res.status(err.status).json({ error: err.message });
     }
     
-    const payment = db.pending_payments[paymentIndex];
+    const { payment } = result;
+    auditAdmin(req, 'approve-payment', {
+        target: result.user,
+        params: { payment_id: payment.id, amount: payment.amount, tx_id: payment.txId, crypto: payment.crypto },
+        after: { balance: result.newBalance }
+    });
     
-    // Add balance to user
-    const user = findUser({ id: payment.userId }) || findUser({ discord_id: payment.discord_id });
-    if (!user) {
-        return res.status(404).json({ error: 'User not found' });
+    console.log(`[Payment] ✅ APPROVED: ${payment.username} +$${payment.amount} (TX: ${payment.txId})`);
+    
+    res.json({ success: true, new_balance: result.newBalance });
+});
+
+// Admin: Deny payment
+app.post('/api/admin/payments/:paymentId/deny', requirePermission('payments.manage'), (req, res) => {
+    const { paymentId } = req.params;
+    const { reason } = req.body;
+    
+    let payment;
+    try {
+        payment = payments.denyManual(paymentId);
+    } catch (err) {
+        if (!(err instanceof PaymentError)) throw err;
+        return res.status(err.status).json({ error: err.message });
     }
     
-    const newBalance = (user.balance || 0) + payment.amount;
-    updateUser(user.id, { balance: newBalance });
+    auditAdmin(req, 'deny-payment', {
+        target: findUser({ id: payment.userId }) || null,
+        params: { payment_id: payment.id, amount: payment.amount, tx_id: payment.txId, reason: reason || null }
+    });
     
-    // Mark transaction as used
-    if (!db.used_transactions) db.used_transactions = [];
-    db.used_transactions.push(payment.txId);
+    console.log(`[Payment] ❌ DENIED: ${payment.username} $${payment.amount} - Reason: ${reason || 'Not specified'}`);
     
-    // Remove from pending
-    db.pending_payments.splice(paymentIndex, 1);
-    saveDB(db);
+    res.json({ success: true });
+});
+
+// Admin: Promo codes with redemption totals
+app.get('/api/admin/promo-codes', requirePermission('promos.manage'), (req, res) => {
+    const plans = Object.fromEntries(Object.entries(getPlans()).map(([tier, plan]) => [tier, plan.name]));
+    res.json({ codes: promoCodes.list(), kinds: PROMO_KINDS, plans });
+});
+
+// Admin: Create a promo code
+app.post('/api/admin/promo-codes', requirePermission('promos.manage'), (req, res) => {
+    let promo;
+    try {
+        promo = promoCodes.create(req.body, req.user.username);
+    } catch (err) {
+        if (!(err instanceof PromoError)) throw err;
+        return res.status(err.status).json({ error: err.message });
+    }
     
-    console.log(`[Payment] ✅ APPROVED: ${payment.username} +$${payment.amount} (TX: ${payment.txId})`);
+    auditAdmin(req, 'create-promo-code', { params: { code: promo.code }, after: promo });
+    
+    console.log(`[Promo] ${req.user.username} created ${promo.code} (${promoCodes.describe(promo)}, ${promo.applies_to})`);
     
-    res.json({ success: true, new_balance: newBalance });
+    res.json({ success: true, code: promo });
 });
 
-// Admin: Deny payment
-app.post('/api/admin/payments/:paymentId/deny', requireAdmin, (req, res) => {
-    const { paymentId } = req.params;
-    const { reason } = req.body;
+// Admin: Disable / re-enable a promo code ({ disabled })
+app.post('/api/admin/promo-codes/:code', requirePermission('promos.manage'), (req, res) => {
+    const before = promoCodes.find(req.params.code);
+    if (!before) return res.status(404).json({ error: 'Promo code not found' });
+    const wasDisabled = !!before.disabled_at;
+    
+    const promo = promoCodes.setDisabled(req.params.code, !!req.body.disabled);
+    auditAdmin(req, promo.disabled_at ? 'disable-promo-code' : 'enable-promo-code', {
+        params: { code: promo.code },
+        before: { disabled: wasDisabled },
+        after: { disabled: !!promo.disabled_at }
+    });
+    
+    console.log(`[Promo] ${req.user.username} ${promo.disabled_at ? 'disabled' : 'enabled'} ${promo.code}`);
+    
+    res.json({ success: true, code: promo });
+});
+
+// Admin: Referral settings, top referrers and flagged referrals
+app.get('/api/admin/referrals', requirePermission('promos.manage'), (req, res) => {
+    res.json(referrals.overview());
+});
+
+// Admin: Referral reward settings
+app.post('/api/admin/referral-settings', requirePermission('promos.manage'), (req, res) => {
+    const before = referrals.getSettings();
     
-    const paymentIndex = db.pending_payments.findIndex(p => p.id === paymentId);
-    if (paymentIndex === -1) {
-        return res.status(404).json({ error: 'Payment not found' });
+    let settings;
+    try {
+        settings = referrals.updateSettings(req.body);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
     }
     
-    const payment = db.pending_payments[paymentIndex];
+    auditAdmin(req, 'edit-referral-settings', { params: req.body, before, after: settings });
     
-    // Remove from pending
-    db.pending_payments.splice(paymentIndex, 1);
-    saveDB(db);
+    console.log(`[Referrals] ${req.user.username} set rewards to ${settings.enabled ? `${settings.percent}% of ${settings.reward_on === 'purchases' ? 'purchases' : 'the first top-up'}` : 'off'}`);
     
-    console.log(`[Payment] ❌ DENIED: ${payment.username} $${payment.amount} - Reason: ${reason || 'Not specified'}`);
+    res.json({ success: true, settings });
+});
+
+// Admin: Let a flagged referral earn rewards
+app.post('/api/admin/referrals/:refereeId/approve', requirePermission('promos.manage'), (req, res) => {
+    const referral = referrals.approve(req.params.refereeId);
+    if (!referral) return res.status(404).json({ error: 'No flagged referral for that user' });
+    
+    auditAdmin(req, 'approve-referral', {
+        target: findUser({ id: referral.referee_id }) || null,
+        params: { referrer_id: referral.referrer_id, flag_reason: referral.flag_reason }
+    });
+    
+    console.log(`[Referrals] ${req.user.username} approved the flagged referral of ${referral.referee_id}`);
     
     res.json({ success: true });
 });
 
+// Admin: Latest redemptions of a promo code
+app.get('/api/admin/promo-codes/:code/redemptions', requirePermission('promos.manage'), (req, res) => {
+    if (!promoCodes.find(req.params.code)) return res.status(404).json({ error: 'Promo code not found' });
+    res.json({ redemptions: promoCodes.redemptionsFor(req.params.code) });
+});
+
 // ============================================================
 // JOINER API (for Roblox joiner script)
 // ============================================================
 
-// Validate key and get user info for joiner
-app.get('/api/joiner/validate', (req, res) => {
-    const { key, hwid, roblox_username } = req.query;
-    
+// License, ban, subscription, pause and HWID checks for the in-game joiner -
+// sets the HWID on first use and records the Roblox username.
+// Returns { user } or { error } (shared by /api/joiner/validate and /ws/client)
+function checkJoinerAccess({ key, hwid, roblox_username }) {
     if (!key) {
-        return res.json({ valid: false, error: 'No key provided' });
+        return { error: 'No key provided' };
     }
     
     // Check if HWID is banned
     if (hwid && isHWIDBanned(hwid)) {
-        return res.json({ valid: false, error: 'BANNED: Your HWID has been permanently blocked.' });
+        return { error: 'BANNED: Your HWID has been permanently blocked.' };
     }
     
     const user = findUser({ license_key: key });
     
     if (!user) {
-        return res.json({ valid: false, error: 'Invalid key! Get your key from ultranotifier.live' });
+        return { error: 'Invalid key! Get your key from ultranotifier.live' };
     }
     
     // Check warnings
     if ((user.warnings || 0) >= 2) {
-        return res.json({ valid: false, error: 'BANNED: Your account received 2 warnings.' });
+        return { error: 'BANNED: Your account received 2 warnings.' };
     }
     
     // Check subscription
     const isActive = user.subscription_expires > Date.now();
     if (!isActive) {
-        return res.json({ valid: false, error: 'Subscription expired! Renew at ultranotifier.live' });
+        return { error: 'Subscription expired! Renew at ultranotifier.live' };
     }
     
     // Check pause
     if (db.global_paused || user.paused) {
-        return res.json({ valid: false, error: 'Your subscription is currently paused.' });
+        return { error: 'Your subscription is currently paused.' };
     }
     
     // Check HWID
     if (user.hwid && user.hwid !== hwid) {
-        return res.json({ valid: false, error: 'HWID mismatch. Reset HWID on website.' });
+        return { error: 'HWID mismatch. Reset HWID on website.' };
     }
     
     // Build updates object
@@ -1740,9 +3012,19 @@ app.get('/api/joiner/validate', (req, res) => {
     }
     
     // Save updates
-    updateUser(user.id, updates);
+    const updated = updateUser(user.id, updates);
     console.log(`[Joiner] Validated: ${user.username} (Roblox: ${roblox_username || 'N/A'})`);
     
+    return { user: updated || user };
+}
+
+// Validate key and get user info for joiner
+app.get('/api/joiner/validate', (req, res) => {
+    const { user, error } = checkJoinerAccess(req.query);
+    if (error) {
+        return res.json({ valid: false, error });
+    }
+    
     const plan = PLANS[user.subscription_tier];
     const hoursLeft = ((user.subscription_expires - Date.now()) / 3600000).toFixed(1);
     
@@ -1753,6 +3035,7 @@ app.get('/api/joiner/validate', (req, res) => {
         plan: plan?.name || 'None',
         minValue: plan?.minValue || 0,
         maxValue: plan?.maxValue || 0, // 0 means unlimited
+        delaySeconds: planDelayMs(user.subscription_tier) / 1000,
         hoursLeft: hoursLeft,
         expires: user.subscription_expires
     });
@@ -1784,30 +3067,124 @@ app.get('/api/joiner/servers', (req, res) => {
     // Silver (tier 2): 0 to 400M
     // Gold (tier 3): 0 to 1B
     // Diamond (tier 4/5): 0 to infinity
-    const filteredServers = servers.filter(s => s.bestValue <= maxValue);
+    // then narrowed down like the user's notifications (alert rules and
+    // config page filters). Servers still inside the plan's exclusivity
+    // window are held back
+    const visibleBefore = Date.now() - planDelayMs(user.subscription_tier);
+    const filteredServers = scansFor(user,
+        servers.filter(s => s.bestValue <= maxValue && (s.first_seen || s.timestamp) <= visibleBefore));
     
     res.json({
-        servers: filteredServers.slice(0, 20),
+        servers: filteredServers.slice(0, 20).map(s => withClaim(s, user.id)),
         minValue: 0,
         maxValue: maxValue === Infinity ? 'unlimited' : maxValue,
-        plan: plan?.name
+        plan: plan?.name,
+        delaySeconds: planDelayMs(user.subscription_tier) / 1000,
+        filtered: hasScanFilters(user)
     });
 });
 
 // Banana bridge status (for debugging)
 app.get('/api/banana/status', (req, res) => {
     res.json({
-        connected: bananaWs && bananaWs.readyState === 1,
-        wsState: bananaWs ? bananaWs.readyState : 'null',
+        connected: ingest.isConnected(),
+        sources: ingest.health(),
         logsCount: bananaLiveLogs.length,
+        dedup: scanDedup.getStats(),
+        history: scanHistory.stats(),
+        images: imageCache.getStats(),
+        clients: clientPush.getStats(),
+        claims: claims.getStats(),
+        fleet: fleet.getStats(),
+        scannerTokens: scannerTokens.getStats(),
+        vpsHealth: vpsHealth.getStats(),
+        waitlist: waitlist.getStats(),
+        autoRenew: autoRenew.getStats(),
+        promoCodes: promoCodes.getStats(),
+        referrals: referrals.getStats(),
+        gifts: gifts.getStats(),
+        notifications: notifier.getStats(),
         recentLogs: bananaLiveLogs.slice(0, 3).map(l => ({
             name: l.bestName,
             value: l.bestValue,
+            source: l.source,
             time: new Date(l.timestamp).toISOString()
         }))
     });
 });
 
+// Search the scan history (newest first, paged with ?before=<id>).
+// Filters: name (contains), mutation, min/max (brainrot value, "1.5B" ok),
+// job, from/to. Staff with scans.view see everything (plus ?source=);
+// subscribers (session or ?key=) only get their plan's historyHours window,
+// max value and nothing inside their delaySeconds window.
+app.get('/api/scans', (req, res) => {
+    const q = req.query;
+    const filter = {
+        name: q.name ? String(q.name).slice(0, 100) : undefined,
+        mutation: q.mutation ? String(q.mutation) : undefined,
+        min_value: q.min ? parseValue(q.min) : undefined,
+        max_value: q.max ? parseValue(q.max) : undefined,
+        job_id: q.job ? String(q.job) : undefined,
+        since: parseQueryTime(q.from),
+        until: parseQueryTime(q.to),
+        beforeId: parseInt(q.before) || undefined,
+        limit: q.limit
+    };
+    
+    let windowHours = null;
+    if (req.user && hasPermission(req.user, 'scans.view')) {
+        filter.source = q.source ? String(q.source) : undefined;
+    } else {
+        const user = req.user ? findUser({ id: req.user.id }) : q.key ? findUser({ license_key: q.key }) : null;
+        if (!user) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+        if (!(user.subscription_expires > Date.now())) {
+            return res.status(403).json({ error: 'Subscription expired' });
+        }
+        
+        const plan = PLANS[user.subscription_tier];
+        windowHours = plan ? plan.historyHours ?? DEFAULT_PLANS[user.subscription_tier]?.historyHours ?? 0 : 0;
+        if (!windowHours) {
+            return res.status(403).json({ error: 'Scan history is not included in your plan' });
+        }
+        
+        filter.since = Math.max(filter.since || 0, Date.now() - windowHours * 60 * 60 * 1000);
+        // Nothing newer than the plan's exclusivity window
+        const visibleBefore = Date.now() - planDelayMs(user.subscription_tier);
+        filter.until = filter.until ? Math.min(filter.until, visibleBefore) : visibleBefore;
+        const maxValue = plan.maxValue || Infinity;
+        if (maxValue !== Infinity) filter.max_best_value = maxValue;
+        filter.limit = Math.min(parseInt(q.limit) || 50, 100);
+    }
+    
+    const scans = scanHistory.query(filter);
+    res.json({
+        scans,
+        next_before: scans.length > 0 ? scans[scans.length - 1].id : null,
+        window_hours: windowHours
+    });
+});
+
+// The user has alert rules or config page filters
+function hasScanFilters(user) {
+    return !!user.alert_rules || !!user.general_min ||
+        Object.keys(user.include_config || {}).length > 0 ||
+        Object.keys(user.exclude_config || {}).length > 0;
+}
+
+// Scans the user would get a push / DM for (notifier.matchesFor: alert rules,
+// config page filters and plan cap), each with the brainrots that matched
+function scansFor(user, scans) {
+    const results = [];
+    for (const scan of scans) {
+        const matches = notifier.matchesFor(user, scan);
+        if (matches.length > 0) results.push({ ...scan, matches: matches.map(a => a.name) });
+    }
+    return results;
+}
+
 // Get live logs from Banana relay (for in-game display)
 app.get('/api/joiner/live-logs', (req, res) => {
     const { key, limit } = req.query;
@@ -1827,37 +3204,42 @@ app.get('/api/joiner/live-logs', (req, res) => {
     const plan = PLANS[user.subscription_tier];
     const maxValue = plan?.maxValue || Infinity;
     
-    // Filter logs by user's plan cap (all plans see from 0 to their max)
-    const filteredLogs = bananaLiveLogs.filter(log => log.bestValue <= maxValue);
+    // Filter logs by user's plan cap (all plans see from 0 to their max) and
+    // exclusivity window, then by the same filters as their notifications
+    const visibleBefore = Date.now() - planDelayMs(user.subscription_tier);
+    const filteredLogs = scansFor(user,
+        bananaLiveLogs.filter(log => log.bestValue <= maxValue && log.timestamp <= visibleBefore));
     
     // Return live logs
     const maxLogs = Math.min(parseInt(limit) || 20, 50);
     
     res.json({
-        logs: filteredLogs.slice(0, maxLogs),
+        logs: filteredLogs.slice(0, maxLogs).map(log => withClaim(log, user.id)),
         total: filteredLogs.length,
         maxValue: maxValue === Infinity ? 'unlimited' : maxValue,
-        connected: bananaWs && bananaWs.readyState === 1
+        delaySeconds: planDelayMs(user.subscription_tier) / 1000,
+        filtered: hasScanFilters(user),
+        connected: ingest.isConnected()
     });
 });
 
 // Scanner saves servers here
-app.post('/api/joiner/servers', (req, res) => {
-    const { api_key, server } = req.body;
-    
-    if (api_key !== process.env.SCANNER_API_KEY) {
-        return res.status(401).json({ error: 'Invalid API key' });
-    }
+app.post('/api/joiner/servers', requireScanner('servers'), (req, res) => {
+    const { server } = req.body;
     
     if (!db.servers) db.servers = [];
     
-    // Remove old entry for same jobId
+    // Remove old entry for same jobId - a repost keeps its first_seen, so the
+    // exclusivity window doesn't restart every time the server is reported
+    const previous = db.servers.find(s => s.jobId === server.jobId);
     db.servers = db.servers.filter(s => s.jobId !== server.jobId);
     
     // Add new server at the beginning
+    const now = Date.now();
     db.servers.unshift({
         ...server,
-        timestamp: Date.now()
+        timestamp: now,
+        first_seen: previous ? previous.first_seen || previous.timestamp : now
     });
     
     // Keep only last 50 servers, remove old ones (older than 30 min)
@@ -1866,10 +3248,17 @@ app.post('/api/joiner/servers', (req, res) => {
         .filter(s => s.timestamp > thirtyMinAgo)
         .slice(0, 50);
     
-    saveDB(db);
+    saveDB('servers');
     
     console.log(`[Joiner] Server saved: ${server.bestName} (${server.bestValue})`);
     
+    // Also feed the live scan pipeline (live logs, alerts, Discord)
+    try {
+        ingest.push('scanner', 'servers', server);
+    } catch (err) {
+        console.error('[Joiner] Server not ingested:', err.message);
+    }
+    
     res.json({ success: true, serverCount: db.servers.length });
 });
 
@@ -1897,16 +3286,7 @@ app.post('/api/joiner/heartbeat', (req, res) => {
         return res.status(401).json({ error: 'Subscription expired' });
     }
     
-    // Create job entry if it doesn't exist
-    if (!activeJoinerSessions[jobId]) {
-        activeJoinerSessions[jobId] = {};
-    }
-    
-    // Update or create user session
-    activeJoinerSessions[jobId][userId] = {
-        username: username || 'Unknown',
-        lastSeen: Date.now()
-    };
+    touchJoinerSession(jobId, userId, username, user.id);
     
     res.json({ success: true });
 });
@@ -1925,25 +3305,79 @@ app.get('/api/joiner/active-users', (req, res) => {
         return res.status(401).json({ error: 'Invalid license key' });
     }
     
-    // Get all users in this job (exclude the requesting user)
-    const jobUsers = activeJoinerSessions[jobId] || {};
-    const now = Date.now();
+    res.json({ users: activeJoinerUsers(jobId, userId), claim: claims.publicClaim(jobId, user.id) });
+});
+
+// ============================================================
+// SERVER CLAIMS - see lib/claims
+// ============================================================
+
+// License key -> user allowed to claim, or sends the error
+function claimingUser(req, res) {
+    const key = req.body.key || req.query.key;
+    const user = key ? findUser({ license_key: key }) : null;
+    if (!user) {
+        res.status(401).json({ error: 'Invalid license key' });
+        return null;
+    }
+    if (!(user.subscription_expires > Date.now())) {
+        res.status(401).json({ error: 'Subscription expired' });
+        return null;
+    }
+    if (db.global_paused || user.paused) {
+        res.status(403).json({ error: 'Your subscription is currently paused.' });
+        return null;
+    }
+    return user;
+}
+
+function claimToJSON(claim) {
+    return {
+        jobId: claim.jobId,
+        claimed_at: claim.claimed_at,
+        expires_at: claim.expires_at,
+        expires_in: Math.max(0, Math.ceil((claim.expires_at - Date.now()) / 1000))
+    };
+}
+
+// Reserve a jobId - keep sending heartbeats for it or the claim is dropped
+app.post('/api/joiner/claim', (req, res) => {
+    const user = claimingUser(req, res);
+    if (!user) return;
     
-    const activeUsers = [];
-    for (const odId in jobUsers) {
-        // Skip the requesting user
-        if (odId === userId) continue;
-        
-        // Skip stale sessions
-        if (now - jobUsers[odId].lastSeen > SESSION_TIMEOUT) continue;
-        
-        activeUsers.push({
-            userId: odId,
-            username: jobUsers[odId].username
-        });
+    const limits = planClaimLimits(user.subscription_tier);
+    let claim;
+    try {
+        claim = claims.claim(user, req.body.jobId, limits);
+    } catch (err) {
+        if (!(err instanceof ClaimError)) throw err;
+        return res.status(err.status).json({ error: err.message, claim: claims.publicClaim(req.body.jobId, user.id) });
+    }
+    
+    console.log(`[Claims] ${user.username} claimed ${claim.jobId} for ${limits.seconds}s`);
+    
+    res.json({ success: true, claim: claimToJSON(claim), quota: limits.quota, active: claims.byUser(user.id).length });
+});
+
+// Give a claim back early (e.g. the brainrot is gone)
+app.post('/api/joiner/release', (req, res) => {
+    const user = claimingUser(req, res);
+    if (!user) return;
+    
+    if (!claims.releaseBy(user.id, req.body.jobId)) {
+        return res.status(404).json({ error: 'You have no claim on that server' });
     }
     
-    res.json({ users: activeUsers });
+    res.json({ success: true });
+});
+
+// The caller's active claims and plan limits
+app.get('/api/joiner/claims', (req, res) => {
+    const user = claimingUser(req, res);
+    if (!user) return;
+    
+    const limits = planClaimLimits(user.subscription_tier);
+    res.json({ claims: claims.byUser(user.id).map(claimToJSON), quota: limits.quota, claim_seconds: limits.seconds });
 });
 
 // ============================================================
@@ -1953,13 +3387,7 @@ app.get('/api/joiner/active-users', (req, res) => {
 if (!db.bot_servers) db.bot_servers = {};
 
 // Get list of servers where bots are (for scanners to avoid)
-app.get('/api/scanner/bot-servers', (req, res) => {
-    const { api_key } = req.query;
-    
-    if (api_key !== process.env.SCANNER_API_KEY) {
-        return res.status(401).json({ error: 'Invalid API key' });
-    }
-    
+app.get('/api/scanner/bot-servers', requireScanner('bot-servers'), (req, res) => {
     // Clean old entries (older than 2 minutes)
     const twoMinAgo = Date.now() - (2 * 60 * 1000);
     for (const jobId in db.bot_servers) {
@@ -1968,23 +3396,25 @@ app.get('/api/scanner/bot-servers', (req, res) => {
         }
     }
     
-    // Return list of active bot servers
+    // Return list of active bot servers, plus servers leased out by the fleet coordinator
     const servers = Object.entries(db.bot_servers).map(([jobId, data]) => ({
         jobId,
         botId: data.botId,
         timestamp: data.timestamp
     }));
+    for (const lease of fleet.activeLeases()) {
+        if (!db.bot_servers[lease.jobId]) {
+            servers.push({ jobId: lease.jobId, botId: `${lease.vps_id}/${lease.bot_id}`, timestamp: lease.leased_at });
+        }
+    }
     
     res.json(servers);
 });
 
 // Register bot's current/target server
-app.post('/api/scanner/bot-servers', (req, res) => {
-    const { api_key, jobId, botId } = req.body;
-    
-    if (api_key !== process.env.SCANNER_API_KEY) {
-        return res.status(401).json({ error: 'Invalid API key' });
-    }
+app.post('/api/scanner/bot-servers', requireScanner('bot-servers'), (req, res) => {
+    const { jobId } = req.body;
+    const botId = req.scanner.bot_id || req.body.botId;
     
     if (!jobId) {
         return res.status(400).json({ error: 'Missing jobId' });
@@ -2003,7 +3433,7 @@ app.post('/api/scanner/bot-servers', (req, res) => {
         }
     }
     
-    saveDB(db);
+    saveDB('bot_servers');
     
     res.json({ success: true, totalBotServers: Object.keys(db.bot_servers).length });
 });
@@ -2145,39 +3575,48 @@ setInterval(async () => {
         await removeDiscordRoles(user.discord_id);
         
         // Update their tier to 0
-        updateUser(user.id, { subscription_tier: 0 });
+        updateUserWithLedger(user.id, { subscription_tier: 0 }, {
+            actor: { type: 'system', id: null, name: 'expiry' },
+            reason: 'expired',
+            source: 'expiry-checker'
+        });
         
         console.log(`[Expiry] ${user.username}'s subscription expired - removed roles`);
     }
+    
+    // Offer the freed slots to the waitlist
+    for (const tier of new Set(expiredUsers.map(u => u.subscription_tier))) {
+        waitlist.handOff(tier);
+    }
 }, 5 * 60 * 1000); // Every 5 minutes
 
 // ============================================================
-// BANANA RELAY BRIDGE - Forwards logs from Railway to Discord
+// BANANA RELAY BRIDGE - Forwards scans from every source to Discord
 // ============================================================
 
 const WebSocket = require('ws');
 
-const BANANA_CONFIG = {
-    // Your Banana relay WebSocket URL from Railway
-    relayUrl: process.env.BANANA_RELAY_URL || 'wss://web-production-3bf63.up.railway.app/ws',
-    webhookMain: process.env.BANANA_WEBHOOK_MAIN || '',
-    // Highlights: 100M - 999M
-    webhookHighlights: 'https://discord.com/api/webhooks/1460653836845846579/zPkhSWxVf_HtWUgKXDiHO6qdmzvoCYbGUjJOs7IcjdjTB7QxAqDk2yhTRyaDUOYQWDSl',
-    // Ultralights: 1B+
-    webhookUltralights: 'https://discord.com/api/webhooks/1460653760014450729/_gP7Gd5ICIRRNONpNwBIfv7Slnvz7ToSvRhSObq_cpsA1C5wjUHQht7x4Po_qVIOv7_0',
-    // Personal 1B+ alert webhook
-    webhook1B: 'https://discord.com/api/webhooks/1430333154668974134/O6X4Zcf34HedyfgVKeTta6rz3FGwoCmgkPv4lEF4Q8foXD0klsUW90bMLsVV9teRkRGX',
-    enabled: true // Always enabled - stores logs for in-game even without webhooks
-};
+// Discord webhook routes (value buckets, templates) are managed from the admin panel
+const webhookRoutes = createWebhookRoutes({ db, saveDB });
+
+// Posts to those routes are queued per route and retried (see lib/delivery-queue)
+const deliveryQueue = createDeliveryQueue({ storage });
+
+// VPS health history and down alerts - alert webhooks share the queue (see lib/vps-health)
+const vpsHealth = createVpsHealth({ storage, db, saveDB, getSnapshot: vpsSnapshot, deliveryQueue, discordBot });
 
-console.log('[Banana Config] Relay URL:', BANANA_CONFIG.relayUrl);
-console.log('[Banana Config] Webhook Main:', BANANA_CONFIG.webhookMain ? 'SET' : 'NOT SET');
+console.log(`[Banana Config] Webhook routes: ${webhookRoutes.list().filter(r => r.enabled).length} enabled`);
 
-let bananaWs = null;
-let bananaReconnectAttempts = 0;
 let bananaLiveLogs = []; // Store last 50 live logs for in-game clients
 const MAX_BANANA_LOGS = 50;
 
+// Repeat scans (reconnect cache replays, the same server reported twice) are
+// merged into the first log entry instead of being stored/posted again
+const scanDedup = createScanDedup();
+
+// Durable copy of every stored scan, searchable through /api/scans
+const scanHistory = createScanHistory({ storage });
+
 // ============================================================
 // ACTIVE JOINER SESSIONS (for ESP between Ultra users)
 // ============================================================
@@ -2209,6 +3648,69 @@ setInterval(() => {
     }
 }, 15000);
 
+// Client reports they're still active in a server (HTTP heartbeat or /ws/client).
+// ownerId is the site user behind the license key - keeps their claim alive
+function touchJoinerSession(jobId, userId, username, ownerId) {
+    // Create job entry if it doesn't exist
+    if (!activeJoinerSessions[jobId]) {
+        activeJoinerSessions[jobId] = {};
+    }
+    
+    // Update or create user session
+    activeJoinerSessions[jobId][userId] = {
+        username: username || 'Unknown',
+        ownerId: ownerId || null,
+        lastSeen: Date.now()
+    };
+    
+    if (ownerId) claims.heartbeat(ownerId, jobId);
+}
+
+// Ultra users active in a job, excluding the requesting user
+function activeJoinerUsers(jobId, exceptUserId) {
+    const jobUsers = activeJoinerSessions[jobId] || {};
+    const now = Date.now();
+    
+    const activeUsers = [];
+    for (const odId in jobUsers) {
+        // Skip the requesting user
+        if (odId === exceptUserId) continue;
+        
+        // Skip stale sessions
+        if (now - jobUsers[odId].lastSeen > SESSION_TIMEOUT) continue;
+        
+        activeUsers.push({
+            userId: odId,
+            username: jobUsers[odId].username,
+            claimant: !!jobUsers[odId].ownerId && claims.get(jobId)?.user_id === jobUsers[odId].ownerId
+        });
+    }
+    return activeUsers;
+}
+
+// Whether the user's plan already shows this job in /api/joiner/servers or
+// /api/joiner/live-logs - under its maxValue cap and out of its delay window
+function planCanSeeJob(user, jobId) {
+    const maxValue = PLANS[user.subscription_tier]?.maxValue || Infinity;
+    const visibleBefore = Date.now() - planDelayMs(user.subscription_tier);
+    const servers = (db.servers || []).filter(s => s.jobId === jobId);
+    const logs = bananaLiveLogs.filter(log => log.jobId === jobId);
+    return servers.some(s => s.bestValue <= maxValue && (s.first_seen || s.timestamp) <= visibleBefore) ||
+        logs.some(log => log.bestValue <= maxValue && log.timestamp <= visibleBefore);
+}
+
+// Server claims - opt-in reservations, events go out on /ws/client but only to
+// clients that can already see the job, so a claim never leaks a jobId early
+const claims = createClaims({
+    canSee: planCanSeeJob,
+    onChange: event => clientPush.broadcast(event, user => planCanSeeJob(user, event.jobId))
+});
+
+// Scan/server entry with who (if anyone) has claimed its job
+function withClaim(entry, viewerId) {
+    return { ...entry, claim: claims.publicClaim(entry.jobId, viewerId) };
+}
+
 function formatBananaNumber(n) {
     if (n >= 1e15) return (n / 1e15).toFixed(1) + 'q';
     if (n >= 1e12) return (n / 1e12).toFixed(1) + 't';
@@ -2218,39 +3720,80 @@ function formatBananaNumber(n) {
     return n.toString();
 }
 
-// Get thumbnail image for an animal
-const THUMBNAIL_CACHE = {
-    "Mieteteira Bicicleteira": "https://static.wikia.nocookie.net/stealabr/images/8/86/Mieteteira_Bicicleteira.png",
-    "Strawberry Elephant": "https://static.wikia.nocookie.net/pet-simulator-99/images/a/a5/Strawberry_Elephant.png",
-    "Tralalero Tralala": "https://static.wikia.nocookie.net/pet-simulator-99/images/t/t1/Tralalero_Tralala.png",
-    "Tung Tung Tung Sahur": "https://static.wikia.nocookie.net/pet-simulator-99/images/t/tu/Tung_Tung_Tung_Sahur.png",
-    "Bombardiro Crocodilo": "https://static.wikia.nocookie.net/pet-simulator-99/images/b/bo/Bombardiro_Crocodilo.png",
-    "Brr Brr Patapim": "https://static.wikia.nocookie.net/pet-simulator-99/images/b/br/Brr_Brr_Patapim.png",
-    "La Vaca Saturno Saturnita": "https://static.wikia.nocookie.net/pet-simulator-99/images/l/la/La_Vaca_Saturno_Saturnita.png",
-};
-
-const WIKI_BASE = "https://static.wikia.nocookie.net/pet-simulator-99/images/";
-
-function getAnimalThumbnail(animalName) {
-    if (!animalName) return null;
-    
-    // Check cache first
-    if (THUMBNAIL_CACHE[animalName]) {
-        return THUMBNAIL_CACHE[animalName];
+// Personal alert (webhook or DM) - always includes the Job ID and only lists
+// the brainrots that matched the user's filters
+function buildPersonalPayload(scan, matches) {
+    const best = matches.reduce((a, b) => (b.value > a.value ? b : a), matches[0]);
+    const lines = matches.slice(0, 15).map((a, i) => {
+        let line = `${i + 1}. ${a.name || 'Unknown'} — $${formatBananaNumber(a.value || 0)}/s`;
+        if (a.mutation && a.mutation !== 'None') line += ` [${a.mutation}]`;
+        if (a.traits) line += ` (${a.traits} traits)`;
+        return line;
+    });
+    if (matches.length > 15) {
+        lines.push(`... and ${matches.length - 15} more`);
     }
     
-    // Generate URL from name
-    const formatted = animalName.replace(/ /g, '_');
-    const firstLetter = formatted.charAt(0).toLowerCase();
-    const secondLetter = formatted.substring(0, 2).toLowerCase();
+    let embedColor = 0xFFD700;
+    if (best.value >= 1e12) embedColor = 0xFF00FF;
+    else if (best.value >= 1e9) embedColor = 0x00FFFF;
     
-    return `${WIKI_BASE}${firstLetter}/${secondLetter}/${formatted}.png`;
+    const thumbnailUrl = best.name ? publicImageUrl(best.name) : null;
+    
+    return {
+        embeds: [{
+            title: `🔔 ${best.name || 'Scan'} — $${formatBananaNumber(best.value || 0)}/s`,
+            description: `**🐾 Matched Brainrots**\n\`\`\`\n${lines.join('\n')}\n\`\`\``,
+            color: embedColor,
+            thumbnail: thumbnailUrl ? { url: thumbnailUrl } : undefined,
+            fields: [
+                { name: '👥 Players', value: `\`\`\`${scan.players || '?'}\`\`\``, inline: true },
+                { name: '🆔 Job ID', value: `\`\`\`${scan.jobId || 'Unknown'}\`\`\``, inline: true },
+                { name: '👤 Owner', value: `\`\`\`${scan.owners || 'Unknown'}\`\`\``, inline: false }
+            ],
+            footer: { text: '⚡ Ultra Notifier | Personal Alert' },
+            timestamp: new Date().toISOString()
+        }]
+    };
 }
 
-// Store banana log for in-game clients
+// Personal webhook / DM alerts for subscribers (see lib/notifications)
+const notifier = createNotifier({
+    db,
+    getPlan: tier => PLANS[tier],
+    getDelay: user => planDelayMs(user.subscription_tier),
+    updateUser,
+    discordBot,
+    buildPayload: buildPersonalPayload
+});
+
+// Live scans, pause and kick for in-game clients on /ws/client (see lib/client-push)
+const clientPush = createClientPush({
+    db,
+    findUser,
+    checkAccess: checkJoinerAccess,
+    isHWIDBanned,
+    getPlan: tier => PLANS[tier],
+    getDelay: user => planDelayMs(user.subscription_tier),
+    matchesFor: notifier.matchesFor,
+    recentLogs: () => bananaLiveLogs,
+    joinerSessions: { touch: touchJoinerSession, activeUsers: activeJoinerUsers }
+});
+
+// Store banana log for in-game clients. Returns the stored entry, or false for
+// repeats of a scan already seen in the dedup window (only its last_seen is bumped).
 function storeBananaLog(scanData) {
     const animals = scanData.animals || [];
-    if (animals.length === 0) return;
+    if (animals.length === 0) return false;
+    
+    const { duplicate, record } = scanDedup.check(scanData);
+    if (duplicate) {
+        if (record.entry) {
+            record.entry.last_seen = record.last_seen;
+            record.entry.seen_count = record.count;
+        }
+        return false;
+    }
     
     const best = animals[0];
     const logEntry = {
@@ -2260,7 +3803,10 @@ function storeBananaLog(scanData) {
         bestName: best.name || 'Unknown',
         bestValue: best.genValue || best.value || 0,
         animalCount: animals.length,
-        timestamp: Date.now(),
+        source: scanData.source || null,
+        timestamp: record.first_seen,
+        last_seen: record.last_seen,
+        seen_count: 1,
         animals: animals.slice(0, 5).map(a => ({
             name: a.name,
             value: a.genValue || a.value || 0,
@@ -2277,32 +3823,20 @@ function storeBananaLog(scanData) {
         bananaLiveLogs = bananaLiveLogs.slice(0, MAX_BANANA_LOGS);
     }
     
+    record.entry = logEntry;
+    
     console.log(`[Banana Bridge] Stored log: ${logEntry.bestName} - ${formatBananaNumber(logEntry.bestValue)}/s (${bananaLiveLogs.length} total)`);
+    return logEntry;
 }
 
-async function sendBananaToDiscord(data) {
+// Embed for a webhook route - the route's template sets title/footer/color,
+// and the Job ID is only shown on routes that include it
+function buildRouteEmbed(route, data) {
     const animals = data.animals || [];
-    if (animals.length === 0) return;
-    
-    // Get best animal (first one, sorted by value)
     const best = animals[0];
     const bestValue = best.genValue || best.value || 0;
-    const jobId = data.jobId || 'Unknown';
-    const players = data.players || '?';
-    const owners = data.owners || 'Unknown';
-    
-    // Check if we have any webhooks to send to
-    const hasHighlightsWebhook = bestValue >= 1e8 && bestValue < 1e9 && BANANA_CONFIG.webhookHighlights;
-    const hasUltralightsWebhook = bestValue >= 1e9 && BANANA_CONFIG.webhookUltralights;
-    const hasPersonalWebhook = bestValue >= 1e9 && BANANA_CONFIG.webhook1B;
-    const hasMainWebhook = BANANA_CONFIG.webhookMain && BANANA_CONFIG.webhookMain !== 'YOUR_DISCORD_WEBHOOK_FOR_BANANA_LOGS';
+    const template = route.template || DEFAULT_TEMPLATE;
     
-    if (!hasHighlightsWebhook && !hasUltralightsWebhook && !hasPersonalWebhook && !hasMainWebhook) {
-        console.log('[Banana Bridge] No matching webhooks for this value, skipping...');
-        return;
-    }
-    
-    // Build embed description
     const lines = animals.slice(0, 15).map((a, i) => {
         let line = `${i + 1}. ${a.name || 'Unknown'} — $${formatBananaNumber(a.genValue || a.value || 0)}/s`;
         if (a.mutation && a.mutation !== 'None') line += ` [${a.mutation}]`;
@@ -2314,200 +3848,138 @@ async function sendBananaToDiscord(data) {
         lines.push(`... and ${animals.length - 15} more`);
     }
     
-    // Color based on value
+    // Color based on value unless the template fixes one
     let embedColor = 0xFFD700; // Gold for 100M+
     if (bestValue >= 1e12) embedColor = 0xFF00FF; // Purple for 1T+
     else if (bestValue >= 1e9) embedColor = 0x00FFFF; // Cyan for 1B+
+    if (template.color) embedColor = parseInt(template.color.slice(1), 16);
     
-    // Get thumbnail image for the best animal
-    const thumbnailUrl = getAnimalThumbnail(best.name);
+    const vars = { name: best.name || 'Scan', value: formatBananaNumber(bestValue), count: animals.length };
+    const thumbnailUrl = best.name ? publicImageUrl(best.name) : null;
     
-    // HIGHLIGHTS embed (100M-999M) - NO Job ID
-    const highlightsPayload = {
-        embeds: [{
-            title: `🔥 ${best.name || 'Scan'} — $${formatBananaNumber(bestValue)}/s`,
-            description: `**🐾 Brainrots Found**\n\`\`\`\n${lines.join('\n')}\n\`\`\``,
-            color: embedColor,
-            thumbnail: thumbnailUrl ? { url: thumbnailUrl } : undefined,
-            fields: [
-                { name: '👥 Players', value: `\`\`\`${players}\`\`\``, inline: true },
-                { name: '👤 Owner', value: `\`\`\`${owners}\`\`\``, inline: true }
-            ],
-            footer: { text: '⚡ Ultra Notifier | Highlights' },
-            timestamp: new Date().toISOString()
-        }]
-    };
+    const fields = [{ name: '👥 Players', value: `\`\`\`${data.players || '?'}\`\`\``, inline: true }];
+    if (route.include_job_id) {
+        fields.push({ name: '🆔 Job ID', value: `\`\`\`${data.jobId || 'Unknown'}\`\`\``, inline: true });
+    }
+    fields.push({ name: '👤 Owner', value: `\`\`\`${data.owners || 'Unknown'}\`\`\``, inline: !route.include_job_id });
     
-    // ULTRALIGHTS embed (1B+) - WITH Job ID
-    const ultralightsPayload = {
+    return {
         embeds: [{
-            title: `💎 ${best.name || 'Scan'} — $${formatBananaNumber(bestValue)}/s`,
+            title: applyTemplate(template.title, vars),
             description: `**🐾 Brainrots Found**\n\`\`\`\n${lines.join('\n')}\n\`\`\``,
             color: embedColor,
             thumbnail: thumbnailUrl ? { url: thumbnailUrl } : undefined,
-            fields: [
-                { name: '👥 Players', value: `\`\`\`${players}\`\`\``, inline: true },
-                { name: '🆔 Job ID', value: `\`\`\`${jobId}\`\`\``, inline: true },
-                { name: '👤 Owner', value: `\`\`\`${owners}\`\`\``, inline: false }
-            ],
-            footer: { text: '⚡ Ultra Notifier | Ultralights' },
+            fields,
+            footer: template.footer ? { text: applyTemplate(template.footer, vars) } : undefined,
             timestamp: new Date().toISOString()
         }]
     };
+}
+
+// Single direct post (used for test embeds, where the admin wants the result now)
+async function postToRoute(route, data) {
+    const res = await fetch(route.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildRouteEmbed(route, data))
+    });
+    if (!res.ok) throw new Error(`Discord returned ${res.status}`);
+}
+
+async function sendBananaToDiscord(data) {
+    const animals = data.animals || [];
+    if (animals.length === 0) return;
     
-    // Send to HIGHLIGHTS (100M-999M) - NO Job ID
-    if (bestValue >= 1e8 && bestValue < 1e9 && BANANA_CONFIG.webhookHighlights) {
-        try {
-            await fetch(BANANA_CONFIG.webhookHighlights, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(highlightsPayload)
-            });
-            console.log(`[Banana Bridge] Sent to Highlights: ${best.name} - $${formatBananaNumber(bestValue)}/s`);
-        } catch (err) {
-            console.error('[Banana Bridge] Highlights webhook error:', err.message);
-        }
-    }
-    
-    // Send to ULTRALIGHTS (1B+) - WITH Job ID
-    if (bestValue >= 1e9 && BANANA_CONFIG.webhookUltralights) {
-        try {
-            await fetch(BANANA_CONFIG.webhookUltralights, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(ultralightsPayload)
-            });
-            console.log(`[Banana Bridge] Sent to Ultralights: ${best.name} - $${formatBananaNumber(bestValue)}/s`);
-        } catch (err) {
-            console.error('[Banana Bridge] Ultralights webhook error:', err.message);
-        }
-    }
+    // Get best animal (first one, sorted by value)
+    const best = animals[0];
+    const bestValue = best.genValue || best.value || 0;
     
-    // Send to personal 1B+ webhook - WITH Job ID
-    if (bestValue >= 1e9 && BANANA_CONFIG.webhook1B) {
-        try {
-            await fetch(BANANA_CONFIG.webhook1B, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(ultralightsPayload)
-            });
-            console.log(`[Banana Bridge] Sent to Personal 1B+: ${best.name} - $${formatBananaNumber(bestValue)}/s`);
-        } catch (err) {
-            console.error('[Banana Bridge] Personal webhook error:', err.message);
-        }
+    const routes = webhookRoutes.routesFor(bestValue);
+    if (routes.length === 0) {
+        console.log('[Banana Bridge] No matching webhooks for this value, skipping...');
+        return;
     }
     
-    // Send to main webhook if configured
-    if (BANANA_CONFIG.webhookMain && BANANA_CONFIG.webhookMain !== 'YOUR_DISCORD_WEBHOOK_FOR_BANANA_LOGS') {
-        const mainPayload = bestValue >= 1e9 ? ultralightsPayload : highlightsPayload;
-        try {
-            await fetch(BANANA_CONFIG.webhookMain, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(mainPayload)
-            });
-            console.log(`[Banana Bridge] Sent to Main: ${best.name} - $${formatBananaNumber(bestValue)}/s`);
-        } catch (err) {
-            console.error('[Banana Bridge] Main webhook error:', err.message);
-        }
+    for (const route of routes) {
+        deliveryQueue.enqueue({
+            key: `route:${route.id}`,
+            label: route.name,
+            url: route.url,
+            payload: buildRouteEmbed(route, data),
+            meta: { route_id: route.id, job_id: data.jobId || null, best_name: best.name, best_value: bestValue }
+        });
+        console.log(`[Banana Bridge] Queued for ${route.name}: ${best.name} - $${formatBananaNumber(bestValue)}/s`);
     }
 }
 
-function connectBananaRelay() {
-    if (!BANANA_CONFIG.enabled) {
-        console.log('[Banana Bridge] Disabled - set BANANA_CONFIG.enabled = true to enable');
-        return;
-    }
-    
-    // Note: We connect even without webhooks to store logs for in-game display
-    if (!BANANA_CONFIG.webhookMain) {
-        console.log('[Banana Bridge] No Discord webhook - logs will only be stored for in-game display');
-    }
-    
-    console.log('[Banana Bridge] Connecting to Railway relay: ' + BANANA_CONFIG.relayUrl);
+// Every normalized scan from lib/ingest lands here. Returns false for repeats.
+// Cache replays are stored for in-game clients but never alerted on.
+function handleScan(record, { replay }) {
+    catalog.resolveScan(record);
+    const logEntry = storeBananaLog(record);
+    if (!logEntry) return false;
     
     try {
-        bananaWs = new WebSocket(BANANA_CONFIG.relayUrl);
-        
-        bananaWs.on('open', () => {
-            console.log('🍌 [Banana Bridge] Connected to Railway relay!');
-            bananaReconnectAttempts = 0;
-        });
-        
-        bananaWs.on('message', async (data) => {
-            try {
-                const parsed = JSON.parse(data.toString());
-                
-                // Handle different message types
-                if (parsed.type === 'welcome') {
-                    console.log(`[Banana Bridge] Connected! Server has ${parsed.cached_results} cached results`);
-                    return;
-                }
-                
-                if (parsed.type === 'cache') {
-                    // Store cached results for in-game clients (but don't spam Discord)
-                    const cacheData = parsed.data || [];
-                    console.log(`[Banana Bridge] Received ${cacheData.length} cached results`);
-                    
-                    // Store up to 30 most recent cached results
-                    const sorted = [...cacheData].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
-                    sorted.slice(0, 30).forEach(scan => {
-                        if (scan.type === 'scan_result' && scan.animals && scan.animals.length > 0) {
-                            storeBananaLog(scan);
-                        }
-                    });
-                    return;
-                }
-                
-                if (parsed.type === 'scan_result') {
-                    // Live scan result!
-                    const animals = parsed.animals || [];
-                    console.log(`[Banana Bridge] Live scan: ${animals.length} animals, jobId: ${parsed.jobId}`);
-                    
-                    if (animals.length > 0) {
-                        // Store for in-game clients FIRST (always)
-                        storeBananaLog(parsed);
-                        console.log(`[Banana Bridge] Stored! Total logs: ${bananaLiveLogs.length}`);
-                        
-                        // Then forward to Discord if webhook is set
-                        if (BANANA_CONFIG.webhookMain) {
-                            await sendBananaToDiscord(parsed);
-                        }
-                    }
-                    return;
-                }
-                
-                // Unknown format with animals - try to send anyway
-                if (parsed.animals && parsed.animals.length > 0) {
-                    await sendBananaToDiscord(parsed);
-                }
-            } catch (err) {
-                console.error('[Banana Bridge] Parse error:', err.message);
-            }
-        });
-        
-        bananaWs.on('close', () => {
-            console.log('[Banana Bridge] Disconnected from Railway relay');
-            bananaReconnectAttempts++;
-            const delay = Math.min(1000 * bananaReconnectAttempts, 30000);
-            console.log(`[Banana Bridge] Reconnecting in ${delay}ms...`);
-            setTimeout(connectBananaRelay, delay);
-        });
-        
-        bananaWs.on('error', (err) => {
-            console.error('[Banana Bridge] WebSocket error:', err.message);
-        });
+        scanHistory.record(record);
     } catch (err) {
-        console.error('[Banana Bridge] Connection error:', err.message);
-        setTimeout(connectBananaRelay, 5000);
+        console.error('[Scans] Failed to save scan history:', err.message);
     }
+    if (replay) return true;
+    
+    // Straight to connected in-game clients, then personal alerts
+    clientPush.pushScan(record, logEntry);
+    notifier.notifyScan(record);
+    
+    // Then forward to the Discord webhook routes
+    sendBananaToDiscord(record).catch(err => {
+        console.error('[Banana Bridge] Failed to queue Discord posts:', err.message);
+    });
+    return true;
 }
 
-// Start Banana relay bridge after server starts
-setTimeout(connectBananaRelay, 3000);
+// Upstream relays + direct scanner pushes (see lib/ingest)
+const ingest = createIngest({ handleScan });
+
+if (webhookRoutes.list().length === 0) {
+    console.log('[Banana Bridge] No Discord webhook routes - scans will only be stored for in-game display');
+}
+
+// Start relay connections after server starts
+setTimeout(ingest.start, 3000);
+
+// Direct push from our scanner bots: one scan or { scans: [...] }
+// Auth: scanner token or the shared key. Token scans are tagged with the token
+// name; with the shared key X-Scanner-Name tags the source
+app.post('/api/ingest/scans', requireScanner('ingest'), (req, res) => {
+    const name = req.scanner.legacy
+        ? String(req.headers['x-scanner-name'] || req.body.scanner || 'default').slice(0, 50)
+        : req.scanner.name;
+    const scans = Array.isArray(req.body.scans) ? req.body.scans : [req.body];
+    if (scans.length > 100) {
+        return res.status(400).json({ error: 'At most 100 scans per request' });
+    }
+    
+    const results = scans.map(scan => {
+        try {
+            const { stored } = ingest.push('http', name, scan);
+            return { jobId: scan.jobId || null, stored };
+        } catch (err) {
+            return { jobId: scan && scan.jobId || null, error: err.message };
+        }
+    });
+    
+    res.json({ success: results.every(r => !r.error), results });
+});
+
+// Streaming push: ws(s)://host/ws/ingest with a scanner token (Authorization
+// header, signed headers or ?token=) or ?key=<SCANNER_API_KEY>&name=<scanner>
+const ingestSockets = new WebSocket.Server({ noServer: true });
+
+// In-game clients: ws(s)://host/ws/client?key=<license key>&hwid=<hwid>
+const clientSockets = new WebSocket.Server({ noServer: true });
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+const httpServer = app.listen(PORT, () => {
     console.log('==========================================');
     console.log(`⚡ Ultra Notifier running on http://localhost:${PORT}`);
     console.log('==========================================');
@@ -2515,7 +3987,45 @@ app.listen(PORT, () => {
     if (process.env.DISCORD_BOT_TOKEN) {
         console.log('🤖 Discord role bot enabled');
     }
-    if (BANANA_CONFIG.enabled) {
-        console.log('🍌 Banana relay bridge enabled');
+    console.log(`🍌 Banana relay bridge enabled (${ingest.health().filter(s => s.type === 'relay').length} relays)`);
+});
+
+httpServer.on('upgrade', (req, socket, head) => {
+    // Anyone can send an upgrade request - a bad path must not throw here
+    let url;
+    try {
+        url = new URL(req.url, 'http://localhost');
+    } catch (err) {
+        socket.write('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return socket.destroy();
     }
+    
+    // License checks happen after the upgrade so the client gets the reason
+    if (url.pathname === '/ws/client') {
+        return clientSockets.handleUpgrade(req, socket, head, (ws) => {
+            clientPush.attach(ws, {
+                key: url.searchParams.get('key'),
+                hwid: url.searchParams.get('hwid'),
+                roblox_username: url.searchParams.get('roblox_username')
+            });
+        });
+    }
+    
+    if (url.pathname !== '/ws/ingest') return socket.destroy();
+    
+    let scanner;
+    try {
+        const headers = url.searchParams.get('token') ? { ...req.headers, 'x-scanner-token': url.searchParams.get('token') } : req.headers;
+        scanner = scannerTokens.authenticate({ headers, method: 'GET', url: req.url, ip: socket.remoteAddress }, 'ingest', url.searchParams.get('key'));
+    } catch (err) {
+        if (!(err instanceof ScannerAuthError)) throw err;
+        socket.write(`HTTP/1.1 ${err.status} ${err.status === 403 ? 'Forbidden' : 'Unauthorized'}\r\n\r\n`);
+        return socket.destroy();
+    }
+    
+    ingestSockets.handleUpgrade(req, socket, head, (ws) => {
+        const name = scanner.legacy ? (url.searchParams.get('name') || 'default').slice(0, 50) : scanner.name;
+        console.log(`[Ingest] Scanner "${name}" connected over WebSocket`);
+        ingest.attachSocket(ws, name);
+    });
 });